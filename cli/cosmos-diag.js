@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Cosmos Diagnostics Analyzer CLI
+ * Runs the browser analysis modules headless and writes the same standalone HTML
+ * report as the Download HTML button, plus the versioned analysis result as JSON
+ *
+ * Usage: cosmos-diag analyze <file|url...> [--threshold 600] [--out report.html] [--json result.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AnalysisPipeline, ReportGenerator, ResultSchema, UrlReader } = require('../lib/index.cjs');
+
+const USAGE = `Usage: cosmos-diag analyze <file|url...> [options]
+
+Analyze Azure Cosmos DB diagnostics logs (JSONL, log, Excel/CSV, .gz, .zip or http(s) URLs).
+
+Options:
+  --threshold <ms>       Latency threshold in ms (default: 600)
+  --out <file>           Write the standalone HTML report ("-" for stdout)
+  --json <file>          Write the versioned analysis result as JSON ("-" for stdout)
+  --no-dedupe            Keep duplicate entries from overlapping captures
+  --sample <mode>        Analyze a sample: "uniform" or "threshold" (keep all above threshold)
+  --sample-size <n>      Entries kept by the sampling reservoir (default: 10000)
+  --quiet                No progress output
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 analysis failed, 2 invalid arguments`;
+
+/**
+ * Invalid command line; reported with the usage text and exit code 2
+ */
+class UsageError extends Error {}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, inputs, threshold, out, json, dedupe, sampling, quiet, help }
+ */
+function parseArgs(argv) {
+    const options = { command: null, inputs: [], threshold: 600, out: null, json: null, dedupe: true, sampling: null, quiet: false, help: false };
+    let sampleSize = null;
+
+    const value = (i, flag) => {
+        if (i >= argv.length || argv[i].startsWith('--')) throw new UsageError(`${flag} requires a value`);
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--threshold':
+                options.threshold = Number(value(++i, arg));
+                if (!Number.isFinite(options.threshold) || options.threshold < 0) {
+                    throw new UsageError('--threshold must be a non-negative number');
+                }
+                break;
+            case '--out':
+                options.out = value(++i, arg);
+                break;
+            case '--json':
+                options.json = value(++i, arg);
+                break;
+            case '--no-dedupe':
+                options.dedupe = false;
+                break;
+            case '--sample': {
+                const mode = value(++i, arg);
+                if (mode !== 'uniform' && mode !== 'threshold') {
+                    throw new UsageError('--sample must be "uniform" or "threshold"');
+                }
+                options.sampling = { mode };
+                break;
+            }
+            case '--sample-size':
+                sampleSize = parseInt(value(++i, arg), 10);
+                if (!(sampleSize > 0)) throw new UsageError('--sample-size must be a positive integer');
+                break;
+            case '--quiet':
+                options.quiet = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option ${arg}`);
+                if (!options.command) options.command = arg;
+                else options.inputs.push(arg);
+        }
+    }
+
+    if (options.sampling && sampleSize) options.sampling.size = sampleSize;
+    return options;
+}
+
+/**
+ * Turn a command line input into a pipeline source
+ * @param {string} input - File path or http(s) URL
+ * @returns {Promise<Object>} { name, file } or { name, url }
+ */
+async function toSource(input) {
+    if (/^https?:\/\//i.test(input)) {
+        return UrlReader.toSource(input);
+    }
+    if (!fs.existsSync(input) || !fs.statSync(input).isFile()) {
+        throw new Error(`File not found: ${input}`);
+    }
+    // openAsBlob reads lazily, so large files stream like a browser File
+    const file = fs.openAsBlob
+        ? await fs.openAsBlob(input)
+        : new Blob([fs.readFileSync(input)]);
+    return { name: path.basename(input), file };
+}
+
+/**
+ * Progress reporter writing one updating line to stderr
+ * @param {boolean} quiet - Suppress output
+ * @returns {function} (message, percent) callback
+ */
+function progressReporter(quiet) {
+    if (quiet || !process.stderr.isTTY) return null;
+    return (message, percent) => {
+        process.stderr.write(`\r\x1b[K[${Math.round(percent).toString().padStart(3)}%] ${message}`);
+    };
+}
+
+/**
+ * Write output to a file, or to stdout for "-"
+ */
+function writeOutput(target, content) {
+    if (target === '-') {
+        process.stdout.write(content + '\n');
+    } else {
+        fs.writeFileSync(target, content);
+    }
+}
+
+/**
+ * Run the analyze command
+ * @param {Object} options - Parsed arguments
+ */
+async function analyze(options) {
+    if (options.inputs.length === 0) throw new UsageError('No input files given');
+
+    const sources = [];
+    for (const input of options.inputs) {
+        sources.push(await toSource(input));
+    }
+
+    const progress = progressReporter(options.quiet);
+    const result = await new AnalysisPipeline().run({
+        sources,
+        threshold: options.threshold,
+        dedupe: options.dedupe,
+        sampling: options.sampling
+    }, progress);
+    if (progress) process.stderr.write('\r\x1b[K');
+
+    const generator = new ReportGenerator();
+    if (options.out) {
+        writeOutput(options.out, generator.generateStandaloneHtml(generator.generate(result)));
+    }
+    if (options.json) {
+        writeOutput(options.json, JSON.stringify(new ResultSchema().fromAnalysis(result), null, 2));
+    }
+
+    if (!options.quiet) {
+        // Keep stdout clean for a report or result written there
+        const log = options.out === '-' || options.json === '-' ? console.error : console.log;
+        log(`${result.parsedEntries.toLocaleString()} entries parsed, ${result.highLatencyEntries.toLocaleString()} above ${result.threshold} ms` +
+            `${result.failedEntries ? `, ${result.failedEntries} failed to parse` : ''}`);
+        if (options.out && options.out !== '-') log(`Report: ${options.out}`);
+        if (options.json && options.json !== '-') log(`Result: ${options.json}`);
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        if (options.help || !options.command) {
+            console.log(USAGE);
+            return 0;
+        }
+        if (options.command !== 'analyze') throw new UsageError(`Unknown command ${options.command}`);
+        await analyze(options);
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`cosmos-diag: ${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        console.error(`cosmos-diag: ${error.message}`);
+        return 1;
+    }
+}
+
+main().then(code => {
+    process.exitCode = code;
+});
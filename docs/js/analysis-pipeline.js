@@ -0,0 +1,393 @@
+/**
+ * Analysis Pipeline Module
+ * Reads, parses and analyzes an input; runs inside the analysis worker
+ * or on the main thread when workers are unavailable
+ */
+
+class AnalysisPipeline {
+    /**
+     * Run the full read → parse → analyze pipeline over one or more sources.
+     * Entries from all sources are merged into one analysis and tagged with _source.
+     * @param {Object} input - { sources: [{ name, file } | { name, text } | { name, url }], threshold, excelOptions, lineOverrides, dedupe, sampling }
+     *   lineOverrides: [{ source, lineNumber, text }] replaces input lines (inline fixes from the issues report)
+     *   dedupe: drop entries already seen in this run (overlapping captures)
+     *   sampling: { mode: 'uniform' | 'threshold', size } analyzes a reservoir sample instead of every entry
+     * @param {function} progressCallback - Progress callback (message, percent)
+     * @param {AbortSignal} signal - Optional signal to cancel the run
+     * @returns {Promise<Object>} Analysis result with parser stats attached
+     */
+    async run(input, progressCallback = null, signal = null) {
+        const progress = (msg, pct) => {
+            this.throwIfAborted(signal);
+            if (progressCallback) progressCallback(msg, pct);
+        };
+
+        const sources = await this.expandSources(input.sources || [], progress, signal);
+        const diagnostics = [];
+        const sourceStats = [];
+        const parseIssues = [];
+        const sampler = input.sampling
+            ? new EntrySampler({ ...input.sampling, threshold: input.threshold })
+            : null;
+        const duplicates = input.dedupe ? this.createDuplicateFilter() : null;
+        const schema = new DiagnosticsSchema();
+        let parsedEntries = 0;
+        let isSingleEntry = false;
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+
+            // Scale each source's 0-42% parse progress into its share of the overall bar
+            const sourceProgress = (msg, pct) => {
+                const prefix = sources.length > 1 ? `[${i + 1}/${sources.length}] ${source.name}: ` : '';
+                progress(prefix + msg, (i + pct / 42) * (42 / sources.length));
+            };
+
+            const parser = new JsonParser();
+            const overrides = (input.lineOverrides || []).filter(o => o.source === source.name);
+            let sourceEntries = 0;
+            const collect = d => {
+                d._source = source.name;
+                sourceEntries++;
+                // Duplicates are dropped before sampling so they never take reservoir slots
+                if (duplicates && !duplicates.accept(d)) return;
+                // The first entry keeps its full JSON for the single-entry view
+                if (parsedEntries + sourceEntries > 1) this.truncateRawJson(d, schema, input.threshold);
+                if (sampler) sampler.offer(d);
+                else diagnostics.push(d);
+            };
+
+            // Streamed entries go straight to the sampler, except lines about to be replaced
+            const overridden = new Set(overrides.map(o => o.lineNumber));
+            const held = [];
+            if (sampler) {
+                parser.onEntry = d => {
+                    if (overridden.has(d._lineNumber)) held.push(d);
+                    else collect(d);
+                };
+            }
+
+            let parsed = await this.parseSource(source, parser, sourceProgress, input.excelOptions);
+            if (overrides.length > 0) {
+                parsed = this.applyLineOverrides(parsed.concat(held), parser, overrides);
+            }
+            parsed.forEach(collect);
+            parsedEntries += sourceEntries;
+            const stats = parser.getStats();
+
+            for (const issue of stats.issues) {
+                if (parseIssues.length < JsonParser.MAX_ISSUES) {
+                    parseIssues.push({ ...issue, source: source.name });
+                }
+            }
+
+            sourceStats.push({ source: source.name, parsed: sourceEntries, repaired: stats.repaired, failed: stats.failed });
+            isSingleEntry = sources.length === 1 && stats.isSingleEntry;
+        }
+
+        const repaired = sourceStats.reduce((sum, s) => sum + s.repaired, 0);
+        const failed = sourceStats.reduce((sum, s) => sum + s.failed, 0);
+        progress(`Parsed ${parsedEntries} entries (${repaired} repaired)`, 42);
+        await this.sleep(50);
+
+        const entries = sampler ? sampler.getEntries() : diagnostics;
+
+        // Analyze
+        const analyzer = new Analyzer();
+        const result = analyzer.analyze(entries, input.threshold, progress, isSingleEntry);
+
+        // Add parser stats to result
+        result.parsedEntries = parsedEntries;
+        result.repairedEntries = repaired;
+        result.failedEntries = failed;
+        result.isSingleEntry = isSingleEntry;
+        result.parseIssues = parseIssues;
+        result.duplicates = duplicates ? duplicates.getSummary() : null;
+        result.sampling = sampler ? sampler.getSummary() : null;
+        result.sourceBreakdown = this.mergeSourceStats(result.sourceBreakdown, sourceStats);
+
+        // Store raw JSON for single entry view
+        if (isSingleEntry && entries.length === 1) {
+            result.singleEntryRawJson = entries[0]._rawJson || '';
+        }
+
+        return result;
+    }
+
+    /**
+     * Filter that drops entries repeating an earlier one in this run. Entries are matched on
+     * ActivityId, else on DistributedTraceId plus start time, else on identical JSON content.
+     * @returns {Object} { accept(d), getSummary() } where accept returns false for a duplicate and
+     *   getSummary returns { removed, byKey, items }; items lists the first MAX_DUPLICATES_LISTED
+     *   removed entries and the entry they repeat
+     */
+    createDuplicateFilter() {
+        const schema = new DiagnosticsSchema();
+        // One map per key kind, holding only where each key was first seen so unsampled entries can be freed;
+        // content keys are hashes, not the JSON text
+        const seen = { activityId: new Map(), traceId: new Map(), content: new Map() };
+        const byKey = { activityId: 0, traceId: 0, content: 0 };
+        const items = [];
+        let removed = 0;
+
+        return {
+            accept: d => {
+                const identity = schema.readIdentity(d);
+                let matchedOn = 'content';
+                let key = this.hashContent(d._rawJson || '');
+                if (identity.activityId) {
+                    matchedOn = 'activityId';
+                    key = identity.activityId;
+                } else if (identity.distributedTraceId && identity.startTime) {
+                    matchedOn = 'traceId';
+                    key = `${identity.distributedTraceId} @ ${identity.startTime}`;
+                }
+
+                const kept = seen[matchedOn].get(key);
+                if (!kept) {
+                    seen[matchedOn].set(key, { source: d._source, lineNumber: d._lineNumber });
+                    return true;
+                }
+
+                removed++;
+                byKey[matchedOn]++;
+                if (items.length < AnalysisPipeline.MAX_DUPLICATES_LISTED) {
+                    items.push({
+                        source: d._source,
+                        lineNumber: d._lineNumber,
+                        matchedOn,
+                        key: matchedOn === 'content' ? '' : key,
+                        keptSource: kept.source,
+                        keptLineNumber: kept.lineNumber
+                    });
+                }
+                return false;
+            },
+            getSummary: () => ({ removed, byKey, items })
+        };
+    }
+
+    /**
+     * Keep only a prefix of the raw JSON of an entry at or below the threshold, so memory
+     * doesn't grow with every full line of a large capture. Slower entries keep their full JSON.
+     * @param {Object} d - Parsed entry
+     * @param {DiagnosticsSchema} schema - Schema reading the entry duration
+     * @param {number} threshold - Latency threshold (ms)
+     */
+    truncateRawJson(d, schema, threshold) {
+        const raw = d._rawJson;
+        if (!raw || raw.length <= AnalysisPipeline.MAX_FAST_RAW_JSON_LENGTH) return;
+        if (schema.readDuration(d) > threshold) return;
+
+        // A substring can keep the whole line alive; the JSON round trip copies the prefix out
+        const prefix = JSON.parse(JSON.stringify(raw.slice(0, AnalysisPipeline.MAX_FAST_RAW_JSON_LENGTH)));
+        d._rawJson = `${prefix}… [truncated: ${raw.length.toLocaleString()} characters, at or below the latency threshold]`;
+    }
+
+    /**
+     * 53-bit hash of an entry's JSON text, prefixed with its length
+     * @param {string} text - Raw JSON
+     * @returns {string} Content key
+     */
+    hashContent(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const c = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ c, 2654435761);
+            h2 = Math.imul(h2 ^ c, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return `${text.length}:${4294967296 * (2097151 & h2) + (h1 >>> 0)}`;
+    }
+
+    /**
+     * Replace gzip and zip sources with the decodable sources they contain,
+     * and open URL sources
+     * @param {Array} sources - [{ name, file } | { name, text } | { name, url }]
+     * @param {function} progress - Progress callback (message, percent)
+     * @param {AbortSignal} signal - Optional signal to cancel downloads
+     * @returns {Promise<Array>} Expanded sources
+     */
+    async expandSources(sources, progress, signal = null) {
+        const expanded = [];
+        for (const source of sources) {
+            if (source.url) {
+                expanded.push(...await UrlReader.open(source, progress, signal));
+                continue;
+            }
+            if (source.file && ArchiveReader.isZipFile(source.name)) {
+                progress(`Opening ${source.name}...`, 2);
+            }
+            expanded.push(...await ArchiveReader.expand(source));
+        }
+        return expanded;
+    }
+
+    /**
+     * Read and parse a single source (pasted text, Excel file, text file or
+     * downloading text, optionally gzip/deflate encoded)
+     * @param {Object} source - { name, file, encoding, size }, { name, stream, encoding, size } or { name, text }
+     * @param {JsonParser} parser - Parser collecting stats for this source
+     * @param {function} progress - Progress callback (message, percent)
+     * @param {Object} excelOptions - Sheet/column selection for Excel sources
+     * @returns {Promise<Array>} Parsed diagnostics objects
+     */
+    async parseSource(source, parser, progress, excelOptions = {}) {
+        let content;
+        let rowMetadata = null;
+
+        if (source.text) {
+            content = source.text;
+            progress('Processing pasted text...', 10);
+        } else if (source.file) {
+            // Read file - handle Excel vs text files, by the name inside any .gz wrapper
+            const isExcel = ExcelParser.isExcelFile(ArchiveReader.contentName(source.name || source.file.name));
+
+            if (isExcel) {
+                progress('Reading Excel file...', 5);
+                const arrayBuffer = source.encoding
+                    ? await ArchiveReader.readAll(source)
+                    : await this.readFileAsArrayBuffer(source.file);
+                const excelParser = new ExcelParser();
+                content = excelParser.parse(arrayBuffer, progress, excelOptions);
+                rowMetadata = excelParser.rowMetadata;
+            } else if (source.encoding) {
+                // Compressed text is decoded and streamed; the compressed size says nothing about line count
+                progress('Decompressing file...', 5);
+                const reader = new LineReader(ArchiveReader.decodedStream(source), source.size || 0);
+                return parser.parseStream(reader, progress);
+            } else if (source.file.size <= LineReader.CHUNK_SIZE) {
+                content = await this.readFile(source.file);
+            } else {
+                // Large text files are streamed in chunks instead of read into one string
+                progress('Streaming file...', 5);
+                return parser.parseStream(LineReader.fromFile(source.file), progress);
+            }
+        } else if (source.stream) {
+            // Downloads are parsed as they arrive; progress follows the bytes received
+            const stream = UrlReader.trackProgress(source.stream, source.size, loaded => progress(
+                `Downloading and parsing: ${UrlReader.formatProgress(loaded, source.size)}`,
+                source.size > 0 ? Math.min(loaded / source.size, 1) * 40 : 5));
+            return parser.parseStream(new LineReader(ArchiveReader.decodedStream({ ...source, stream })), progress);
+        }
+
+        progress('Parsing JSON lines...', 10);
+
+        // Allow UI to update
+        await this.sleep(50);
+
+        const parsed = parser.parseLines(content || '', progress);
+
+        // Excel lines are one per row, so line numbers index the row metadata
+        if (rowMetadata && rowMetadata.length > 0) {
+            for (const d of parsed) {
+                d._metadata = rowMetadata[d._lineNumber - 1];
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Replace parsed lines with edited text and re-parse them.
+     * Stats and issues for the replaced lines are rolled back before re-parsing.
+     * @param {Array} parsed - Entries parsed from the source
+     * @param {JsonParser} parser - Parser that produced them
+     * @param {Array} overrides - [{ lineNumber, text }]
+     * @returns {Array} Entries in line order with overrides applied
+     */
+    applyLineOverrides(parsed, parser, overrides) {
+        const lines = new Set(overrides.map(o => o.lineNumber));
+        const replaced = new Map(parsed.filter(d => lines.has(d._lineNumber)).map(d => [d._lineNumber, d]));
+
+        for (const issue of parser.issues.filter(i => lines.has(i.lineNumber))) {
+            if (issue.status === 'failed') parser.failedCount--;
+            else parser.repairedCount--;
+        }
+        parser.issues = parser.issues.filter(i => !lines.has(i.lineNumber));
+
+        const entries = parsed.filter(d => !lines.has(d._lineNumber));
+        for (const { lineNumber, text } of overrides) {
+            const entry = parser.parseEntry(text, lineNumber);
+            if (!entry) continue;
+
+            // Keep per-row metadata from the line being replaced
+            const previous = replaced.get(lineNumber);
+            if (previous?._metadata) entry._metadata = previous._metadata;
+            entries.push(entry);
+        }
+
+        parser.issues.sort((a, b) => a.lineNumber - b.lineNumber);
+        return entries.sort((a, b) => a._lineNumber - b._lineNumber);
+    }
+
+    /**
+     * Attach per-source parser stats to the analyzer's per-source latency breakdown.
+     * Sources where every line failed to parse still get a row.
+     * @param {Array} breakdown - Analyzer source breakdown rows
+     * @param {Array} sourceStats - [{ source, parsed, repaired, failed }]
+     * @returns {Array} Merged breakdown rows
+     */
+    mergeSourceStats(breakdown, sourceStats) {
+        const rows = new Map((breakdown || []).map(row => [row.source, row]));
+        for (const stats of sourceStats) {
+            const row = rows.get(stats.source) || this.emptySourceRow(stats.source);
+            rows.set(stats.source, { ...row, repaired: stats.repaired, failed: stats.failed });
+        }
+        return Array.from(rows.values());
+    }
+
+    /**
+     * Breakdown row for a source that produced no entries
+     */
+    emptySourceRow(source) {
+        return { source, count: 0, highLatencyCount: 0, min: 0, max: 0, p50: 0, p75: 0, p90: 0, p95: 0, p99: 0 };
+    }
+
+    /**
+     * Throw an AbortError if the run was cancelled
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            const error = new Error('Analysis cancelled');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
+    /**
+     * Read file as text (Blob API, so it also works outside the browser)
+     */
+    readFile(file) {
+        return file.text().catch(() => {
+            throw new Error('Failed to read file');
+        });
+    }
+
+    /**
+     * Read file as ArrayBuffer (for Excel files)
+     */
+    readFileAsArrayBuffer(file) {
+        return file.arrayBuffer().catch(() => {
+            throw new Error('Failed to read file');
+        });
+    }
+
+    /**
+     * Sleep helper
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Removed duplicates listed individually in the report
+AnalysisPipeline.MAX_DUPLICATES_LISTED = 200;
+
+// Characters of raw JSON kept for an entry at or below the latency threshold
+AnalysisPipeline.MAX_FAST_RAW_JSON_LENGTH = 4096;
+
+// Export for browser
+window.AnalysisPipeline = AnalysisPipeline;
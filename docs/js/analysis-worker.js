@@ -0,0 +1,39 @@
+/**
+ * Analysis Worker
+ * Runs AnalysisPipeline off the main thread and streams progress back
+ *
+ * Messages in:  { type: 'analyze', input: { sources, threshold, excelOptions, lineOverrides, dedupe, sampling } }
+ * Messages out: { type: 'progress', message, percent }
+ *               { type: 'result', result }
+ *               { type: 'error', message }
+ */
+
+// Modules export themselves on window; alias it to the worker global scope
+self.window = self;
+
+importScripts(
+    'xlsx.min.js',
+    'line-reader.js',
+    'archive-reader.js',
+    'url-reader.js',
+    'diagnostics-schema.js',
+    'json-parser.js',
+    'excel-parser.js',
+    'analyzer.js',
+    'entry-sampler.js',
+    'analysis-pipeline.js'
+);
+
+self.onmessage = async e => {
+    if (e.data?.type !== 'analyze') return;
+
+    try {
+        const pipeline = new AnalysisPipeline();
+        const result = await pipeline.run(e.data.input, (message, percent) => {
+            self.postMessage({ type: 'progress', message, percent });
+        });
+        self.postMessage({ type: 'result', result });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || 'An error occurred during analysis' });
+    }
+};
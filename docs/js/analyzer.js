@@ -4,9 +4,13 @@
  */
 
 class Analyzer {
+    constructor() {
+        this.schema = new DiagnosticsSchema();
+    }
+
     /**
      * Main analysis entry point
-     * @param {Array} diagnostics - Parsed diagnostics objects
+     * @param {Array} diagnostics - Parsed (normalized) diagnostics objects
      * @param {number} threshold - Latency threshold in ms
      * @param {function} progressCallback - Progress callback
      * @param {boolean} skipLatencyFilter - Skip latency filtering (for single entry)
@@ -21,217 +25,1009 @@ class Analyzer {
             networkInteractions: [],
             resourceTypeGroups: [],
             statusCodeGroups: [],
+            partitionGroups: [],
             transportEventGroups: [],
             transportExceptionGroups: [],
+            operationAnalyses: [],
             allHighLatencyDiagnostics: [],
+            sourceBreakdown: [],
+            metadataGroups: [],
             systemMetrics: null,
-            clientConfig: null
+            clientConfig: null,
+            regional: null,
+            replicaHealth: null,
+            retryChains: null,
+            throttling: null,
+            addressResolution: null,
+            connectionStats: null,
+            requestCharge: null
         };
 
+        // Read every entry into the schema model once; everything below works on models
+        const models = diagnostics.map(d => this.schema.read(d));
+
         if (progressCallback) progressCallback('Extracting system metrics...', 40);
         
         // Extract system metrics and client config from ALL entries
-        result.systemMetrics = this.extractSystemMetrics(diagnostics);
-        result.clientConfig = this.extractClientConfig(diagnostics);
+        result.systemMetrics = this.extractSystemMetrics(models);
+        result.clientConfig = this.extractClientConfig(models);
+
+        // Request charge per operation, ResourceType -> OperationType and partition, over time like the heatmap
+        result.requestCharge = this.computeRequestCharge(models, result.clientConfig.heatmapData);
+
+        // 429s per operation and partition, the RetryAfterInMs wait they caused, over time like the heatmap
+        result.throttling = this.computeThrottling(models, result.clientConfig.heatmapData);
 
         if (progressCallback) progressCallback('Filtering high latency entries...', 45);
 
         // Filter high latency entries (skip filter for single entry mode)
         const highLatency = skipLatencyFilter 
-            ? diagnostics 
-            : diagnostics.filter(d => (d.duration || 0) > threshold);
+            ? models 
+            : models.filter(m => m.operation.durationInMs > threshold);
         result.highLatencyEntries = highLatency.length;
 
+        // Per-source breakdown for merged multi-file inputs
+        result.sourceBreakdown = this.computeSourceBreakdown(models, highLatency);
+
+        // Latency per contacted region, cross-region calls and preferred region checks
+        result.regional = this.computeRegionalAnalysis(models, threshold);
+
+        // Per-replica latency and failures, compared with the other replicas of the same partition
+        result.replicaHealth = this.computeReplicaHealth(models);
+
+        // Ordered attempts of operations that retried a failed call, and the retry patterns across them
+        result.retryChains = this.computeRetryChains(models);
+
+        // Gateway address lookups: frequency, latency, endpoints and whether they blocked slow operations
+        result.addressResolution = this.computeAddressResolution(models, threshold);
+
+        // RNTBD endpoint/connection load at request time and how it relates to Transit Time and Received latency
+        result.connectionStats = this.computeConnectionStats(models);
+
         if (progressCallback) progressCallback('Building operation buckets...', 50);
 
         // Store all high latency diagnostics
         result.allHighLatencyDiagnostics = highLatency
-            .map(d => ({
-                name: d.name || 'Unknown',
-                startTime: d.startTime || '',
-                duration: d.duration || 0,
-                directCalls: this.countCalls(d.Summary?.DirectCalls),
-                gatewayCalls: this.countCalls(d.Summary?.GatewayCalls),
-                rawJson: d._rawJson,
-                wasRepaired: d._wasRepaired || false
+            .map(m => ({
+                name: m.operation.name,
+                startTime: m.operation.startTime,
+                duration: m.operation.durationInMs,
+                directCalls: m.operation.directCalls,
+                gatewayCalls: m.operation.gatewayCalls,
+                rawJson: m.rawJson,
+                wasRepaired: m.wasRepaired,
+                droppedFields: m.droppedFields,
+                truncatedFields: m.truncatedFields,
+                source: m.source,
+                lineNumber: m.lineNumber,
+                logPrefix: m.log?.prefix || '',
+                metadata: m.metadata
             }))
             .sort((a, b) => b.duration - a.duration);
 
+        // Group entries by extra columns selected from Excel/CSV inputs
+        result.metadataGroups = this.computeMetadataGroups(result.allHighLatencyDiagnostics);
+
         // Group by operation name
         const bucketMap = new Map();
-        for (const d of highLatency) {
-            const name = d.name || 'Unknown';
+        for (const m of highLatency) {
+            const name = m.operation.name;
             if (!bucketMap.has(name)) {
                 bucketMap.set(name, []);
             }
-            bucketMap.get(name).push(d);
+            bucketMap.get(name).push(m);
         }
 
         // Compute bucket statistics
         result.operationBuckets = Array.from(bucketMap.entries())
             .map(([name, items]) => {
-                const durations = items.map(x => x.duration || 0).sort((a, b) => a - b);
-                const nwCounts = items.map(x => this.countCalls(x.Summary?.DirectCalls));
+                const durations = items.map(x => x.operation.durationInMs).sort((a, b) => a - b);
+                const nwCounts = items.map(x => x.operation.directCalls);
                 
                 return {
                     name,
                     count: items.length,
-                    min: Math.min(...durations),
-                    max: Math.max(...durations),
+                    min: durations[0],
+                    max: durations[durations.length - 1],
                     p50: this.percentile(durations, 50),
                     p75: this.percentile(durations, 75),
                     p90: this.percentile(durations, 90),
                     p95: this.percentile(durations, 95),
                     p99: this.percentile(durations, 99),
-                    minNwCount: Math.min(...nwCounts),
-                    maxNwCount: Math.max(...nwCounts)
+                    minNwCount: nwCounts.reduce((a, b) => Math.min(a, b)),
+                    maxNwCount: nwCounts.reduce((a, b) => Math.max(a, b))
                 };
             })
             .sort((a, b) => b.count - a.count);
 
         if (progressCallback) progressCallback('Extracting network interactions...', 60);
 
-        // Get the highest count operation for detailed analysis
-        const targetOp = result.operationBuckets[0]?.name;
-        if (targetOp) {
-            // Use highLatency (filtered entries) for multi-entry mode, all diagnostics for single entry
-            const targetDiags = highLatency.filter(d => d.name === targetOp);
-            result.networkInteractions = this.extractNetworkInteractions(targetDiags);
+        // Network interactions of every high-latency entry, slowest first; per-operation views filter these
+        const interactions = this.extractNetworkInteractions(highLatency)
+            .sort((a, b) => b.durationInMs - a.durationInMs);
+
+        if (progressCallback) progressCallback('Computing grouped analysis...', 75);
+
+        // "All operations" first, then one analysis per bucket in bucket order
+        if (result.operationBuckets.length > 0) {
+            // Partition statistics cover every call, not only those of high-latency entries
+            const partitionCalls = this.extractPartitionCalls(models);
+            result.operationAnalyses = [
+                this.analyzeNetwork(null, interactions, partitionCalls),
+                ...result.operationBuckets.map(bucket => this.analyzeNetwork(
+                    bucket.name,
+                    interactions.filter(n => n.operation === bucket.name),
+                    partitionCalls.filter(c => c.operation === bucket.name)
+                ))
+            ];
+
+            // Top-level groups describe the highest count operation, the report's default selection
+            const { networkInteractions, resourceTypeGroups, statusCodeGroups, partitionGroups, transportEventGroups, transportExceptionGroups } =
+                result.operationAnalyses[1];
+            Object.assign(result, {
+                networkInteractions, resourceTypeGroups, statusCodeGroups, partitionGroups, transportEventGroups, transportExceptionGroups
+            });
+        }
+
+        if (progressCallback) progressCallback('Complete!', 100);
 
-            // For single entry mode, include all network interactions; for multi-entry, no additional filter needed
-            // since targetDiags already comes from highLatency entries
-            const highLatencyNw = result.networkInteractions;
-            highLatencyNw.sort((a, b) => b.durationInMs - a.durationInMs);
+        return result;
+    }
 
-            if (progressCallback) progressCallback('Computing grouped analysis...', 75);
+    /**
+     * Group the network interactions of one operation (or of all operations)
+     * @param {string|null} operation - Operation name, or null for all operations
+     * @param {Array} interactions - Network interactions of high-latency entries, slowest first
+     * @param {Array} partitionCalls - Calls of all entries of the operation (Analyzer.extractPartitionCalls)
+     * @returns {Object} { operation, networkInteractions, resourceTypeGroups, statusCodeGroups, partitionGroups,
+     *   transportEventGroups, transportExceptionGroups }
+     */
+    analyzeNetwork(operation, interactions, partitionCalls) {
+        return {
+            operation,
+            networkInteractions: interactions,
 
             // Group by ResourceType -> OperationType
-            result.resourceTypeGroups = this.groupBy(
-                highLatencyNw,
+            resourceTypeGroups: this.groupBy(
+                interactions,
                 n => `${n.resourceType || 'Unknown'} → ${n.operationType || 'Unknown'}`
-            );
+            ),
 
             // Group by StatusCode -> SubStatusCode
-            result.statusCodeGroups = this.groupBy(
-                highLatencyNw,
+            statusCodeGroups: this.groupBy(
+                interactions,
                 n => `${n.statusCode || 'Unknown'} → ${n.subStatusCode || 'Unknown'}`
-            );
+            ),
 
-            if (progressCallback) progressCallback('Analyzing transport events...', 85);
+            partitionGroups: this.computePartitionGroups(partitionCalls, interactions),
+
+            transportEventGroups: this.computeTransportEventGroups(interactions),
 
-            // Group by transport event
-            result.transportEventGroups = this.computeTransportEventGroups(highLatencyNw);
-            
             // Group by transport exception (truncate at "(Time:" to group similar exceptions)
-            result.transportExceptionGroups = this.groupBy(
-                highLatencyNw.filter(n => n.transportException),
+            transportExceptionGroups: this.groupBy(
+                interactions.filter(n => n.transportException),
                 n => {
                     const exception = n.transportException || 'None';
                     const timeIndex = exception.indexOf('(Time:');
                     return timeIndex !== -1 ? exception.substring(0, timeIndex).trim() : exception;
                 }
-            );
+            )
+        };
+    }
+
+    /**
+     * Compute per-source entry counts and latency percentiles
+     * @param {Array} models - All diagnostics models
+     * @param {Array} highLatency - Models above the latency threshold
+     * @returns {Array} One row per source, in input order
+     */
+    computeSourceBreakdown(models, highLatency) {
+        const sourceMap = new Map();
+        for (const m of models) {
+            const source = m.source || 'Unknown';
+            if (!sourceMap.has(source)) {
+                sourceMap.set(source, { durations: [], highLatencyCount: 0 });
+            }
+            sourceMap.get(source).durations.push(m.operation.durationInMs);
+        }
+        for (const m of highLatency) {
+            const entry = sourceMap.get(m.source || 'Unknown');
+            if (entry) entry.highLatencyCount++;
         }
 
-        if (progressCallback) progressCallback('Complete!', 100);
+        return Array.from(sourceMap.entries()).map(([source, { durations, highLatencyCount }]) => {
+            durations.sort((a, b) => a - b);
+            return {
+                source,
+                count: durations.length,
+                highLatencyCount,
+                min: durations[0],
+                max: durations[durations.length - 1],
+                p50: this.percentile(durations, 50),
+                p75: this.percentile(durations, 75),
+                p90: this.percentile(durations, 90),
+                p95: this.percentile(durations, 95),
+                p99: this.percentile(durations, 99)
+            };
+        });
+    }
 
-        return result;
+    /**
+     * Latency distribution per contacted region over all analyzed entries.
+     * An operation that contacted several regions counts in each of them.
+     * A call is cross-region when its region differs from the client's VM region.
+     * @param {Array} models - All diagnostics models
+     * @param {number} threshold - Latency threshold in ms
+     * @returns {Object|null} { regions, vmRegions, preferredRegions, applicationRegions, multiRegion,
+     *   crossRegionCalls, unpreferredRegions }, or null when no entry names a region
+     */
+    computeRegionalAnalysis(models, threshold) {
+        const withRegions = models.filter(m => m.regions.contacted.length > 0);
+        if (withRegions.length === 0) return null;
+
+        const unique = values => Array.from(new Set(values.filter(Boolean)));
+        const vmRegions = unique(models.map(m => m.regions.vmRegion));
+        const preferredRegions = unique(models.flatMap(m => m.regions.preferred));
+        const applicationRegions = unique(models.map(m => m.regions.applicationRegion));
+
+        const regionMap = new Map();
+        let calls = 0;
+        let crossRegionCalls = 0;
+        for (const m of withRegions) {
+            for (const region of m.regions.contacted) {
+                if (!regionMap.has(region)) {
+                    regionMap.set(region, { durations: [], highLatencyCount: 0, calls: 0, crossRegionCalls: 0 });
+                }
+                const row = regionMap.get(region);
+                row.durations.push(m.operation.durationInMs);
+                if (m.operation.durationInMs > threshold) row.highLatencyCount++;
+            }
+            for (const store of m.storeResults) {
+                if (!store.region) continue;
+                const row = regionMap.get(store.region);
+                row.calls++;
+                if (!m.regions.vmRegion) continue;
+                calls++;
+                if (store.region !== m.regions.vmRegion) {
+                    row.crossRegionCalls++;
+                    crossRegionCalls++;
+                }
+            }
+        }
+
+        const regions = Array.from(regionMap.entries())
+            .map(([region, { durations, highLatencyCount, calls, crossRegionCalls }]) => {
+                durations.sort((a, b) => a - b);
+                return {
+                    region,
+                    count: durations.length,
+                    highLatencyCount,
+                    min: durations[0],
+                    max: durations[durations.length - 1],
+                    p50: this.percentile(durations, 50),
+                    p75: this.percentile(durations, 75),
+                    p90: this.percentile(durations, 90),
+                    p95: this.percentile(durations, 95),
+                    p99: this.percentile(durations, 99),
+                    calls,
+                    crossRegionCalls,
+                    isVmRegion: vmRegions.includes(region),
+                    // 1-based position in the preferred regions, 0 when not preferred
+                    preferredRank: preferredRegions.indexOf(region) + 1
+                };
+            })
+            .sort((a, b) => b.count - a.count);
+
+        return {
+            regions,
+            vmRegions,
+            preferredRegions,
+            applicationRegions,
+            multiRegion: {
+                count: withRegions.filter(m => m.regions.contacted.length > 1).length,
+                total: withRegions.length
+            },
+            // Only calls of entries that record the VM region can be classified
+            crossRegionCalls: { count: crossRegionCalls, total: calls },
+            unpreferredRegions: preferredRegions.length > 0
+                ? regions.filter(r => r.preferredRank === 0).map(r => r.region)
+                : []
+        };
     }
 
     /**
-     * Count calls from summary object
+     * Health of every replica (StorePhysicalAddress) over all analyzed entries: calls, latency
+     * percentiles, failure and 410 rates and role. A replica is flagged slow when it has at least
+     * MIN_REPLICA_CALLS calls and its P50 exceeds REPLICA_OUTLIER_FACTOR times the P50 of all calls
+     * to the other replicas of its replica set (the same partition path)
+     * @param {Array} models - All diagnostics models
+     * @returns {Object|null} { replicas, replicaSets, byRole }, or null when no call has an address
      */
-    countCalls(callsObj) {
-        if (!callsObj) return 0;
-        return Object.values(callsObj).reduce((sum, val) => sum + (val || 0), 0);
+    computeReplicaHealth(models) {
+        const calls = models.flatMap(m => m.storeResults.filter(store => store.storePhysicalAddress));
+        if (calls.length === 0) return null;
+
+        const withRates = group => {
+            const failedCount = group.entries.filter(call => this.isFailedCall(call)).length;
+            const goneCount = group.entries.filter(call => this.statusCodeNumber(call.statusCode) === 410).length;
+            return { ...group, failedCount, failureRate: failedCount / group.count, goneCount, goneRate: goneCount / group.count };
+        };
+
+        const replicas = this.groupBy(calls, call => call.storePhysicalAddress).map(group => ({
+            ...withRates(group),
+            ...this.parseReplicaAddress(group.key),
+            peerP50: null,
+            isOutlier: false
+        }));
+
+        const replicaSets = new Map();
+        for (const replica of replicas) {
+            if (!replicaSets.has(replica.replicaSet)) replicaSets.set(replica.replicaSet, []);
+            replicaSets.get(replica.replicaSet).push(replica);
+        }
+        for (const replica of replicas) {
+            const peers = replicaSets.get(replica.replicaSet).filter(r => r !== replica);
+            if (peers.length === 0) continue;
+            const peerDurations = peers.flatMap(r => r.entries.map(call => call.durationInMs)).sort((a, b) => a - b);
+            replica.peerP50 = this.percentile(peerDurations, 50);
+            replica.isOutlier = replica.count >= Analyzer.MIN_REPLICA_CALLS &&
+                replica.p50 > Analyzer.REPLICA_OUTLIER_FACTOR * replica.peerP50;
+        }
+
+        return {
+            // Slow replicas first, then by call count
+            replicas: replicas
+                .map(({ entries, ...replica }) => replica)
+                .sort((a, b) => (b.isOutlier - a.isOutlier) || (b.count - a.count)),
+            replicaSets: replicaSets.size,
+            byRole: this.groupBy(calls, call => this.parseReplicaAddress(call.storePhysicalAddress).role)
+                .map(group => {
+                    const { entries, ...row } = withRates(group);
+                    return row;
+                })
+        };
     }
 
     /**
-     * Calculate percentile value
+     * Retry chains over all analyzed entries. An operation's store results, ordered by start
+     * time, form its attempt chain; operations where a failed call was followed by another
+     * attempt are summarized by pattern (e.g. "410/1002 → 200 on secondary"). The latency a
+     * chain added is the time spent in failed attempts and in the gaps before their retries.
+     * @param {Array} models - All diagnostics models
+     * @returns {Object|null} { operations, retried, patterns, chains }, or null when no operation retried
      */
-    percentile(sortedArr, p) {
-        if (sortedArr.length === 0) return 0;
-        const index = Math.ceil((p / 100) * sortedArr.length) - 1;
-        return sortedArr[Math.max(0, Math.min(index, sortedArr.length - 1))];
+    computeRetryChains(models) {
+        const chains = [];
+        let operations = 0;
+        for (const m of models) {
+            if (m.storeResults.length === 0) continue;
+            operations++;
+
+            const attempts = this.buildAttemptChain(m.storeResults);
+            const retries = attempts.filter((a, i) => i > 0 && attempts[i - 1].failed).length;
+            if (retries === 0) continue;
+
+            const addedMs = attempts.reduce((sum, a, i) =>
+                a.failed && i < attempts.length - 1 ? sum + a.durationInMs + (attempts[i + 1].gapMs ?? 0) : sum, 0);
+            chains.push({
+                name: m.operation.name,
+                startTime: m.operation.startTime,
+                durationInMs: m.operation.durationInMs,
+                source: m.source,
+                lineNumber: m.lineNumber,
+                rawJson: m.rawJson,
+                attempts,
+                retries,
+                addedMs,
+                pattern: this.retryPattern(attempts)
+            });
+        }
+        if (chains.length === 0) return null;
+
+        return {
+            operations,
+            retried: chains.length,
+            patterns: this.groupBy(chains, c => c.pattern, c => c.addedMs)
+                .map(({ entries, ...group }) => ({
+                    ...group,
+                    retries: entries.reduce((sum, c) => sum + c.retries, 0),
+                    totalAddedMs: entries.reduce((sum, c) => sum + c.addedMs, 0)
+                })),
+            // Chains that added the most latency first
+            chains: chains.sort((a, b) => b.addedMs - a.addedMs).slice(0, Analyzer.MAX_RETRY_CHAINS)
+        };
     }
 
     /**
-     * Extract network interactions from diagnostics
+     * Address resolution (gateway address lookup) statistics over all analyzed entries.
+     * A lookup is on an operation's critical path when no store call of the operation was in
+     * flight while it ran (the operation waited on it), and follows a 410 when it started after
+     * a 410 response of the same operation. A lookup without an end time was still in flight and
+     * is measured to the operation's end; whether a lookup blocked is unknown (null) when none of
+     * the operation's store calls has a time.
+     * @param {Array} models - All diagnostics models
+     * @param {number} threshold - Latency threshold in ms
+     * @returns {Object|null} { lookups, operations, totalOperations, failed, forceRefresh, after410, inFlight, min ... p99,
+     *   peakPerMinute, byEndpoint, slowOperations }, or null when no entry records a lookup
      */
-    extractNetworkInteractions(diagnostics) {
-        const interactions = [];
+    computeAddressResolution(models, threshold) {
+        const lookups = [];
+        let operations = 0;
+        let slowTotal = 0;
+        let slowWithLookup = 0;
+        let slowBlocked = 0;
+        let slowBlockedMs = 0;
+        let slowUnknown = 0;
+        for (const m of models) {
+            const slow = m.operation.durationInMs > threshold;
+            if (slow) slowTotal++;
+            if (m.addressResolutions.length === 0) continue;
+            operations++;
 
-        for (const diag of diagnostics) {
-            const children = this.getRecursiveChildren(diag);
-            
-            for (const child of children) {
-                const stats = child.data?.clientSideRequestStats?.storeResponseStatistics ||
-                              child.data?.['Client Side Request Stats']?.StoreResponseStatistics;
-                
-                if (!stats) continue;
-
-                for (const stat of stats) {
-                    const storeResult = stat.storeResult || stat.StoreResult;
-                    if (!storeResult) continue;
-
-                    const physicalAddress = storeResult.storePhysicalAddress || 
-                                           storeResult.StorePhysicalAddress;
-                    if (!physicalAddress) continue;
-
-                    const timeline = storeResult.transportRequestTimeline;
-                    const transportException = storeResult.transportException || storeResult.TransportException;
-                    
-                    interactions.push({
-                        resourceType: stat.resourceType || stat.ResourceType,
-                        operationType: stat.operationType || stat.OperationType,
-                        statusCode: storeResult.statusCode || storeResult.StatusCode,
-                        subStatusCode: storeResult.subStatusCode || storeResult.SubStatusCode,
-                        durationInMs: stat.durationInMs || stat.DurationInMs || 0,
-                        beLatencyInMs: storeResult.beLatencyInMs || storeResult.BELatencyInMs,
-                        storePhysicalAddress: physicalAddress,
-                        lastEvent: this.getLastEvent(timeline),
-                        bottleneckEvent: this.getBottleneckEvent(timeline),
-                        timelineEvents: this.extractTimelineEvents(timeline),
-                        transportException: transportException ? (transportException.message || transportException.Message || JSON.stringify(transportException)) : null,
-                        rawJson: diag._rawJson
-                    });
+            const attempts = this.buildAttemptChain(m.storeResults)
+                .filter(a => a.startTime)
+                .map(a => {
+                    const start = new Date(a.startTime).getTime();
+                    return { start, end: start + a.durationInMs, gone: this.statusCodeNumber(a.statusCode) === 410 };
+                });
+
+            const operationEnd = new Date(m.operation.startTime).getTime() + m.operation.durationInMs;
+            // Without any timed store call there is nothing to compare against
+            const comparable = attempts.length > 0 || m.storeResults.length === 0;
+
+            let blockedMs = 0;
+            let unknown = false;
+            for (const lookup of m.addressResolutions) {
+                const start = new Date(lookup.startTime).getTime();
+                const timed = !Number.isNaN(start);
+                // Still in flight when the diagnostics were written: it ran until the operation ended
+                const inFlight = timed && !lookup.endTime;
+                const durationInMs = inFlight
+                    ? (Number.isNaN(operationEnd) ? null : Math.max(0, operationEnd - start))
+                    : lookup.durationInMs;
+                const end = durationInMs === null ? NaN : start + durationInMs;
+                const blocking = timed && comparable && !Number.isNaN(end)
+                    ? !attempts.some(a => a.start < end && start < a.end)
+                    : null;
+                if (blocking) blockedMs += durationInMs;
+                if (blocking === null) unknown = true;
+                lookups.push({
+                    ...lookup,
+                    durationInMs,
+                    inFlight,
+                    time: start,
+                    blocking,
+                    after410: timed && attempts.some(a => a.gone && a.end <= start)
+                });
+            }
+
+            if (slow) {
+                slowWithLookup++;
+                if (blockedMs > 0) {
+                    slowBlocked++;
+                    slowBlockedMs += blockedMs;
+                } else if (unknown) {
+                    slowUnknown++;
                 }
             }
         }
+        if (lookups.length === 0) return null;
 
-        return interactions;
+        // Busiest minute, to spot refresh storms
+        const perMinute = new Map();
+        for (const lookup of lookups.filter(l => !Number.isNaN(l.time))) {
+            const minute = Math.floor(lookup.time / 60000) * 60000;
+            perMinute.set(minute, (perMinute.get(minute) || 0) + 1);
+        }
+        const [peakMinute, peakCount] = Array.from(perMinute.entries()).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+        // Percentiles over lookups with a known duration
+        const latency = items => {
+            const { avg, count, ...stats } = this.computeMetricStats(items
+                .filter(l => l.durationInMs !== null)
+                .map(l => l.durationInMs)
+                .sort((a, b) => a - b));
+            return stats;
+        };
+        return {
+            lookups: lookups.length,
+            operations,
+            totalOperations: models.length,
+            failed: lookups.filter(l => l.error).length,
+            forceRefresh: lookups.filter(l => l.forceRefresh).length,
+            after410: lookups.filter(l => l.after410).length,
+            inFlight: lookups.filter(l => l.inFlight).length,
+            ...latency(lookups),
+            peakPerMinute: { minute: peakMinute !== null ? new Date(peakMinute).toISOString() : '', count: peakCount },
+            byEndpoint: this.groupBy(lookups, l => l.targetEndpoint || 'Unknown')
+                .map(({ key, count, entries }) => ({
+                    key,
+                    count,
+                    ...latency(entries),
+                    failed: entries.filter(l => l.error).length,
+                    after410: entries.filter(l => l.after410).length
+                })),
+            // Operations above the threshold: with any lookup, with lookups on the critical path, and those
+            // whose lookups could not be placed against their store calls (no call times)
+            slowOperations: {
+                total: slowTotal,
+                withLookup: slowWithLookup,
+                blocked: slowBlocked,
+                blockedMs: slowBlockedMs,
+                unknown: slowUnknown
+            }
+        };
+    }
+
+    /**
+     * RNTBD connection statistics over the network calls of all analyzed entries: distributions of
+     * the endpoint and connection load recorded with each call, Transit Time and Received latency per load
+     * bucket, and the Spearman rank correlation between load and those phases. High inflight or pending
+     * receive counts that go with slower phases point at saturated connections.
+     * @param {Array} models - All diagnostics models
+     * @returns {Object|null} { calls, withStats, waitForConnectionInit, distributions, byInflight,
+     *   byPendingReceive, correlations }, or null when no call records connection statistics
+     */
+    computeConnectionStats(models) {
+        // Only the load and two phase durations per call, read straight from the store results
+        let networkCalls = 0;
+        const calls = [];
+        for (const m of models) {
+            for (const store of m.storeResults) {
+                if (!store.storePhysicalAddress) continue;
+                networkCalls++;
+                if (!store.connection) continue;
+                const phase = name => store.events.reduce((duration, e) => (e.event === name ? e.durationInMs : duration), undefined);
+                calls.push({
+                    connection: store.connection,
+                    sinceLastReceiveMs: this.sinceLastReceive(store),
+                    timelineEvents: { 'Transit Time': phase('Transit Time'), 'Received': phase('Received') }
+                });
+            }
+        }
+        if (calls.length === 0) return null;
+
+        const METRICS = {
+            inflightRequests: c => c.connection.inflightRequests,
+            openConnections: c => c.connection.openConnections,
+            callsPendingReceive: c => c.connection.callsPendingReceive,
+            sinceLastReceiveMs: c => c.sinceLastReceiveMs
+        };
+        const PHASES = ['Transit Time', 'Received'];
+        const values = (items, fn) => items.map(fn).filter(v => v !== null && v !== undefined && Number.isFinite(v));
+        const sorted = arr => arr.sort((a, b) => a - b);
+
+        const distributions = {};
+        for (const [metric, fn] of Object.entries(METRICS)) {
+            distributions[metric] = this.computeMetricStats(sorted(values(calls, fn)));
+        }
+
+        const byLoad = fn => Analyzer.CONNECTION_LOAD_BUCKETS
+            .map((bucket, i) => {
+                const next = Analyzer.CONNECTION_LOAD_BUCKETS[i + 1];
+                const entries = calls.filter(c => {
+                    const v = fn(c);
+                    return v !== null && v >= bucket.min && (!next || v < next.min);
+                });
+                const phase = name => sorted(values(entries, c => c.timelineEvents[name]));
+                const transit = phase('Transit Time');
+                const received = phase('Received');
+                return {
+                    bucket: bucket.label,
+                    calls: entries.length,
+                    transitP50: this.percentile(transit, 50),
+                    transitP99: this.percentile(transit, 99),
+                    receivedP50: this.percentile(received, 50),
+                    receivedP99: this.percentile(received, 99)
+                };
+            })
+            .filter(b => b.calls > 0);
+
+        const correlations = [];
+        for (const [metric, fn] of Object.entries(METRICS)) {
+            for (const phase of PHASES) {
+                const pairs = calls
+                    .map(c => [fn(c), c.timelineEvents[phase]])
+                    .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+                correlations.push({
+                    metric,
+                    phase,
+                    calls: pairs.length,
+                    coefficient: this.spearman(pairs)
+                });
+            }
+        }
+
+        return {
+            calls: networkCalls,
+            withStats: calls.length,
+            waitForConnectionInit: calls.filter(c => c.connection.waitForConnectionInit).length,
+            distributions,
+            byInflight: byLoad(METRICS.inflightRequests),
+            byPendingReceive: byLoad(METRICS.callsPendingReceive),
+            correlations
+        };
+    }
+
+    /**
+     * Spearman rank correlation (tied values share their average rank)
+     * @param {Array} pairs - [[x, y]] value pairs
+     * @returns {number|null} Coefficient between -1 and 1, or null with fewer than 3 pairs or constant values
+     */
+    spearman(pairs) {
+        if (pairs.length < 3) return null;
+
+        const ranks = values => {
+            const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+            const result = new Array(values.length);
+            for (let i = 0; i < order.length;) {
+                let j = i;
+                while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+                for (let k = i; k <= j; k++) result[order[k][1]] = (i + j) / 2 + 1;
+                i = j + 1;
+            }
+            return result;
+        };
+        const x = ranks(pairs.map(p => p[0]));
+        const y = ranks(pairs.map(p => p[1]));
+
+        const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+        const mx = mean(x);
+        const my = mean(y);
+        let cov = 0, vx = 0, vy = 0;
+        for (let i = 0; i < x.length; i++) {
+            cov += (x[i] - mx) * (y[i] - my);
+            vx += (x[i] - mx) ** 2;
+            vy += (y[i] - my) ** 2;
+        }
+        if (vx === 0 || vy === 0) return null;
+        return Math.round(cov / Math.sqrt(vx * vy) * 1000) / 1000;
+    }
+
+    /**
+     * Order an operation's store results into attempts. Attempts are ordered by start time
+     * (request start, first transport event, or response time minus duration) and keep their
+     * recorded order when times are missing.
+     * @param {Array} storeResults - Store result models of one operation
+     * @returns {Array} [{ attempt, status, statusCode, subStatusCode, failed, address, role, durationInMs,
+     *   partitionKeyRangeId, retryAfterInMs, gapMs, startTime }]
+     */
+    buildAttemptChain(storeResults) {
+        const time = value => {
+            const ms = value ? new Date(value).getTime() : NaN;
+            return Number.isNaN(ms) ? null : ms;
+        };
+
+        return storeResults
+            .map((store, index) => {
+                const end = time(store.responseTimeUtc);
+                const start = time(store.requestStartTimeUtc) ?? time(store.events[0]?.startTimeUtc) ??
+                    (end !== null ? end - store.durationInMs : null);
+                return { store, index, start, end: end ?? (start !== null ? start + store.durationInMs : null) };
+            })
+            .sort((a, b) => (a.start !== null && b.start !== null ? a.start - b.start : 0) || a.index - b.index)
+            .map(({ store, start, end }, i, ordered) => {
+                const previous = ordered[i - 1];
+                return {
+                    attempt: i + 1,
+                    status: this.statusLabel(store),
+                    statusCode: store.statusCode,
+                    subStatusCode: store.subStatusCode,
+                    failed: this.isFailedCall(store),
+                    address: store.storePhysicalAddress,
+                    role: this.parseReplicaAddress(store.storePhysicalAddress).role,
+                    durationInMs: store.durationInMs,
+                    partitionKeyRangeId: store.partitionKeyRangeId,
+                    retryAfterInMs: store.retryAfterInMs,
+                    // Time between the previous attempt's response and this request; null when either time is unknown
+                    gapMs: previous && previous.end !== null && start !== null ? Math.max(0, start - previous.end) : null,
+                    startTime: start !== null ? new Date(start).toISOString() : ''
+                };
+            });
+    }
+
+    /**
+     * Pattern of an attempt chain: statuses in order with repeats collapsed, and the role of the
+     * replica that served the last attempt, e.g. "410/1002 ×2 → 200 on secondary"
+     * @param {Array} attempts - buildAttemptChain result
+     * @returns {string} Pattern key
+     */
+    retryPattern(attempts) {
+        const steps = [];
+        for (const a of attempts) {
+            const last = steps[steps.length - 1];
+            if (last && last.status === a.status) last.count++;
+            else steps.push({ status: a.status, count: 1 });
+        }
+        const final = attempts[attempts.length - 1];
+        return steps.map(s => s.count > 1 ? `${s.status} ×${s.count}` : s.status).join(' → ') +
+            (final.role !== 'unknown' ? ` on ${final.role}` : '');
+    }
+
+    /**
+     * "status/substatus" label of a call with numeric codes where known, e.g. "410/1002"
+     * @param {Object} call - Store result or network interaction
+     * @returns {string} Status label
+     */
+    statusLabel(call) {
+        const subStatus = Number(call.subStatusCode);
+        return `${this.statusCodeNumber(call.statusCode) ?? call.statusCode ?? 'Unknown'}/${Number.isInteger(subStatus) ? subStatus : 0}`;
+    }
+
+    /**
+     * Split a store physical address into host, replica set and role
+     * @param {string} address - e.g. rntbd://host:14301/apps/.../partitions/3/replicas/4p/
+     * @returns {Object} { host, replicaSet, role: 'primary' | 'secondary' | 'unknown' }
+     */
+    parseReplicaAddress(address) {
+        const match = /^(?:[a-z]+:\/\/)?([^/]+)\/(.*?)\/replicas\/\d+([ps])\/?$/i.exec(address);
+        if (!match) return { host: address, replicaSet: address, role: 'unknown' };
+        return {
+            host: match[1],
+            replicaSet: match[2],
+            role: match[3].toLowerCase() === 'p' ? 'primary' : 'secondary'
+        };
+    }
+
+    /**
+     * Request charge (RU) statistics over all analyzed entries. An operation's charge is the
+     * sum of its store responses; the other groups are per store response.
+     * @param {Array} models - All diagnostics models
+     * @param {Object} heatmap - Latency heatmap buckets; the RU timeline uses the same time buckets
+     * @returns {Object|null} { totalRu, operations, byOperation, byResourceType, byPartition, timeline },
+     *   or null when no store response records a charge
+     */
+    computeRequestCharge(models, heatmap) {
+        const calls = [];
+        const operations = [];
+        for (const m of models) {
+            const charged = m.storeResults.filter(store => store.requestCharge !== null);
+            if (charged.length === 0) continue;
+
+            charged.forEach(store => calls.push({
+                key: `${store.resourceType || 'Unknown'} → ${store.operationType || 'Unknown'}`,
+                partition: store.partitionKeyRangeId,
+                charge: store.requestCharge,
+                bytes: store.responseBytes
+            }));
+            operations.push({
+                key: m.operation.name,
+                charge: charged.reduce((sum, store) => sum + store.requestCharge, 0),
+                bytes: charged.every(store => store.responseBytes !== null)
+                    ? charged.reduce((sum, store) => sum + store.responseBytes, 0)
+                    : null,
+                time: new Date(m.operation.startTime).getTime(),
+                durationInMs: m.operation.durationInMs
+            });
+        }
+        if (operations.length === 0) return null;
+
+        return {
+            totalRu: operations.reduce((sum, op) => sum + op.charge, 0),
+            operations: operations.length,
+            byOperation: this.groupCharges(operations, op => op.key),
+            byResourceType: this.groupCharges(calls, call => call.key),
+            byPartition: this.groupCharges(calls.filter(call => call.partition), call => call.partition),
+            timeline: this.computeChargeTimeline(operations, heatmap)
+        };
+    }
+
+    /**
+     * Group charged items and compute RU statistics per group
+     * @param {Array} items - Items with charge and bytes (null when the response size is unknown)
+     * @param {function} keyFn - Group key for an item
+     * @returns {Array} [{ key, count, totalRu, min, max, p50 ... p99, ruPerKb }] sorted by total RU
+     */
+    groupCharges(items, keyFn) {
+        return this.groupBy(items, keyFn, item => item.charge)
+            .map(({ entries, ...group }) => {
+                const sized = entries.filter(item => item.bytes !== null);
+                const kb = sized.reduce((sum, item) => sum + item.bytes, 0) / 1024;
+                return {
+                    ...group,
+                    totalRu: entries.reduce((sum, item) => sum + item.charge, 0),
+                    // RU per KB of response body, over the items whose response size is known
+                    ruPerKb: kb > 0 ? sized.reduce((sum, item) => sum + item.charge, 0) / kb : null
+                };
+            })
+            .sort((a, b) => b.totalRu - a.totalRu);
+    }
+
+    /**
+     * RU and latency per heatmap time bucket
+     * @param {Array} operations - Charged operations with time, charge and durationInMs
+     * @param {Object} heatmap - Heatmap data with timeBucketsRaw and bucketSizeMs
+     * @returns {Object|null} { timeBuckets, totalRu, maxRu, p99Latency }
+     */
+    computeChargeTimeline(operations, heatmap) {
+        if (!heatmap.timeBucketsRaw || heatmap.timeBucketsRaw.length === 0) return null;
+
+        const buckets = heatmap.timeBucketsRaw.map(() => ({ charges: [], durations: [] }));
+        for (const op of operations) {
+            const i = this.heatmapBucketIndex(heatmap, op.time);
+            if (i === -1) continue;
+            buckets[i].charges.push(op.charge);
+            buckets[i].durations.push(op.durationInMs);
+        }
+
+        const round = value => Math.round(value * 100) / 100;
+        return {
+            timeBuckets: heatmap.timeBuckets,
+            totalRu: buckets.map(b => round(b.charges.reduce((sum, charge) => sum + charge, 0))),
+            maxRu: buckets.map(b => b.charges.length > 0 ? round(b.charges.reduce((a, c) => Math.max(a, c))) : 0),
+            p99Latency: buckets.map(b => b.durations.length > 0
+                ? round(this.percentile(b.durations.sort((x, y) => x - y), 99))
+                : 0)
+        };
     }
 
     /**
-     * Recursively get all children nodes
+     * Index of the heatmap time bucket containing a time
+     * @param {Object} heatmap - Heatmap data with timeBucketsRaw (consecutive buckets) and bucketSizeMs
+     * @param {number} time - Time in ms since the epoch
+     * @returns {number} Bucket index, or -1 when outside the heatmap
      */
-    getRecursiveChildren(obj, results = []) {
-        if (!obj) return results;
-        results.push(obj);
-        if (obj.children && Array.isArray(obj.children)) {
-            for (const child of obj.children) {
-                this.getRecursiveChildren(child, results);
+    heatmapBucketIndex(heatmap, time) {
+        if (!Number.isFinite(time)) return -1;
+        const size = heatmap.bucketSizeMs;
+        const i = Math.round((Math.floor(time / size) * size - heatmap.timeBucketsRaw[0].time) / size);
+        return i >= 0 && i < heatmap.timeBucketsRaw.length ? i : -1;
+    }
+
+    /**
+     * Throttling (429) over all analyzed entries. A throttled call waits its RetryAfterInMs,
+     * or, when the SDK does not record it (Node.js), the measured gap before the next attempt.
+     * @param {Array} models - All diagnostics models
+     * @param {Object} heatmap - Latency heatmap buckets; the 429 timeline uses the same time buckets
+     * @returns {Object|null} { calls, subStatus3200, operations, totalOperations, totalWaitMs, recordedWaitCalls,
+     *   waitShare, throttledWaitShare, byOperation, byPartition, timeline }, or null when no call was throttled
+     */
+    computeThrottling(models, heatmap) {
+        const calls = [];
+        let throttledOperations = 0;
+        let throttledDurationMs = 0;
+        for (const m of models) {
+            const attempts = this.buildAttemptChain(m.storeResults);
+            const throttled = attempts.filter(a => this.statusCodeNumber(a.statusCode) === 429);
+            if (throttled.length === 0) continue;
+
+            throttledOperations++;
+            throttledDurationMs += m.operation.durationInMs;
+            for (const a of throttled) {
+                const next = attempts[a.attempt];
+                calls.push({
+                    operation: m.operation.name,
+                    partition: a.partitionKeyRangeId,
+                    subStatusCode: a.status.split('/')[1],
+                    recorded: a.retryAfterInMs !== null,
+                    waitMs: a.retryAfterInMs ?? next?.gapMs ?? 0,
+                    time: new Date(a.startTime || m.operation.startTime).getTime()
+                });
             }
         }
-        return results;
+        if (calls.length === 0) return null;
+
+        const totalWaitMs = calls.reduce((sum, c) => sum + c.waitMs, 0);
+        const totalDurationMs = models.reduce((sum, m) => sum + m.operation.durationInMs, 0);
+        const withWait = groups => groups.map(({ entries, ...group }) => ({
+            ...group,
+            totalWaitMs: entries.reduce((sum, c) => sum + c.waitMs, 0)
+        }));
+
+        return {
+            calls: calls.length,
+            subStatus3200: calls.filter(c => c.subStatusCode === '3200').length,
+            operations: throttledOperations,
+            totalOperations: models.length,
+            totalWaitMs,
+            recordedWaitCalls: calls.filter(c => c.recorded).length,
+            // Share of the end-to-end duration of all operations, and of the throttled operations
+            waitShare: totalDurationMs > 0 ? totalWaitMs / totalDurationMs : 0,
+            throttledWaitShare: throttledDurationMs > 0 ? totalWaitMs / throttledDurationMs : 0,
+            byOperation: withWait(this.groupBy(calls, c => c.operation, c => c.waitMs)),
+            byPartition: withWait(this.groupBy(calls.filter(c => c.partition), c => c.partition, c => c.waitMs)),
+            timeline: this.computeThrottlingTimeline(calls, models, heatmap)
+        };
+    }
+
+    /**
+     * 429s per heatmap time bucket, as a count and a per-minute rate, with the P99 latency of all operations
+     * @param {Array} calls - Throttled calls with time
+     * @param {Array} models - All diagnostics models
+     * @param {Object} heatmap - Heatmap data with timeBucketsRaw and bucketSizeMs
+     * @returns {Object|null} { timeBuckets, throttled, perMinute, p99Latency }
+     */
+    computeThrottlingTimeline(calls, models, heatmap) {
+        if (!heatmap.timeBucketsRaw || heatmap.timeBucketsRaw.length === 0) return null;
+
+        const throttled = heatmap.timeBucketsRaw.map(() => 0);
+        const durations = heatmap.timeBucketsRaw.map(() => []);
+        for (const c of calls) {
+            const i = this.heatmapBucketIndex(heatmap, c.time);
+            if (i !== -1) throttled[i]++;
+        }
+        for (const m of models) {
+            const i = this.heatmapBucketIndex(heatmap, new Date(m.operation.startTime).getTime());
+            if (i !== -1) durations[i].push(m.operation.durationInMs);
+        }
+
+        const minutes = heatmap.bucketSizeMs / 60000;
+        return {
+            timeBuckets: heatmap.timeBuckets,
+            throttled,
+            perMinute: throttled.map(count => Math.round(count / minutes * 100) / 100),
+            p99Latency: durations.map(d => d.length > 0
+                ? Math.round(this.percentile(d.sort((x, y) => x - y), 99) * 100) / 100
+                : 0)
+        };
     }
 
     /**
-     * Get timeline event duration
+     * Calculate percentile value
      */
-    getTimelineEvent(timeline, eventName) {
-        const events = timeline?.requestTimeline;
-        if (!events) return null;
-        const event = events.find(e => e.event === eventName);
-        return event?.durationInMs ?? null;
+    percentile(sortedArr, p) {
+        if (sortedArr.length === 0) return 0;
+        const index = Math.ceil((p / 100) * sortedArr.length) - 1;
+        return sortedArr[Math.max(0, Math.min(index, sortedArr.length - 1))];
+    }
+
+    /**
+     * Extract network interactions (store results with an address) from models
+     * @param {Array} models - Diagnostics models
+     * @returns {Array} Network interactions
+     */
+    extractNetworkInteractions(models) {
+        const interactions = [];
+
+        for (const model of models) {
+            for (const store of model.storeResults) {
+                if (!store.storePhysicalAddress) continue;
+
+                interactions.push({
+                    operation: model.operation.name,
+                    resourceType: store.resourceType,
+                    operationType: store.operationType,
+                    statusCode: store.statusCode,
+                    subStatusCode: store.subStatusCode,
+                    durationInMs: store.durationInMs,
+                    beLatencyInMs: store.beLatencyInMs,
+                    storePhysicalAddress: store.storePhysicalAddress,
+                    partitionKeyRangeId: store.partitionKeyRangeId,
+                    requestCharge: store.requestCharge,
+                    lastEvent: this.getLastEvent(store.events),
+                    bottleneckEvent: this.getBottleneckEvent(store.events),
+                    timelineEvents: this.extractTimelineEvents(store.events),
+                    transportException: store.transportException,
+                    connection: store.connection,
+                    // Time since the connection last received a response, when the call was sent
+                    sinceLastReceiveMs: this.sinceLastReceive(store),
+                    rawJson: model.rawJson,
+                    source: model.source
+                });
+            }
+        }
+
+        return interactions;
+    }
+
+    /**
+     * Milliseconds between the connection's last receive and the start of a store call
+     * @param {Object} store - Store result model
+     * @returns {number|null} Elapsed ms, or null when either time is missing
+     */
+    sinceLastReceive(store) {
+        const start = new Date(store.requestStartTimeUtc || store.events[0]?.startTimeUtc).getTime();
+        const lastReceive = new Date(store.connection?.lastReceive).getTime();
+        if (!store.connection?.lastReceive || Number.isNaN(start) || Number.isNaN(lastReceive)) return null;
+        return Math.max(0, start - lastReceive);
     }
 
     /**
      * Get last completed event name
+     * @param {Array} events - Transport timeline events
      */
-    getLastEvent(timeline) {
-        const events = timeline?.requestTimeline;
-        if (!events || events.length === 0) return 'Unknown';
+    getLastEvent(events) {
+        if (events.length === 0) return 'Unknown';
         
         const order = ['Completed', 'Received', 'Transit Time', 'Pipelined', 'ChannelAcquisitionStarted', 'Created'];
         for (const name of order) {
@@ -239,27 +1035,23 @@ class Analyzer {
                 return name;
             }
         }
-        return events[events.length - 1]?.event || 'Unknown';
+        return events[events.length - 1].event;
     }
 
     /**
      * Get bottleneck event (highest duration)
+     * @param {Array} events - Transport timeline events
      */
-    getBottleneckEvent(timeline) {
-        const events = timeline?.requestTimeline;
-        if (!events || events.length === 0) return null;
-        
+    getBottleneckEvent(events) {
         return events.reduce((max, e) => 
             (e.durationInMs > (max?.durationInMs ?? 0)) ? e : max, null);
     }
 
     /**
-     * Extract timeline events as object
+     * Extract timeline event durations keyed by event name
+     * @param {Array} events - Transport timeline events
      */
-    extractTimelineEvents(timeline) {
-        const events = timeline?.requestTimeline;
-        if (!events) return {};
-        
+    extractTimelineEvents(events) {
         const result = {};
         for (const e of events) {
             result[e.event] = e.durationInMs;
@@ -267,10 +1059,39 @@ class Analyzer {
         return result;
     }
 
+    /**
+     * Group high latency entries by each metadata column.
+     * Columns with too many distinct values (timestamps, ids) are not grouped.
+     * @param {Array} entries - High latency entries with metadata
+     * @returns {Array} [{ column, groups }]
+     */
+    computeMetadataGroups(entries) {
+        const columns = new Set();
+        for (const entry of entries) {
+            if (entry.metadata) Object.keys(entry.metadata).forEach(c => columns.add(c));
+        }
+
+        const result = [];
+        for (const column of columns) {
+            const groups = this.groupBy(
+                entries,
+                e => String(e.metadata?.[column] ?? '') || '(empty)',
+                e => e.duration
+            );
+            if (groups.length <= Analyzer.MAX_METADATA_GROUPS) {
+                result.push({ column, groups });
+            }
+        }
+        return result;
+    }
+
     /**
      * Generic grouping function
+     * @param {Array} items - Items to group
+     * @param {function} keyFn - Group key for an item
+     * @param {function} valueFn - Latency value for percentiles (defaults to durationInMs)
      */
-    groupBy(items, keyFn) {
+    groupBy(items, keyFn, valueFn = e => e.durationInMs) {
         const groups = new Map();
         
         for (const item of items) {
@@ -283,12 +1104,12 @@ class Analyzer {
 
         return Array.from(groups.entries())
             .map(([key, entries]) => {
-                const durations = entries.map(e => e.durationInMs).sort((a, b) => a - b);
+                const durations = entries.map(valueFn).sort((a, b) => a - b);
                 return {
                     key,
                     count: entries.length,
-                    min: Math.min(...durations),
-                    max: Math.max(...durations),
+                    min: durations[0],
+                    max: durations[durations.length - 1],
                     p50: this.percentile(durations, 50),
                     p75: this.percentile(durations, 75),
                     p90: this.percentile(durations, 90),
@@ -300,6 +1121,87 @@ class Analyzer {
             .sort((a, b) => b.count - a.count);
     }
 
+    /**
+     * Store results with a PartitionKeyRangeId from all entries, reduced to the fields the
+     * partition statistics need, so they stay light over large captures
+     * @param {Array} models - All diagnostics models
+     * @returns {Array} [{ operation, partitionKeyRangeId, statusCode, transportException, requestCharge, durationInMs }]
+     */
+    extractPartitionCalls(models) {
+        const calls = [];
+        for (const m of models) {
+            for (const store of m.storeResults) {
+                if (!store.partitionKeyRangeId) continue;
+                calls.push({
+                    operation: m.operation.name,
+                    partitionKeyRangeId: store.partitionKeyRangeId,
+                    statusCode: store.statusCode,
+                    transportException: store.transportException,
+                    requestCharge: store.requestCharge,
+                    durationInMs: store.durationInMs
+                });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * Group calls of all entries by PartitionKeyRangeId and flag hot partitions: those whose P99
+     * is PARTITION_OUTLIER_FACTOR times the median P99 of the other partitions. Group entries are
+     * the partition's network interactions of high-latency entries, for the drill-down.
+     * @param {Array} calls - Partition calls of all entries (Analyzer.extractPartitionCalls)
+     * @param {Array} interactions - Network interactions of high-latency entries
+     * @returns {Array} groupBy rows with errorCount, errorRate, throttledCount, totalRu and isOutlier
+     */
+    computePartitionGroups(calls, interactions) {
+        const highLatency = new Map();
+        for (const n of interactions.filter(n => n.partitionKeyRangeId)) {
+            if (!highLatency.has(n.partitionKeyRangeId)) highLatency.set(n.partitionKeyRangeId, []);
+            highLatency.get(n.partitionKeyRangeId).push(n);
+        }
+
+        const groups = this.groupBy(calls, c => c.partitionKeyRangeId).map(group => {
+            const errorCount = group.entries.filter(c => this.isFailedCall(c)).length;
+            return {
+                ...group,
+                entries: highLatency.get(group.key) || [],
+                errorCount,
+                errorRate: errorCount / group.count,
+                throttledCount: group.entries.filter(c => this.statusCodeNumber(c.statusCode) === 429).length,
+                totalRu: group.entries.reduce((sum, c) => sum + (c.requestCharge || 0), 0),
+                isOutlier: false
+            };
+        });
+
+        for (const group of groups) {
+            const others = groups.filter(g => g !== group).map(g => g.p99).sort((a, b) => a - b);
+            if (others.length === 0) continue;
+            group.isOutlier = group.p99 > Analyzer.PARTITION_OUTLIER_FACTOR * this.percentile(others, 50);
+        }
+
+        return groups;
+    }
+
+    /**
+     * Numeric HTTP status code of a store result (.NET may record the status name)
+     * @param {number|string} statusCode - Status code or name, e.g. 429 or "TooManyRequests"
+     * @returns {number|null} Status code, or null if unknown
+     */
+    statusCodeNumber(statusCode) {
+        if (typeof statusCode === 'number') return statusCode;
+        const code = Number(statusCode);
+        if (statusCode !== '' && Number.isInteger(code)) return code;
+        return Analyzer.STATUS_CODES[String(statusCode).toLowerCase()] ?? null;
+    }
+
+    /**
+     * Whether a network call failed: a transport exception or an HTTP status of 400 or above
+     * @param {Object} interaction - Network interaction
+     */
+    isFailedCall(interaction) {
+        return Boolean(interaction.transportException) || (this.statusCodeNumber(interaction.statusCode) ?? 0) >= 400;
+    }
+
     /**
      * Compute transport event groupings with phase details
      */
@@ -347,8 +1249,8 @@ class Analyzer {
                         return {
                             phase,
                             count: phaseItems.length,
-                            min: Math.min(...durations),
-                            max: Math.max(...durations),
+                            min: durations[0],
+                            max: durations[durations.length - 1],
                             p50: this.percentile(durations, 50),
                             p75: this.percentile(durations, 75),
                             p90: this.percentile(durations, 90),
@@ -369,8 +1271,8 @@ class Analyzer {
                 return {
                     status,
                     count: items.length,
-                    min: Math.min(...durations),
-                    max: Math.max(...durations),
+                    min: durations[0],
+                    max: durations[durations.length - 1],
                     p50: this.percentile(durations, 50),
                     p75: this.percentile(durations, 75),
                     p90: this.percentile(durations, 90),
@@ -385,54 +1287,12 @@ class Analyzer {
 
     /**
      * Extract system metrics from all diagnostics entries
-     * @param {Array} diagnostics - Parsed diagnostics objects
+     * @param {Array} models - Diagnostics models
      * @returns {Object} System metrics with snapshots and statistics
      */
-    extractSystemMetrics(diagnostics) {
-        const snapshots = [];
-        
-        for (const diag of diagnostics) {
-            const children = this.getRecursiveChildren(diag);
-            const diagTime = diag.startTime || diag['start datetime'];
-            
-            for (const child of children) {
-                // Try multiple paths where System Info might exist
-                const systemInfoSources = [
-                    child.data?.['System Info'],
-                    child.data?.systemInfo,
-                    child.data?.SystemInfo,
-                    child.data?.clientSideRequestStats?.SystemInfo,
-                    child.data?.clientSideRequestStats?.systemInfo,
-                    child.data?.['Client Side Request Stats']?.SystemInfo,
-                    child.data?.['Client Side Request Stats']?.systemInfo,
-                    child.data?.['Client Side Request Stats']?.['System Info']
-                ];
-                
-                for (const systemInfo of systemInfoSources) {
-                    if (!systemInfo?.systemHistory && !systemInfo?.SystemHistory) continue;
-                    
-                    const history = systemInfo.systemHistory || systemInfo.SystemHistory || [];
-                    
-                    for (const entry of history) {
-                        const snapshot = {
-                            timestamp: entry.DateUtc || entry.dateUtc || diagTime,
-                            cpu: entry.Cpu ?? entry.cpu ?? 0,
-                            memoryBytes: entry.Memory ?? entry.memory ?? 0,
-                            memoryMB: (entry.Memory ?? entry.memory ?? 0) / (1024 * 1024),
-                            threadWaitMs: entry.ThreadInfo?.ThreadWaitIntervalInMs ?? 
-                                          entry.threadInfo?.threadWaitIntervalInMs ?? 0,
-                            tcpConnections: entry.NumberOfOpenTcpConnection ?? 
-                                            entry.numberOfOpenTcpConnection ?? 0,
-                            availableThreads: entry.ThreadInfo?.AvailableThreads ?? 
-                                              entry.threadInfo?.availableThreads ?? 0,
-                            isThreadStarving: entry.ThreadInfo?.IsThreadStarving ?? 
-                                              entry.threadInfo?.isThreadStarving ?? 'N/A'
-                        };
-                        snapshots.push(snapshot);
-                    }
-                }
-            }
-        }
+    extractSystemMetrics(models) {
+        const snapshots = models.flatMap(m => m.systemSnapshots)
+            .map(s => ({ ...s, memoryMB: s.memoryBytes / (1024 * 1024) }));
         
         // Sort by timestamp and deduplicate by timestamp
         snapshots.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
@@ -468,31 +1328,24 @@ class Analyzer {
 
     /**
      * Extract client configuration metrics from all diagnostics entries
-     * @param {Array} diagnostics - Parsed diagnostics objects
+     * @param {Array} models - Diagnostics models
      * @returns {Object} Client config with heatmap data and raw snapshots for filtering
      */
-    extractClientConfig(diagnostics) {
+    extractClientConfig(models) {
         const snapshots = [];
         
-        for (const diag of diagnostics) {
-            const config = diag.data?.['Client Configuration'] || 
-                           diag.data?.clientConfiguration ||
-                           diag.data?.ClientConfiguration;
-            
-            const machineId = config?.MachineId ?? config?.machineId ?? 'Unknown';
-            const duration = diag.duration ?? diag['duration in milliseconds'] ?? 0;
-            const timestamp = diag.startTime ?? diag['start datetime'];
-            
+        for (const m of models) {
+            const timestamp = m.operation.startTime;
             if (!timestamp) continue;
             
-            const snapshot = {
+            snapshots.push({
                 timestamp: timestamp,
-                duration: duration,
-                machineId: machineId,
-                connectionMode: config?.ConnectionMode ?? config?.connectionMode ?? '',
-                rawJson: diag._rawJson
-            };
-            snapshots.push(snapshot);
+                duration: m.operation.durationInMs,
+                machineId: m.clientConfig?.machineId ?? 'Unknown',
+                connectionMode: m.clientConfig?.connectionMode ?? '',
+                rawJson: m.rawJson,
+                source: m.source
+            });
         }
         
         // Sort by timestamp
@@ -536,8 +1389,9 @@ class Analyzer {
 
         // Determine time range and bucket size
         const timestamps = snapshots.map(s => new Date(s.timestamp).getTime());
-        const minTime = Math.min(...timestamps);
-        const maxTime = Math.max(...timestamps);
+        // Reduce, not spread: spreading every timestamp as an argument overflows the stack on large captures
+        const minTime = timestamps.reduce((a, b) => Math.min(a, b));
+        const maxTime = timestamps.reduce((a, b) => Math.max(a, b));
         const timeRange = maxTime - minTime;
         
         // Aim for ~30-60 time buckets
@@ -629,5 +1483,38 @@ class Analyzer {
     }
 }
 
+// Metadata columns with more distinct values than this are shown in tables but not grouped
+Analyzer.MAX_METADATA_GROUPS = 50;
+
+// A partition is flagged hot when its P99 exceeds the median P99 of the other partitions by this factor
+Analyzer.PARTITION_OUTLIER_FACTOR = 2;
+
+// Retry chains kept for the report, those that added the most latency first
+Analyzer.MAX_RETRY_CHAINS = 100;
+
+// Replicas need this many calls before they can be flagged slow
+Analyzer.MIN_REPLICA_CALLS = 3;
+
+// A replica is flagged slow when its P50 exceeds the P50 of its replica-set peers by this factor
+Analyzer.REPLICA_OUTLIER_FACTOR = 2;
+
+// Inflight / pending receive count buckets for the connection load latency tables (lower bounds)
+Analyzer.CONNECTION_LOAD_BUCKETS = [
+    { label: '0', min: 0 },
+    { label: '1', min: 1 },
+    { label: '2-4', min: 2 },
+    { label: '5-9', min: 5 },
+    { label: '10-19', min: 10 },
+    { label: '20+', min: 20 }
+];
+
+// Status names recorded by .NET store results, lowercased, to their HTTP status codes
+Analyzer.STATUS_CODES = {
+    ok: 200, created: 201, nocontent: 204, notmodified: 304,
+    badrequest: 400, unauthorized: 401, forbidden: 403, notfound: 404, requesttimeout: 408,
+    conflict: 409, gone: 410, preconditionfailed: 412, requestentitytoolarge: 413,
+    toomanyrequests: 429, retrywith: 449, internalservererror: 500, serviceunavailable: 503
+};
+
 // Export for browser
 window.Analyzer = Analyzer;
@@ -5,8 +5,12 @@
 
 const app = {
     // State
-    selectedFile: null,
+    selectedFiles: [],
     currentResult: null,
+    reportGenerator: null,
+    lineOverrides: [],
+    activeRun: null,
+    excelInfo: null,
     currentJsonContent: '',
 
     // DOM elements (initialized on load)
@@ -19,12 +23,25 @@ const app = {
         this.elements = {
             dropArea: document.getElementById('dropArea'),
             fileInput: document.getElementById('fileInput'),
+            folderInput: document.getElementById('folderInput'),
+            browseFolderLink: document.getElementById('browseFolderLink'),
             fileInfo: document.getElementById('fileInfo'),
+            excelOptions: document.getElementById('excelOptions'),
+            excelSheet: document.getElementById('excelSheet'),
+            excelColumn: document.getElementById('excelColumn'),
+            excelMetadata: document.getElementById('excelMetadata'),
+            excelHeaderNote: document.getElementById('excelHeaderNote'),
             textInput: document.getElementById('textInput'),
             clearTextBtn: document.getElementById('clearTextBtn'),
+            urlInput: document.getElementById('urlInput'),
+            loadUrlBtn: document.getElementById('loadUrlBtn'),
             lineCounter: document.getElementById('lineCounter'),
             analyzeBtn: document.getElementById('analyzeBtn'),
             latencyThreshold: document.getElementById('latencyThreshold'),
+            dedupeEntries: document.getElementById('dedupeEntries'),
+            samplingMode: document.getElementById('samplingMode'),
+            sampleSize: document.getElementById('sampleSize'),
+            sampleSizeLabel: document.getElementById('sampleSizeLabel'),
             uploadSection: document.getElementById('upload-section'),
             progressSection: document.getElementById('progress-section'),
             progressFill: document.getElementById('progressFill'),
@@ -36,6 +53,7 @@ const app = {
             downloadBtn: document.getElementById('downloadBtn'),
             newAnalysisBtn: document.getElementById('newAnalysisBtn'),
             retryBtn: document.getElementById('retryBtn'),
+            cancelBtn: document.getElementById('cancelBtn'),
             jsonModal: document.getElementById('jsonModal'),
             jsonContent: document.getElementById('jsonContent'),
             modalClose: document.getElementById('modalClose'),
@@ -47,6 +65,7 @@ const app = {
 
         this.setupEventListeners();
         this.displayVersion();
+        this.loadFromQuery();
     },
 
     /**
@@ -62,8 +81,8 @@ const app = {
      * Setup all event listeners
      */
     setupEventListeners() {
-        const { dropArea, fileInput, textInput, clearTextBtn, analyzeBtn, downloadBtn, newAnalysisBtn, retryBtn,
-                modalClose, copyJsonBtn, formatJsonBtn, timelineBtn, jsonModal } = this.elements;
+        const { dropArea, fileInput, folderInput, browseFolderLink, textInput, clearTextBtn, urlInput, loadUrlBtn, analyzeBtn, downloadBtn, newAnalysisBtn, retryBtn,
+                cancelBtn, modalClose, copyJsonBtn, formatJsonBtn, timelineBtn, jsonModal, excelSheet, excelColumn, samplingMode, sampleSizeLabel } = this.elements;
 
         // File input
         dropArea.addEventListener('click', () => fileInput.click());
@@ -71,16 +90,39 @@ const app = {
         dropArea.addEventListener('dragleave', e => this.handleDragLeave(e));
         dropArea.addEventListener('drop', e => this.handleDrop(e));
         fileInput.addEventListener('change', e => this.handleFileSelect(e));
+        folderInput.addEventListener('change', e => this.handleFolderSelect(e));
+        browseFolderLink.addEventListener('click', e => {
+            e.preventDefault();
+            e.stopPropagation();
+            folderInput.click();
+        });
+
+        // Excel sheet/column picker
+        excelSheet.addEventListener('change', () => this.renderExcelColumns());
+        excelColumn.addEventListener('change', () => this.renderExcelMetadata());
+
+        // Sample size only applies when sampling
+        samplingMode.addEventListener('change', () => {
+            sampleSizeLabel.hidden = !samplingMode.value;
+        });
 
         // Text input
         textInput.addEventListener('input', () => this.handleTextInput());
         clearTextBtn.addEventListener('click', () => this.clearTextInput());
 
+        // URL input
+        loadUrlBtn.addEventListener('click', () => this.loadFromUrl());
+        urlInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.loadFromUrl();
+        });
+        urlInput.addEventListener('input', () => urlInput.setCustomValidity(''));
+
         // Buttons
         analyzeBtn.addEventListener('click', () => this.analyze());
         downloadBtn.addEventListener('click', () => this.downloadHtml());
         newAnalysisBtn.addEventListener('click', () => this.reset());
         retryBtn.addEventListener('click', () => this.reset());
+        cancelBtn.addEventListener('click', () => this.cancelAnalysis());
 
         // Modal
         modalClose.addEventListener('click', () => this.closeModal());
@@ -126,14 +168,14 @@ const app = {
     },
 
     /**
-     * Handle file drop
+     * Handle file drop (files and/or folders)
      */
-    handleDrop(e) {
+    async handleDrop(e) {
         e.preventDefault();
         this.elements.dropArea.classList.remove('dragover');
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            this.selectFile(files[0]);
+        const sources = await this.collectDroppedSources(e.dataTransfer);
+        if (sources.length > 0) {
+            this.selectSources(sources);
         }
     },
 
@@ -141,22 +183,251 @@ const app = {
      * Handle file selection
      */
     handleFileSelect(e) {
-        if (e.target.files.length > 0) {
-            this.selectFile(e.target.files[0]);
+        const files = Array.from(e.target.files);
+        if (files.length > 0) {
+            this.selectSources(files.map(file => ({ name: file.name, file })));
+        }
+    },
+
+    /**
+     * Handle folder selection - keeps supported files only
+     */
+    handleFolderSelect(e) {
+        const sources = Array.from(e.target.files)
+            .filter(file => this.isSupportedFile(file.name))
+            .map(file => ({ name: file.webkitRelativePath || file.name, file }));
+        if (sources.length > 0) {
+            this.selectSources(sources);
+        }
+    },
+
+    /**
+     * Supported diagnostics file extensions (used to filter folder contents)
+     */
+    SUPPORTED_EXTENSIONS: ['txt', 'json', 'jsonl', 'log', 'xlsx', 'xls', 'xlsb', 'csv', 'ods', 'gz', 'zip'],
+
+    /**
+     * Check if a file name has a supported extension
+     */
+    isSupportedFile(filename) {
+        const ext = filename.toLowerCase().split('.').pop();
+        return this.SUPPORTED_EXTENSIONS.includes(ext);
+    },
+
+    /**
+     * Collect dropped files, walking dropped folders recursively
+     * @param {DataTransfer} dataTransfer - Drop event data
+     * @returns {Promise<Array>} Sources as [{ name, file }]
+     */
+    async collectDroppedSources(dataTransfer) {
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        // Browsers without the entries API only expose top-level files
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files).map(file => ({ name: file.name, file }));
+        }
+
+        const sources = [];
+        for (const entry of entries) {
+            await this.walkEntry(entry, sources, true);
         }
+        return sources;
+    },
+
+    /**
+     * Recursively collect files from a FileSystemEntry
+     * @param {FileSystemEntry} entry - File or directory entry
+     * @param {Array} sources - Accumulator of { name, file }
+     * @param {boolean} isTopLevel - Top-level files are kept regardless of extension
+     */
+    async walkEntry(entry, sources, isTopLevel = false) {
+        if (entry.isFile) {
+            if (!isTopLevel && !this.isSupportedFile(entry.name)) return;
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            sources.push({ name: entry.fullPath.replace(/^\//, ''), file });
+            return;
+        }
+
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            // readEntries returns results in batches until an empty batch
+            while (true) {
+                const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                if (batch.length === 0) break;
+                for (const child of batch) {
+                    await this.walkEntry(child, sources);
+                }
+            }
+        }
+    },
+
+    /**
+     * Select the URL typed into the URL input
+     */
+    loadFromUrl() {
+        const { urlInput } = this.elements;
+        const url = urlInput.value.trim();
+        if (!url) return;
+
+        try {
+            this.selectSources([UrlReader.toSource(url, window.location.href)]);
+        } catch (e) {
+            urlInput.setCustomValidity(e.message);
+            urlInput.reportValidity();
+        }
+    },
+
+    /**
+     * Auto-load captures named by ?src= in the page URL, e.g. index.html?src=http://localhost:8080/run.jsonl
+     */
+    loadFromQuery() {
+        let sources;
+        try {
+            sources = UrlReader.sourcesFromQuery(window.location.search, window.location.href);
+        } catch (e) {
+            this.showError(e.message);
+            return;
+        }
+        if (sources.length === 0) return;
+
+        this.selectSources(sources);
+        this.elements.urlInput.value = sources[0].url;
+        this.analyze();
     },
 
     /**
-     * Select and display file info
+     * Select sources and display file info
+     * @param {Array} sources - [{ name, file }] or [{ name, url }]
      */
-    selectFile(file) {
-        this.selectedFile = file;
-        this.elements.fileInfo.textContent = `📄 ${file.name} (${this.formatSize(file.size)})`;
-        this.elements.fileInfo.classList.add('visible');
+    selectSources(sources) {
+        this.selectedFiles = sources;
+        this.lineOverrides = [];
+        const totalSize = sources.reduce((sum, s) => sum + (s.file ? s.file.size : 0), 0);
+        const { fileInfo } = this.elements;
+
+        if (sources.length === 1 && sources[0].url) {
+            fileInfo.textContent = `🌐 ${sources[0].name}`;
+            fileInfo.title = sources[0].url;
+        } else if (sources.length === 1) {
+            fileInfo.textContent = `📄 ${sources[0].name} (${this.formatSize(totalSize)})`;
+            fileInfo.title = '';
+        } else if (sources[0].url) {
+            fileInfo.textContent = `🌐 ${sources.length} URLs`;
+            fileInfo.title = sources.map(s => s.url).join('\n');
+        } else {
+            fileInfo.textContent = `📄 ${sources.length} files (${this.formatSize(totalSize)})`;
+            fileInfo.title = sources.map(s => s.name).join('\n');
+        }
+        if (!sources[0].url) {
+            this.elements.urlInput.value = '';
+        }
+        fileInfo.classList.add('visible');
         this.elements.analyzeBtn.disabled = false;
         
         // Clear text input when file is selected
         this.clearTextInput();
+
+        this.loadExcelOptions(sources);
+    },
+
+    /**
+     * Show the sheet/column picker for the first local Excel/CSV source.
+     * The chosen sheet and columns are applied to every Excel source by header name.
+     * @param {Array} sources - [{ name, file }]
+     */
+    async loadExcelOptions(sources) {
+        this.hideExcelOptions();
+        const excelSource = sources.find(s => s.file && ExcelParser.isExcelFile(s.name));
+        if (!excelSource) return;
+
+        try {
+            const buffer = await excelSource.file.arrayBuffer();
+            // Ignore a stale read if the selection changed meanwhile
+            if (!this.selectedFiles.includes(excelSource)) return;
+            this.excelInfo = new ExcelParser().getSheetInfo(buffer);
+        } catch (e) {
+            console.warn('Could not read sheet info:', e);
+            return;
+        }
+
+        const { excelOptions, excelSheet } = this.elements;
+        excelSheet.innerHTML = this.excelInfo.sheets
+            .map(sheet => `<option value="${this.escapeHtml(sheet.name)}">${this.escapeHtml(sheet.name)} (${sheet.rowCount.toLocaleString()} rows)</option>`)
+            .join('');
+        this.renderExcelColumns();
+        excelOptions.hidden = false;
+    },
+
+    /**
+     * Fill the diagnostics column choices for the selected sheet
+     */
+    renderExcelColumns() {
+        const sheet = this.getSelectedSheet();
+        if (!sheet) return;
+
+        const { excelColumn, excelHeaderNote } = this.elements;
+        excelColumn.innerHTML = sheet.headers
+            .map((header, i) => `<option value="${i}"${i === sheet.diagnosticsColumn ? ' selected' : ''}>${this.escapeHtml(header)}</option>`)
+            .join('');
+        excelHeaderNote.textContent = sheet.hasHeader ? '(header row detected)' : '(no header row)';
+        this.renderExcelMetadata();
+    },
+
+    /**
+     * Offer every column except the diagnostics column as metadata
+     */
+    renderExcelMetadata() {
+        const sheet = this.getSelectedSheet();
+        if (!sheet) return;
+
+        const column = parseInt(this.elements.excelColumn.value);
+        this.elements.excelMetadata.innerHTML = sheet.headers
+            .map((header, i) => i === column ? '' : `
+                <label><input type="checkbox" value="${i}"> ${this.escapeHtml(header)}</label>`)
+            .join('') || '<span class="note">No other columns</span>';
+    },
+
+    /**
+     * Sheet info for the sheet chosen in the picker
+     */
+    getSelectedSheet() {
+        return this.excelInfo?.sheets.find(s => s.name === this.elements.excelSheet.value);
+    },
+
+    /**
+     * Picker selection as pipeline options (columns by header name)
+     * @returns {Object|undefined} { sheetName, column, metadataColumns }
+     */
+    getExcelOptions() {
+        const sheet = this.getSelectedSheet();
+        if (!sheet) return undefined;
+
+        const checked = Array.from(this.elements.excelMetadata.querySelectorAll('input:checked'));
+        return {
+            sheetName: sheet.name,
+            column: sheet.headers[parseInt(this.elements.excelColumn.value)],
+            metadataColumns: checked.map(input => sheet.headers[parseInt(input.value)])
+        };
+    },
+
+    /**
+     * Sampling selection as pipeline options
+     * @returns {Object|null} { mode, size } or null to analyze every entry
+     */
+    getSamplingOptions() {
+        const mode = this.elements.samplingMode.value;
+        if (!mode) return null;
+        return { mode, size: parseInt(this.elements.sampleSize.value) || EntrySampler.DEFAULT_SIZE };
+    },
+
+    /**
+     * Hide the sheet/column picker
+     */
+    hideExcelOptions() {
+        this.excelInfo = null;
+        this.elements.excelOptions.hidden = true;
     },
 
     /**
@@ -174,10 +445,14 @@ const app = {
         if (text.trim()) {
             this.elements.analyzeBtn.disabled = false;
             // Clear file selection when text is entered
-            this.selectedFile = null;
+            this.selectedFiles = [];
+            this.lineOverrides = [];
+            this.hideExcelOptions();
             this.elements.fileInfo.classList.remove('visible');
             this.elements.fileInput.value = '';
-        } else if (!this.selectedFile) {
+            this.elements.folderInput.value = '';
+            this.elements.urlInput.value = '';
+        } else if (this.selectedFiles.length === 0) {
             this.elements.analyzeBtn.disabled = true;
         }
     },
@@ -192,7 +467,7 @@ const app = {
         this.elements.clearTextBtn.disabled = true;
         
         // Only disable analyze if no file selected
-        if (!this.selectedFile) {
+        if (this.selectedFiles.length === 0) {
             this.elements.analyzeBtn.disabled = true;
         }
     },
@@ -213,7 +488,7 @@ const app = {
         const textContent = this.elements.textInput.value.trim();
         
         // Check if we have either file or text input
-        if (!this.selectedFile && !textContent) return;
+        if (this.selectedFiles.length === 0 && !textContent) return;
 
         const { analyzeBtn } = this.elements;
         const btnText = analyzeBtn.querySelector('.btn-text');
@@ -227,66 +502,23 @@ const app = {
         this.updateProgress('Reading input...', 5);
 
         try {
-            let content;
-            
-            // Use text input if available, otherwise use file
-            if (textContent) {
-                content = textContent;
-                this.updateProgress('Processing pasted text...', 10);
-            } else if (this.selectedFile) {
-                // Read file - handle Excel vs text files
-                const isExcel = ExcelParser.isExcelFile(this.selectedFile.name);
-                
-                if (isExcel) {
-                    this.updateProgress('Reading Excel file...', 5);
-                    const arrayBuffer = await this.readFileAsArrayBuffer(this.selectedFile);
-                    const excelParser = new ExcelParser();
-                    content = excelParser.parse(arrayBuffer, (msg, pct) => {
-                        this.updateProgress(msg, pct);
-                    });
-                } else {
-                    content = await this.readFile(this.selectedFile);
-                }
-            }
-            
-            this.updateProgress('Parsing JSON lines...', 10);
-
-            // Allow UI to update
-            await this.sleep(50);
-
-            // Parse
-            const parser = new JsonParser();
-            const diagnostics = parser.parseLines(content, (msg, pct) => {
-                this.updateProgress(msg, pct);
-            });
-
-            const stats = parser.getStats();
-            this.updateProgress(`Parsed ${diagnostics.length} entries (${stats.repaired} repaired)`, 42);
-            await this.sleep(50);
-
-            // Analyze
             const threshold = parseInt(this.elements.latencyThreshold.value) || 600;
-            const analyzer = new Analyzer();
-            this.currentResult = analyzer.analyze(diagnostics, threshold, (msg, pct) => {
-                this.updateProgress(msg, pct);
-            }, stats.isSingleEntry);
-
-            // Add parser stats to result
-            this.currentResult.parsedEntries = diagnostics.length;
-            this.currentResult.repairedEntries = stats.repaired;
-            this.currentResult.failedEntries = stats.failed;
-            this.currentResult.isSingleEntry = stats.isSingleEntry;
-            
-            // Store raw JSON for single entry view
-            if (stats.isSingleEntry && diagnostics.length === 1) {
-                this.currentResult.singleEntryRawJson = diagnostics[0]._rawJson || '';
-            }
+            const sources = textContent
+                ? [{ name: 'Pasted text', text: textContent }]
+                : this.selectedFiles;
+            const excelOptions = textContent ? undefined : this.getExcelOptions();
+            const lineOverrides = this.lineOverrides;
+            const dedupe = this.elements.dedupeEntries.checked;
+            const sampling = this.getSamplingOptions();
+            this.currentResult = await this.runAnalysis({ sources, threshold, excelOptions, lineOverrides, dedupe, sampling });
 
             // Generate report
             this.updateProgress('Generating report...', 95);
             await this.sleep(50);
 
+            // Kept for re-rendering sections, so generated element ids stay unique
             const generator = new ReportGenerator();
+            this.reportGenerator = generator;
             const html = generator.generate(this.currentResult);
 
             // Display
@@ -301,9 +533,12 @@ const app = {
             this.showSection('results');
 
         } catch (error) {
+            // Cancelled runs have already returned to the upload view
+            if (error.name === 'AbortError') return;
             console.error('Analysis error:', error);
             this.showError(error.message || 'An error occurred during analysis');
         } finally {
+            this.activeRun = null;
             btnText.hidden = false;
             btnLoading.hidden = true;
             analyzeBtn.disabled = false;
@@ -311,27 +546,82 @@ const app = {
     },
 
     /**
-     * Read file as text
+     * Run the analysis pipeline in a Web Worker, falling back to the main thread
+     * when workers are unavailable (e.g. page opened from file://)
+     * @param {Object} input - { sources, threshold, excelOptions, lineOverrides, dedupe, sampling }
+     * @returns {Promise<Object>} Analysis result
      */
-    readFile(file) {
+    runAnalysis(input) {
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
+            const controller = new AbortController();
+            let worker = null;
+            let started = false;
+
+            const runOnMainThread = () => {
+                if (worker) worker.terminate();
+                worker = null;
+                new AnalysisPipeline()
+                    .run(input, (msg, pct) => this.updateProgress(msg, pct), controller.signal)
+                    .then(resolve, reject);
+            };
+
+            this.activeRun = {
+                cancel: () => {
+                    controller.abort();
+                    if (worker) worker.terminate();
+                    const error = new Error('Analysis cancelled');
+                    error.name = 'AbortError';
+                    reject(error);
+                }
+            };
+
+            try {
+                worker = new Worker('js/analysis-worker.js');
+            } catch (e) {
+                console.warn('Analysis worker unavailable, running on main thread:', e.message);
+                runOnMainThread();
+                return;
+            }
+
+            worker.onmessage = e => {
+                const msg = e.data;
+                started = true;
+                if (msg.type === 'progress') {
+                    this.updateProgress(msg.message, msg.percent);
+                } else if (msg.type === 'result') {
+                    worker.terminate();
+                    resolve(msg.result);
+                } else if (msg.type === 'error') {
+                    worker.terminate();
+                    reject(new Error(msg.message));
+                }
+            };
+
+            worker.onerror = e => {
+                e.preventDefault();
+                // Script failed to load before any message - retry without a worker
+                if (!started) {
+                    console.warn('Analysis worker failed to start, running on main thread:', e.message);
+                    runOnMainThread();
+                } else {
+                    worker.terminate();
+                    reject(new Error(e.message || 'Analysis worker failed'));
+                }
+            };
+
+            worker.postMessage({ type: 'analyze', input });
         });
     },
 
     /**
-     * Read file as ArrayBuffer (for Excel files)
+     * Cancel the running analysis and return to the upload view
      */
-    readFileAsArrayBuffer(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsArrayBuffer(file);
-        });
+    cancelAnalysis() {
+        if (!this.activeRun) return;
+        this.activeRun.cancel();
+        this.activeRun = null;
+        this.elements.progressFill.style.width = '0%';
+        this.showSection('upload');
     },
 
     /**
@@ -372,11 +662,16 @@ const app = {
      * Reset UI
      */
     reset() {
-        this.selectedFile = null;
+        this.selectedFiles = [];
+        this.lineOverrides = [];
         this.currentResult = null;
+        this.reportGenerator = null;
         this.elements.fileInput.value = '';
+        this.elements.folderInput.value = '';
+        this.elements.urlInput.value = '';
         this.elements.fileInfo.textContent = '';
         this.elements.fileInfo.classList.remove('visible');
+        this.hideExcelOptions();
         this.clearTextInput();
         this.elements.analyzeBtn.disabled = true;
         this.elements.progressFill.style.width = '0%';
@@ -403,6 +698,17 @@ const app = {
         
         // Client Config Chart
         this.initClientConfigChart();
+
+        // Request Charge Timeline
+        this.initP99TimelineChart('ruTimelineChart', 'RU', [
+            { name: 'Total RU', type: 'bar', field: 'totalRu', color: 'rgba(129, 199, 132, 0.6)' },
+            { name: 'Max Operation RU', type: 'line', field: 'maxRu', color: '#ffb74d' }
+        ]);
+
+        // 429s per Minute
+        this.initP99TimelineChart('throttlingChart', '429s / min', [
+            { name: '429s per Minute', type: 'bar', field: 'perMinute', color: 'rgba(255, 183, 77, 0.7)' }
+        ]);
     },
 
     /**
@@ -569,6 +875,83 @@ const app = {
         }
     },
 
+    /**
+     * Initialize a timeline EChart of per heatmap time bucket series against P99 latency
+     * (used by the RU timeline and the 429s per minute chart)
+     * @param {string} id - Chart element ID; its data is in the `${id}-data` script
+     * @param {string} axisName - Left axis name
+     * @param {Array} series - Left axis series: [{ name, type: 'bar' | 'line', field, color }]
+     */
+    initP99TimelineChart(id, axisName, series) {
+        const container = document.getElementById(id);
+        const dataEl = document.getElementById(id + '-data');
+
+        if (!container || !dataEl || !window.echarts) return;
+
+        try {
+            const data = JSON.parse(dataEl.textContent);
+            const chart = echarts.init(container, null, { renderer: 'canvas' });
+            const allSeries = [...series, { name: 'P99 Latency (ms)', type: 'line', field: 'p99Latency', color: '#ef5350', yAxisIndex: 1 }];
+
+            chart.setOption({
+                backgroundColor: 'transparent',
+                tooltip: {
+                    trigger: 'axis',
+                    axisPointer: { type: 'cross' },
+                    backgroundColor: 'rgba(30, 30, 30, 0.95)',
+                    borderColor: '#444',
+                    textStyle: { color: '#d4d4d4' }
+                },
+                legend: {
+                    data: allSeries.map(s => s.name),
+                    textStyle: { color: '#d4d4d4' },
+                    top: 10
+                },
+                toolbox: {
+                    feature: {
+                        saveAsImage: { title: 'Save Image', pixelRatio: 2 }
+                    },
+                    right: 20,
+                    iconStyle: { borderColor: '#808080' },
+                    emphasis: { iconStyle: { borderColor: '#4fc3f7' } }
+                },
+                grid: { left: 60, right: 60, top: 60, bottom: 60 },
+                xAxis: {
+                    type: 'category',
+                    data: data.timeBuckets,
+                    axisLabel: { color: '#808080', rotate: 45, fontSize: 9 },
+                    axisLine: { lineStyle: { color: '#444' } }
+                },
+                yAxis: [
+                    {
+                        type: 'value', name: axisName, position: 'left',
+                        axisLabel: { color: '#808080' }, nameTextStyle: { color: '#808080' },
+                        splitLine: { lineStyle: { color: '#333' } }
+                    },
+                    {
+                        type: 'value', name: 'P99 (ms)', position: 'right',
+                        axisLabel: { color: '#808080' }, nameTextStyle: { color: '#808080' },
+                        splitLine: { show: false }
+                    }
+                ],
+                series: allSeries.map(s => ({
+                    name: s.name, type: s.type, data: data[s.field], yAxisIndex: s.yAxisIndex || 0,
+                    ...(s.type === 'bar'
+                        ? { itemStyle: { color: s.color } }
+                        : { symbol: 'none', lineStyle: { width: 2, color: s.color } })
+                })),
+                animation: true,
+                animationDuration: 500
+            });
+
+            this.chartInstances.push(chart);
+            setTimeout(() => chart.resize(), 100);
+            window.addEventListener('resize', () => chart.resize());
+        } catch (e) {
+            console.error(`Error creating ${id} chart:`, e);
+        }
+    },
+
     /**
      * Initialize Client Config EChart
      */
@@ -896,6 +1279,7 @@ const app = {
                         <th class="row-num">#</th>
                         <th>Timestamp</th>
                         <th>Duration (ms)</th>
+                        <th>Source</th>
                         <th>Action</th>
                     </tr>
                 </thead>
@@ -909,6 +1293,7 @@ const app = {
                     <td class="row-num">${i + 1}</td>
                     <td><span class="str">${this.escapeHtml(s.timestamp)}</span></td>
                     <td><span class="num">${s.duration.toFixed(2)}</span></td>
+                    <td><span class="str">${this.escapeHtml(s.source || '-')}</span></td>
                     <td><button class="btn-view" onclick="app.showHeatmapEntryJson('${jsonId}')">View</button></td>
                 </tr>
             `;
@@ -918,7 +1303,7 @@ const app = {
         });
         
         if (snapshots.length > 50) {
-            html += `<tr><td colspan="4" style="text-align:center;color:#808080;">... and ${snapshots.length - 50} more entries</td></tr>`;
+            html += `<tr><td colspan="5" style="text-align:center;color:#808080;">... and ${snapshots.length - 50} more entries</td></tr>`;
         }
         
         html += '</tbody></table>';
@@ -995,6 +1380,36 @@ const app = {
         }
     },
 
+    /**
+     * Show or hide the inline editor of a parsing issue
+     */
+    toggleIssueEditor(index) {
+        const row = document.getElementById(`issue-edit-${index}`);
+        if (row) row.hidden = !row.hidden;
+    },
+
+    /**
+     * Re-run the analysis with edited lines replacing the original ones
+     */
+    rerunWithFixes() {
+        const editors = this.elements.resultsContainer.querySelectorAll('.issue-editor');
+        const edits = Array.from(editors)
+            .filter(editor => editor.value.trim() !== editor.defaultValue.trim())
+            .map(editor => ({
+                source: editor.dataset.source,
+                lineNumber: parseInt(editor.dataset.line),
+                text: editor.value
+            }));
+        if (edits.length === 0) return;
+
+        // Later edits of the same line win over earlier ones
+        const key = o => `${o.source}\n${o.lineNumber}`;
+        const merged = new Map(this.lineOverrides.map(o => [key(o), o]));
+        edits.forEach(o => merged.set(key(o), o));
+        this.lineOverrides = Array.from(merged.values());
+        this.analyze();
+    },
+
     /**
      * Show bucket details
      */
@@ -1021,6 +1436,24 @@ const app = {
         }
     },
 
+    /**
+     * Render the network analysis sections of another operation
+     * @param {string} index - Index into result.operationAnalyses (0 is all operations)
+     */
+    selectOperation(index) {
+        const analysis = this.currentResult?.operationAnalyses[index];
+        const container = document.getElementById('operation-network');
+        if (!analysis || !container || !this.reportGenerator) return;
+
+        // The report generator embedded every entry's JSON, so the new tables reuse its ids
+        container.innerHTML = this.reportGenerator.generateNetworkSections(analysis, this.currentResult.threshold);
+
+        // Keep the choice in the markup so the downloaded HTML opens on the same operation
+        document.querySelectorAll('#operationSelect option').forEach(option => {
+            option.toggleAttribute('selected', option.value === String(index));
+        });
+    },
+
     /**
      * Show group details
      */
@@ -1048,13 +1481,15 @@ const app = {
 
     /**
      * Show JSON in modal
+     * @param {string} jsonId - Id of the script holding the JSON
+     * @param {HTMLElement} trigger - Clicked button; entry JSON is embedded apart from its table rows
      */
-    showJson(jsonId) {
+    showJson(jsonId, trigger = null) {
         const el = document.getElementById(jsonId);
         if (!el) return;
 
         // Store the trigger element for returning focus
-        this.jsonTriggerElement = el.closest('tr') || el.closest('td') || el;
+        this.jsonTriggerElement = trigger?.closest('tr') || el.closest('tr') || el.closest('td') || el;
 
         this.currentJsonContent = el.textContent.trim();
         this.elements.jsonContent.textContent = this.currentJsonContent;
@@ -1242,161 +1677,10 @@ const app = {
     },
 
     /**
-     * Generate standalone HTML with embedded styles and scripts
+     * Generate standalone HTML of the rendered report with embedded styles and scripts
      */
     generateStandaloneHtml() {
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Cosmos Diagnostics Report</title>
-    <script src="https://cdn.jsdelivr.net/npm/echarts@5.4.3/dist/echarts.min.js"><\/script>
-    <style>${this.getEmbeddedStyles()}</style>
-</head>
-<body>
-    <div class="container">
-        <h1>🔍 Cosmos Diagnostics Analysis Report</h1>
-        <p style="color: var(--text-muted); margin-bottom: 10px;">Generated: ${new Date().toISOString()}</p>
-        <p style="color: var(--text-muted); margin-bottom: 30px; font-family: monospace; font-size: 12px;">Analyzer Version: ${window.VERSION?.commit || 'unknown'} (${window.VERSION?.date || 'unknown'})</p>
-        ${this.elements.resultsContainer.innerHTML}
-    </div>
-    <div id="jsonModal" class="modal">
-        <div class="modal-content">
-            <div class="modal-header">
-                <h3>📄 JSON Content</h3>
-                <button class="modal-close" onclick="closeModal()">&times;</button>
-            </div>
-            <div class="modal-actions">
-                <button class="btn btn-small" onclick="copyJson()">📋 Copy</button>
-                <button class="btn btn-small" onclick="formatJson()">🔧 Format</button>
-            </div>
-            <pre id="jsonContent" class="json-display"></pre>
-        </div>
-    </div>
-    <script>${this.getEmbeddedScripts()}</script>
-</body>
-</html>`;
-    },
-
-    /**
-     * Get embedded styles for standalone HTML
-     */
-    getEmbeddedStyles() {
-        return `
-:root{--bg-color:#1e1e1e;--bg-secondary:#252526;--bg-tertiary:#2d2d2d;--text-color:#d4d4d4;--text-muted:#808080;--border-color:#3e3e3e;--accent-color:#569cd6;--number-color:#b5cea8;--string-color:#ce9178;--null-color:#808080;--success-color:#4ec9b0;--error-color:#f14c4c;--warning-color:#cca700;--link-color:#4fc3f7;--even-row:#252526;--odd-row:#1e1e1e;--hover-row:#094771}
-*{box-sizing:border-box;margin:0;padding:0}body{font-family:'Segoe UI',sans-serif;background:var(--bg-color);color:var(--text-color);line-height:1.6;padding:20px}
-.container{max-width:1800px;margin:0 auto}h1{color:var(--accent-color);margin-bottom:10px}h2{color:#9cdcfe;margin-bottom:15px}h3{color:var(--success-color)}
-.section{margin:25px 0;padding:25px;background:var(--bg-tertiary);border-radius:8px;border:1px solid var(--border-color)}
-.table-container{margin:15px 0;overflow-x:auto;border-radius:6px;border:1px solid var(--border-color)}
-.table-header{background:linear-gradient(135deg,#2d5a7b,#1e3a5f);color:white;padding:10px 16px;font-weight:600}
-.data-table{width:100%;border-collapse:collapse;font-size:13px;background:var(--bg-color)}
-.data-table th{background:var(--bg-tertiary);color:var(--accent-color);text-align:left;padding:12px 14px;border-bottom:1px solid var(--border-color);font-weight:600}
-.data-table th.sortable{cursor:pointer;padding-right:28px;position:relative}.data-table th.sortable:hover{background:#3a3d41}
-.data-table th .sort-icon{position:absolute;right:10px;top:50%;transform:translateY(-50%);opacity:0.4}
-.data-table th.asc .sort-icon,.data-table th.desc .sort-icon{opacity:1;color:var(--link-color)}
-.data-table td{padding:10px 14px;border-bottom:1px solid var(--border-color)}
-.data-table tr:nth-child(even){background:var(--even-row)}.data-table tr:nth-child(odd){background:var(--odd-row)}.data-table tr:hover{background:var(--hover-row)}
-.row-num{color:#6a9955;font-size:11px;text-align:center;width:45px}
-.num{color:var(--number-color)}.str{color:var(--string-color)}.null{color:var(--null-color)}.warning{color:var(--warning-color)}
-.link{color:var(--link-color);cursor:pointer}.link:hover{text-decoration:underline}
-.clickable-row{cursor:pointer}.note{color:#6a9955;font-style:italic;font-size:13px;margin:10px 0}
-.btn-view{background:#0e639c;color:white;border:none;padding:5px 12px;border-radius:4px;cursor:pointer;font-size:12px}.btn-view:hover{background:#1177bb}
-.detail-section{display:none;margin:15px 0;padding:20px;background:var(--bg-secondary);border:2px solid var(--link-color);border-radius:8px;position:relative}
-.detail-section.visible{display:block}.btn-close{position:absolute;top:15px;right:15px;background:var(--error-color);color:white;border:none;width:28px;height:28px;border-radius:4px;cursor:pointer;font-size:18px}
-.collapsible-header{display:flex;justify-content:space-between;align-items:center;cursor:pointer;padding:12px 16px;background:linear-gradient(135deg,#2d3748,#1a202c);border-radius:6px;margin-bottom:15px}
-.collapsible-header:hover{background:linear-gradient(135deg,#3d4758,#2a303c)}.collapsible-header h3,.collapsible-header h4{margin:0}
-.collapse-icon{color:var(--link-color)}.collapsible-content{display:none}.collapsible-content.visible{display:block}
-.subsection{margin:20px 0;padding:18px;background:var(--bg-color);border-radius:6px;border:1px solid var(--border-color)}.subsection h4{color:var(--success-color);margin-bottom:12px}
-.modal{display:none;position:fixed;z-index:1000;left:0;top:0;width:100%;height:100%;background:rgba(0,0,0,0.85)}
-.modal.visible{display:flex;align-items:center;justify-content:center}
-.modal-content{background:var(--bg-color);border:1px solid var(--border-color);border-radius:8px;width:90%;max-width:1200px;max-height:85vh;display:flex;flex-direction:column}
-.modal-header{display:flex;justify-content:space-between;align-items:center;padding:16px 20px;background:var(--bg-tertiary);border-bottom:1px solid var(--border-color)}
-.modal-header h3{margin:0;color:var(--link-color)}.modal-close{background:none;border:none;color:var(--text-muted);font-size:28px;cursor:pointer}
-.modal-actions{padding:12px 20px;background:var(--bg-secondary);display:flex;gap:10px}
-.btn{padding:6px 14px;border:none;border-radius:4px;cursor:pointer;background:var(--accent-color);color:white}.btn:hover{background:var(--accent-hover)}
-.json-display{margin:0;padding:20px;overflow:auto;flex:1;background:var(--bg-color);color:var(--string-color);font-family:Consolas,monospace;font-size:13px;white-space:pre-wrap}
-details{margin:10px 0}summary{cursor:pointer;color:var(--accent-color)}
-`;
-    },
-
-    /**
-     * Get embedded scripts for standalone HTML
-     */
-    getEmbeddedScripts() {
-        return `
-let currentJson='';
-const app={
-    toggleSection(id){const c=document.getElementById(id),i=document.getElementById(id+'-icon');if(c){c.classList.toggle('visible');if(i)i.textContent=c.classList.contains('visible')?'▼':'▶'}},
-    showBucket(id){document.querySelectorAll('.detail-section').forEach(e=>e.classList.remove('visible'));const el=document.getElementById('bucket-'+id);if(el){el.classList.add('visible');el.scrollIntoView({behavior:'smooth'})}},
-    closeBucket(id){const el=document.getElementById('bucket-'+id);if(el)el.classList.remove('visible')},
-    showGroup(id){document.querySelectorAll('.detail-section').forEach(e=>e.classList.remove('visible'));const el=document.getElementById('group-'+id);if(el){el.classList.add('visible');el.scrollIntoView({behavior:'smooth'})}},
-    closeGroup(id){const el=document.getElementById('group-'+id);if(el)el.classList.remove('visible')},
-    showJson(id){const el=document.getElementById(id);if(el){this.triggerEl=el.closest('tr')||el;currentJson=el.textContent.trim();document.getElementById('jsonContent').textContent=currentJson;document.getElementById('jsonModal').classList.add('visible');document.body.style.overflow='hidden'}},
-    triggerEl:null
-};
-function closeModal(){document.getElementById('jsonModal').classList.remove('visible');document.body.style.overflow='';if(app.triggerEl){app.triggerEl.scrollIntoView({behavior:'smooth',block:'center'});app.triggerEl.style.background='var(--hover-row)';setTimeout(()=>app.triggerEl.style.background='',500)}}
-function copyJson(){navigator.clipboard.writeText(currentJson).then(()=>{const b=event.target;b.textContent='✓ Copied!';setTimeout(()=>b.textContent='📋 Copy',2000)})}
-function formatJson(){try{const f=JSON.stringify(JSON.parse(currentJson),null,2);currentJson=f;document.getElementById('jsonContent').textContent=f;const b=event.target;b.textContent='✓ Formatted!';setTimeout(()=>b.textContent='🔧 Format',2000)}catch(e){alert('Invalid JSON')}}
-document.addEventListener('click',e=>{const th=e.target.closest('th.sortable');if(th){const t=th.closest('table'),c=parseInt(th.dataset.col);if(t&&!isNaN(c)){const tb=t.querySelector('tbody');if(!tb)return;const r=Array.from(tb.querySelectorAll('tr')),a=th.classList.contains('asc');t.querySelectorAll('th.sortable').forEach(h=>h.classList.remove('asc','desc'));th.classList.add(a?'desc':'asc');const d=a?-1:1;r.sort((x,y)=>{const ca=x.cells[c],cb=y.cells[c];if(!ca||!cb)return 0;let va=ca.dataset.sort||ca.textContent.trim(),vb=cb.dataset.sort||cb.textContent.trim();const na=parseFloat(va),nb=parseFloat(vb);return!isNaN(na)&&!isNaN(nb)?(na-nb)*d:va.localeCompare(vb)*d});r.forEach((row,i)=>{if(row.cells[0])row.cells[0].textContent=i+1;tb.appendChild(row)})}}});
-document.addEventListener('keydown',e=>{if(e.key==='Escape')closeModal()});
-
-// Initialize ECharts on load
-function initCharts(){
-    if(!window.echarts)return;
-    
-    // System Metrics Chart
-    const sysEl=document.getElementById('systemMetricsChart'),sysData=document.getElementById('systemMetricsChart-data');
-    if(sysEl&&sysData){
-        try{
-            const d=JSON.parse(sysData.textContent),chart=echarts.init(sysEl,'dark');
-            chart.setOption({
-                backgroundColor:'transparent',
-                tooltip:{trigger:'axis',axisPointer:{type:'cross'},backgroundColor:'rgba(30,30,30,0.95)',borderColor:'#444',textStyle:{color:'#d4d4d4'}},
-                legend:{data:['CPU (%)','Memory (MB)','Thread Wait (ms)','TCP Connections'],textStyle:{color:'#d4d4d4'},top:10},
-                toolbox:{feature:{dataZoom:{yAxisIndex:'none'},restore:{},saveAsImage:{pixelRatio:2}},right:20},
-                dataZoom:[{type:'inside',start:0,end:100},{type:'slider',start:0,end:100,height:25,bottom:10}],
-                grid:{left:60,right:60,top:80,bottom:80},
-                xAxis:{type:'category',data:d.timestamps,axisLabel:{color:'#808080',rotate:30,fontSize:10},axisLine:{lineStyle:{color:'#444'}}},
-                yAxis:[{type:'value',name:'CPU / Thread Wait',position:'left',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{lineStyle:{color:'#333'}}},{type:'value',name:'Memory (MB) / TCP',position:'right',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{show:false}}],
-                series:[
-                    {name:'CPU (%)',type:'line',data:d.cpu,yAxisIndex:0,smooth:true,symbol:'none',lineStyle:{width:2,color:'#4fc3f7'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(79,195,247,0.3)'},{offset:1,color:'rgba(79,195,247,0.05)'}]}}},
-                    {name:'Memory (MB)',type:'line',data:d.memory,yAxisIndex:1,smooth:true,symbol:'none',lineStyle:{width:2,color:'#81c784'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(129,199,132,0.3)'},{offset:1,color:'rgba(129,199,132,0.05)'}]}}},
-                    {name:'Thread Wait (ms)',type:'line',data:d.threadWait,yAxisIndex:0,smooth:true,symbol:'none',lineStyle:{width:2,color:'#ffb74d'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(255,183,77,0.3)'},{offset:1,color:'rgba(255,183,77,0.05)'}]}}},
-                    {name:'TCP Connections',type:'line',data:d.tcpConnections,yAxisIndex:1,smooth:true,symbol:'none',lineStyle:{width:2,color:'#ba68c8'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(186,104,200,0.3)'},{offset:1,color:'rgba(186,104,200,0.05)'}]}}}
-                ],animation:true,animationDuration:1000
-            });
-            window.addEventListener('resize',()=>chart.resize());
-        }catch(e){console.error('System chart error:',e)}
-    }
-    
-    // Client Config Heatmap
-    const cfgEl=document.getElementById('clientConfigChart'),cfgData=document.getElementById('clientConfigChart-data');
-    if(cfgEl&&cfgData){
-        try{
-            const d=JSON.parse(cfgData.textContent),hm=d.heatmap,chart=echarts.init(cfgEl,'dark');
-            if(!hm||!hm.data||hm.data.length===0){cfgEl.innerHTML='<p style="color:#808080;padding:20px;">No data</p>';return;}
-            chart.setOption({
-                backgroundColor:'transparent',
-                tooltip:{position:'top',backgroundColor:'rgba(30,30,30,0.95)',borderColor:'#444',textStyle:{color:'#d4d4d4'},
-                    formatter:p=>'<strong>'+hm.timeBuckets[p.value[0]]+'</strong><br/>Latency: '+hm.latencyBuckets[p.value[1]]+'<br/>Count: <span style="color:#4fc3f7">'+p.value[2]+'</span>'},
-                toolbox:{feature:{saveAsImage:{pixelRatio:2}},right:20},
-                grid:{left:100,right:50,top:50,bottom:80},
-                xAxis:{type:'category',data:hm.timeBuckets,axisLabel:{color:'#808080',rotate:45,fontSize:9,interval:Math.floor(hm.timeBuckets.length/15)},axisLine:{lineStyle:{color:'#444'}}},
-                yAxis:{type:'category',data:hm.latencyBuckets,axisLabel:{color:'#808080',fontSize:10},axisLine:{lineStyle:{color:'#444'}}},
-                visualMap:{min:0,max:hm.maxCount,calculable:true,orient:'horizontal',left:'center',bottom:5,textStyle:{color:'#808080'},
-                    inRange:{color:['#1a237e','#1565c0','#42a5f5','#4fc3f7','#80deea','#b2ebf2']}},
-                series:[{name:'Latency Distribution',type:'heatmap',data:hm.data,
-                    label:{show:hm.data.length<100,formatter:p=>p.value[2]>0?p.value[2]:'',color:'#fff',fontSize:9},
-                    emphasis:{itemStyle:{shadowBlur:10,shadowColor:'rgba(0,0,0,0.5)'}}}],
-                animation:true,animationDuration:500
-            });
-            window.addEventListener('resize',()=>chart.resize());
-        }catch(e){console.error('Config chart error:',e)}
-    }
-}
-if(document.readyState==='complete')initCharts();else window.addEventListener('load',initCharts);
-`;
+        return new ReportGenerator().generateStandaloneHtml(this.elements.resultsContainer.innerHTML);
     }
 };
 
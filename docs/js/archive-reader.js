@@ -0,0 +1,233 @@
+/**
+ * Archive Reader Module
+ * Expands gzip and zip sources into decodable sources entirely in the browser
+ */
+
+class ArchiveReader {
+    /**
+     * Check if file is a zip archive (Excel workbooks are zips too, so only the extension counts)
+     * @param {string} filename - File name
+     * @returns {boolean}
+     */
+    static isZipFile(filename) {
+        return filename.toLowerCase().endsWith('.zip');
+    }
+
+    /**
+     * Check if file is gzip compressed by extension
+     * @param {string} filename - File name
+     * @returns {boolean}
+     */
+    static isGzipFile(filename) {
+        return filename.toLowerCase().endsWith('.gz');
+    }
+
+    /**
+     * Name used to pick the parsing path, e.g. "pod.jsonl.gz" -> "pod.jsonl"
+     * @param {string} filename - File or member name
+     * @returns {string}
+     */
+    static contentName(filename) {
+        return ArchiveReader.isGzipFile(filename) ? filename.slice(0, -3) : filename;
+    }
+
+    /**
+     * Check if an archive member can be routed to the JSONL or Excel parsing paths
+     * @param {string} filename - Member name
+     * @returns {boolean}
+     */
+    static isSupportedMember(filename) {
+        const ext = ArchiveReader.contentName(filename).toLowerCase().split('.').pop();
+        return ArchiveReader.MEMBER_EXTENSIONS.includes(ext);
+    }
+
+    /**
+     * Expand a source into the sources it contains.
+     * Zip archives yield one source per supported member, gzip files yield one
+     * source with encoding 'gzip', anything else is returned unchanged.
+     * Encoding is a DecompressionStream format, or a list applied in order
+     * (a deflated .gz zip member is ['deflate-raw', 'gzip']).
+     * @param {Object} source - { name, file } or { name, text }
+     * @returns {Promise<Array>} [{ name, file, encoding, size }]
+     */
+    static async expand(source) {
+        if (!source.file) return [source];
+
+        if (ArchiveReader.isZipFile(source.name)) {
+            return ArchiveReader.readZip(source);
+        }
+
+        if (ArchiveReader.isGzipFile(source.name) || await ArchiveReader.hasGzipMagic(source.file)) {
+            return [{ ...source, encoding: 'gzip', size: await ArchiveReader.gzipSize(source.file) }];
+        }
+
+        return [source];
+    }
+
+    /**
+     * Detect gzip content from its magic bytes (1F 8B)
+     * @param {Blob} file - File to inspect
+     * @returns {Promise<boolean>}
+     */
+    static async hasGzipMagic(file) {
+        if (file.size < 18) return false;
+        const bytes = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        return bytes[0] === 0x1f && bytes[1] === 0x8b;
+    }
+
+    /**
+     * Uncompressed size from the gzip trailer (ISIZE, modulo 4 GB); 0 if unknown
+     * @param {Blob} file - Gzip file
+     * @returns {Promise<number>}
+     */
+    static async gzipSize(file) {
+        if (file.size < 18) return 0;
+        const trailer = await file.slice(file.size - 4).arrayBuffer();
+        return new DataView(trailer).getUint32(0, true);
+    }
+
+    /**
+     * List the supported members of a zip archive from its central directory.
+     * Member data is not read here; each source holds a lazy slice of the archive.
+     * @param {Object} source - { name, file }
+     * @returns {Promise<Array>} [{ name, file, encoding, size }]
+     */
+    static async readZip(source) {
+        const file = source.file;
+        const directory = await ArchiveReader.findCentralDirectory(file);
+        const view = new DataView(await file.slice(directory.offset, directory.offset + directory.size).arrayBuffer());
+        const members = [];
+        let pos = 0;
+
+        for (let i = 0; i < directory.entries; i++) {
+            if (view.getUint32(pos, true) !== 0x02014b50) {
+                throw new Error(`${source.name}: corrupt zip central directory`);
+            }
+
+            const flags = view.getUint16(pos + 8, true);
+            const method = view.getUint16(pos + 10, true);
+            let compressedSize = view.getUint32(pos + 20, true);
+            let size = view.getUint32(pos + 24, true);
+            const nameLength = view.getUint16(pos + 28, true);
+            const extraLength = view.getUint16(pos + 30, true);
+            const commentLength = view.getUint16(pos + 32, true);
+            let localOffset = view.getUint32(pos + 42, true);
+            const name = new TextDecoder('utf-8').decode(
+                new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength));
+
+            // ZIP64 extra field holds the real values for fields saturated at 0xFFFFFFFF
+            let extra = pos + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = view.getUint16(extra, true);
+                const length = view.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    if (size === 0xffffffff) { size = Number(view.getBigUint64(field, true)); field += 8; }
+                    if (compressedSize === 0xffffffff) { compressedSize = Number(view.getBigUint64(field, true)); field += 8; }
+                    if (localOffset === 0xffffffff) { localOffset = Number(view.getBigUint64(field, true)); }
+                }
+                extra += 4 + length;
+            }
+            pos = extraEnd + commentLength;
+
+            // Skip folders, macOS resource forks and files we cannot parse
+            if (name.endsWith('/') || name.startsWith('__MACOSX/') || !ArchiveReader.isSupportedMember(name)) {
+                continue;
+            }
+            if (flags & 0x1) {
+                throw new Error(`${source.name}: ${name} is encrypted`);
+            }
+            if (method !== 0 && method !== 8) {
+                throw new Error(`${source.name}: ${name} uses unsupported compression method ${method}`);
+            }
+
+            // Local header name/extra lengths can differ from the central directory copy
+            const local = new DataView(await file.slice(localOffset, localOffset + 30).arrayBuffer());
+            if (local.getUint32(0, true) !== 0x04034b50) {
+                throw new Error(`${source.name}: corrupt zip entry ${name}`);
+            }
+            const dataOffset = localOffset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+            const data = file.slice(dataOffset, dataOffset + compressedSize);
+
+            // .gz members are gunzipped after the zip decompression; only a stored one has a readable size trailer
+            const encoding = method === 8 ? ['deflate-raw'] : [];
+            if (ArchiveReader.isGzipFile(name)) {
+                encoding.push('gzip');
+                size = method === 0 ? await ArchiveReader.gzipSize(data) : 0;
+            }
+
+            members.push({
+                name: `${source.name}/${name}`,
+                file: data,
+                encoding: encoding.length === 0 ? null : encoding.length === 1 ? encoding[0] : encoding,
+                size
+            });
+        }
+
+        return members;
+    }
+
+    /**
+     * Locate the central directory via the (ZIP64) end of central directory record
+     * @param {Blob} file - Zip file
+     * @returns {Promise<Object>} { offset, size, entries }
+     */
+    static async findCentralDirectory(file) {
+        // EOCD is 22 bytes plus a comment of up to 64 KB at the end of the file
+        const tailStart = Math.max(0, file.size - 22 - 0xffff);
+        const tail = new DataView(await file.slice(tailStart).arrayBuffer());
+
+        for (let pos = tail.byteLength - 22; pos >= 0; pos--) {
+            if (tail.getUint32(pos, true) !== 0x06054b50) continue;
+
+            let entries = tail.getUint16(pos + 10, true);
+            let size = tail.getUint32(pos + 12, true);
+            let offset = tail.getUint32(pos + 16, true);
+
+            // ZIP64 locator sits immediately before the EOCD record
+            if (pos >= 20 && tail.getUint32(pos - 20, true) === 0x07064b50) {
+                const recordOffset = Number(tail.getBigUint64(pos - 12, true));
+                const record = new DataView(await file.slice(recordOffset, recordOffset + 56).arrayBuffer());
+                entries = Number(record.getBigUint64(32, true));
+                size = Number(record.getBigUint64(40, true));
+                offset = Number(record.getBigUint64(48, true));
+            }
+
+            return { offset, size, entries };
+        }
+
+        throw new Error('Not a valid zip archive');
+    }
+
+    /**
+     * Byte stream of a source's decoded content
+     * @param {Object} source - Expanded source { file, encoding } or { stream, encoding }
+     * @returns {ReadableStream}
+     */
+    static decodedStream(source) {
+        const stream = source.stream || source.file.stream();
+        if (!source.encoding) return stream;
+
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress archives; extract the file and load it directly');
+        }
+        return [].concat(source.encoding)
+            .reduce((decoded, format) => decoded.pipeThrough(new DecompressionStream(format)), stream);
+    }
+
+    /**
+     * Read a source's decoded content into memory (for Excel members)
+     * @param {Object} source - Expanded source { file, encoding }
+     * @returns {Promise<ArrayBuffer>}
+     */
+    static readAll(source) {
+        return new Response(ArchiveReader.decodedStream(source)).arrayBuffer();
+    }
+}
+
+// Archive members with these extensions are routed to the JSONL or Excel parsing paths
+ArchiveReader.MEMBER_EXTENSIONS = ['txt', 'json', 'jsonl', 'log', 'xlsx', 'xls', 'xlsb', 'csv', 'ods'];
+
+// Export for browser
+window.ArchiveReader = ArchiveReader;
@@ -0,0 +1,656 @@
+/**
+ * Diagnostics Schema Module
+ * The one place that knows SDK payload shapes: normalizes .NET, Java v4 and Node.js
+ * diagnostics to a single key set and reads them into the versioned internal model
+ * consumed by the analyzer, timeline and report
+ */
+
+class DiagnosticsSchema {
+    /**
+     * Normalize and read a raw JSON diagnostics string
+     * @param {string} json - Diagnostics JSON
+     * @returns {Object} Diagnostics model
+     */
+    fromJson(json) {
+        return this.read(this.normalize(JSON.parse(json)));
+    }
+
+    /**
+     * Read a normalized diagnostics object into the internal model:
+     * {
+     *   schemaVersion,
+     *   operation: { name, startTime, durationInMs, activityId, distributedTraceId, directCalls, gatewayCalls },
+     *   spans: [{ name, durationInMs, depth }],
+     *   storeResults: [{ span, resourceType, operationType, statusCode, subStatusCode, durationInMs,
+     *                    beLatencyInMs, storePhysicalAddress, region, partitionKeyRangeId, requestCharge, responseBytes, retryAfterInMs,
+     *                    transportException, requestStartTimeUtc, responseTimeUtc, connection, events }],
+     *   addressResolutions: [{ startTime, endTime, durationInMs, targetEndpoint, error, forceRefresh }],
+     *   systemSnapshots: [{ timestamp, cpu, memoryBytes, threadWaitMs, tcpConnections, availableThreads, isThreadStarving }],
+     *   clientConfig: { machineId, connectionMode } | null,
+     *   regions: { contacted, vmRegion, preferred, applicationRegion },
+     *   source, lineNumber, rawJson, wasRepaired, droppedFields, truncatedFields, log, metadata
+     * }
+     * @param {Object} diag - Normalized diagnostics object (see normalize)
+     * @returns {Object} Diagnostics model
+     */
+    read(diag) {
+        const spans = [];
+        const storeResults = [];
+        const addressResolutions = [];
+        const systemSnapshots = [];
+        const regionsContacted = [...(diag.regionsContacted || [])];
+        const identity = this.readIdentity(diag);
+        const startTime = identity.startTime || diag._log?.timestamp || '';
+
+        const visit = (node, depth) => {
+            if (!node || typeof node !== 'object') return;
+            spans.push({ name: node.name || '', durationInMs: node.duration || 0, depth });
+
+            const stats = node.data?.clientSideRequestStats;
+            for (const stat of stats?.storeResponseStatistics || []) {
+                if (stat?.storeResult) storeResults.push(this.readStoreResult(stat, node.name || ''));
+            }
+            for (const lookup of stats?.addressResolutionStatistics || []) {
+                if (lookup) addressResolutions.push(this.readAddressResolution(lookup));
+            }
+            regionsContacted.push(...(stats?.regionsContacted || []));
+            for (const systemInfo of [node.data?.systemInfo, stats?.systemInfo]) {
+                for (const entry of systemInfo?.systemHistory || []) {
+                    systemSnapshots.push(this.readSystemSnapshot(entry, diag.startTime));
+                }
+            }
+            if (Array.isArray(node.children)) {
+                node.children.forEach(child => visit(child, depth + 1));
+            }
+        };
+        visit(diag, 0);
+
+        const config = diag.data?.clientConfiguration;
+
+        return {
+            schemaVersion: DiagnosticsSchema.VERSION,
+            operation: {
+                name: diag.name || 'Unknown',
+                startTime,
+                durationInMs: this.readDuration(diag),
+                activityId: identity.activityId,
+                distributedTraceId: identity.distributedTraceId,
+                directCalls: this.countCalls(diag.Summary?.DirectCalls),
+                gatewayCalls: this.countCalls(diag.Summary?.GatewayCalls)
+            },
+            spans,
+            storeResults,
+            addressResolutions,
+            systemSnapshots,
+            clientConfig: config ? {
+                machineId: config.machineId ?? 'Unknown',
+                connectionMode: config.connectionMode ?? ''
+            } : null,
+            regions: this.readRegions(regionsContacted, storeResults, config),
+            source: diag._source || '',
+            lineNumber: diag._lineNumber,
+            rawJson: diag._rawJson,
+            wasRepaired: diag._wasRepaired || false,
+            droppedFields: diag._droppedFields || [],
+            truncatedFields: diag._truncatedFields || [],
+            log: diag._log || null,
+            metadata: diag._metadata || null
+        };
+    }
+
+    /**
+     * Read the fields that identify an operation (used to spot duplicate entries)
+     * @param {Object} diag - Normalized diagnostics object
+     * @returns {Object} { activityId, distributedTraceId, startTime }
+     */
+    readIdentity(diag) {
+        return {
+            // .NET records the ActivityId only per request, on store results and HTTP response stats
+            activityId: diag.activityId || this.findRequestActivityId(diag),
+            distributedTraceId: diag.data?.distributedTraceId || diag.distributedTraceId || '',
+            startTime: diag.startTime || ''
+        };
+    }
+
+    /**
+     * First ActivityId of a store result or HTTP response in a span tree (depth first)
+     * @param {Object} node - Normalized span
+     * @returns {string} ActivityId, or '' if no request recorded one
+     */
+    findRequestActivityId(node) {
+        if (!node || typeof node !== 'object') return '';
+
+        const stats = node.data?.clientSideRequestStats;
+        for (const stat of stats?.storeResponseStatistics || []) {
+            if (stat?.storeResult?.activityId) return stat.storeResult.activityId;
+        }
+        for (const response of stats?.httpResponseStats || []) {
+            if (response?.activityId) return response.activityId;
+        }
+        for (const child of Array.isArray(node.children) ? node.children : []) {
+            const activityId = this.findRequestActivityId(child);
+            if (activityId) return activityId;
+        }
+        return '';
+    }
+
+    /**
+     * Read the end-to-end operation latency without building the full model (used when sampling)
+     * @param {Object} diag - Normalized diagnostics object
+     * @returns {number} Duration in ms
+     */
+    readDuration(diag) {
+        return diag.duration || 0;
+    }
+
+    /**
+     * Read one storeResponseStatistics item
+     * @param {Object} stat - Normalized store response statistics with a storeResult
+     * @param {string} span - Name of the span that recorded it
+     * @returns {Object} Store result model
+     */
+    readStoreResult(stat, span) {
+        const storeResult = stat.storeResult;
+        const exception = storeResult.transportException;
+        const events = storeResult.transportRequestTimeline?.requestTimeline || [];
+
+        return {
+            span,
+            resourceType: stat.resourceType,
+            operationType: stat.operationType,
+            statusCode: storeResult.statusCode,
+            subStatusCode: storeResult.subStatusCode,
+            durationInMs: stat.durationInMs || 0,
+            beLatencyInMs: storeResult.beLatencyInMs,
+            storePhysicalAddress: storeResult.storePhysicalAddress || '',
+            region: this.regionFromEndpoint(stat.locationEndpoint) || this.regionFromEndpoint(storeResult.storePhysicalAddress),
+            partitionKeyRangeId: storeResult.partitionKeyRangeId != null ? String(storeResult.partitionKeyRangeId) : '',
+            requestCharge: typeof storeResult.requestCharge === 'number' ? storeResult.requestCharge : null,
+            // .NET records the body size on the transport timeline; Java and Node.js as the response payload length
+            responseBytes: storeResult.transportRequestTimeline?.responseBodySizeInBytes ??
+                storeResult.responsePayloadLengthInBytes ?? null,
+            // Throttling backoff the service asked for (.NET and Java; Node.js does not record it)
+            retryAfterInMs: storeResult.retryAfterInMs != null && Number.isFinite(Number(storeResult.retryAfterInMs))
+                ? Number(storeResult.retryAfterInMs)
+                : null,
+            transportException: exception
+                ? (exception.message || exception.Message || JSON.stringify(exception))
+                : null,
+            requestStartTimeUtc: stat.requestStartTimeUtc,
+            responseTimeUtc: stat.responseTimeUtc ?? stat.requestResponseTimeUtc,
+            connection: this.readConnectionStats(storeResult.transportRequestTimeline),
+            events: events.map(e => ({
+                event: e.event || 'Unknown',
+                startTimeUtc: e.startTimeUtc,
+                durationInMs: e.durationInMs ?? 0
+            }))
+        };
+    }
+
+    /**
+     * Read the RNTBD endpoint and connection statistics recorded with a store response.
+     * .NET records serviceEndpointStats/connectionStats; Java's serviceEndpointStatistics and
+     * channelStatistics are mapped onto the same fields (open connections = available + acquired channels).
+     * @param {Object} timeline - Normalized transportRequestTimeline
+     * @returns {Object|null} { inflightRequests, openConnections, callsPendingReceive, waitForConnectionInit,
+     *   lastSend, lastReceive } (null fields when not recorded), or null without statistics
+     */
+    readConnectionStats(timeline) {
+        const endpoint = timeline?.serviceEndpointStats;
+        const connection = timeline?.connectionStats;
+        if (!endpoint && !connection) return null;
+
+        const number = value => value != null && Number.isFinite(Number(value)) ? Number(value) : null;
+        const openChannels = endpoint?.availableChannels != null || endpoint?.acquiredChannels != null
+            ? (number(endpoint.availableChannels) ?? 0) + (number(endpoint.acquiredChannels) ?? 0)
+            : null;
+        const waitForInit = connection?.waitforConnectionInit ?? connection?.waitForConnectionInit;
+
+        return {
+            inflightRequests: number(endpoint?.inflightRequests),
+            openConnections: number(endpoint?.openConnections) ?? openChannels,
+            callsPendingReceive: number(connection?.callsPendingReceive ?? connection?.pendingRequestsCount),
+            // .NET writes "True"/"False"
+            waitForConnectionInit: waitForInit == null ? null : String(waitForInit).toLowerCase() === 'true',
+            lastSend: connection?.lastSend || null,
+            lastReceive: connection?.lastReceive || connection?.lastReadTime || null
+        };
+    }
+
+    /**
+     * Read one addressResolutionStatistics item (a gateway address lookup)
+     * @param {Object} lookup - Normalized address resolution statistics
+     * @returns {Object} Address resolution model; endTime is '' and durationInMs null while the lookup was still in flight
+     */
+    readAddressResolution(lookup) {
+        const start = lookup.startTimeUtc ? new Date(lookup.startTimeUtc).getTime() : NaN;
+        const end = lookup.endTimeUtc ? new Date(lookup.endTimeUtc).getTime() : NaN;
+        return {
+            startTime: lookup.startTimeUtc || '',
+            endTime: Number.isNaN(end) ? '' : lookup.endTimeUtc,
+            durationInMs: Number.isNaN(start) || Number.isNaN(end) ? null : Math.max(0, end - start),
+            targetEndpoint: lookup.targetEndpoint || '',
+            error: lookup.errorMessage || lookup.exceptionMessage || null,
+            forceRefresh: Boolean(lookup.forceRefresh)
+        };
+    }
+
+    /**
+     * Read the regions an operation contacted and the client's region settings.
+     * Contacted regions come from RegionsContacted (names, endpoints or { Region, Endpoint }
+     * items) and from the endpoints of the store results.
+     * @param {Array} regionsContacted - RegionsContacted items from all spans
+     * @param {Array} storeResults - Store result models
+     * @param {Object} config - Normalized clientConfiguration, if any
+     * @returns {Object} { contacted, vmRegion, preferred, applicationRegion } with normalized region names
+     */
+    readRegions(regionsContacted, storeResults, config) {
+        const contacted = new Set();
+        for (const item of regionsContacted) {
+            const region = typeof item === 'string'
+                ? (item.includes('://') ? this.regionFromEndpoint(item) : this.normalizeRegion(item))
+                : this.normalizeRegion(item?.region || item?.Region || item?.regionName) ||
+                  this.regionFromEndpoint(item?.endpoint || item?.Endpoint);
+            if (region) contacted.add(region);
+        }
+        storeResults.forEach(store => { if (store.region) contacted.add(store.region); });
+
+        // ConsistencyConfig reads "(consistency: NotSet, prgns:[West US 2, East US], apprgn: westus2)"
+        const consistency = String(config?.consistencyConfig || '');
+        const preferred = (consistency.match(/prgns:\s*\[([^\]]*)\]/)?.[1] || '')
+            .split(',')
+            .map(name => this.normalizeRegion(name))
+            .filter(Boolean);
+
+        return {
+            contacted: Array.from(contacted),
+            vmRegion: this.normalizeRegion(config?.vmRegion),
+            preferred,
+            applicationRegion: this.normalizeRegion(consistency.match(/apprgn:\s*([^,)]*)/)?.[1])
+        };
+    }
+
+    /**
+     * Normalize a region name: "West US 2", "west us 2" and "westus2" all read as "westus2"
+     * @param {string} name - Region display or short name
+     * @returns {string} Normalized name, or '' if empty
+     */
+    normalizeRegion(name) {
+        return typeof name === 'string' ? name.toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+    }
+
+    /**
+     * Find the region in an account or replica endpoint host, e.g.
+     * contoso-westus2.documents.azure.com or cdb-ms-prod-westus2-fd40.documents.azure.com
+     * @param {string} endpoint - Endpoint URL
+     * @returns {string} Normalized region name, or '' for global or unrecognized endpoints
+     */
+    regionFromEndpoint(endpoint) {
+        if (!endpoint) return '';
+        let host;
+        try {
+            host = new URL(endpoint).hostname;
+        } catch (e) {
+            return '';
+        }
+        const segments = host.split('.')[0].toLowerCase().split('-');
+        for (let i = segments.length - 1; i > 0; i--) {
+            if (DiagnosticsSchema.AZURE_REGIONS.has(segments[i])) return segments[i];
+        }
+        return '';
+    }
+
+    /**
+     * Read one systemHistory entry
+     * @param {Object} entry - Normalized systemHistory item
+     * @param {string} fallbackTime - Operation start time used when the entry has none
+     * @returns {Object} System snapshot model
+     */
+    readSystemSnapshot(entry, fallbackTime) {
+        return {
+            timestamp: entry.dateUtc || fallbackTime,
+            cpu: entry.cpu ?? 0,
+            memoryBytes: entry.memory ?? 0,
+            threadWaitMs: entry.threadInfo?.threadWaitIntervalInMs ?? 0,
+            tcpConnections: entry.numberOfOpenTcpConnection ?? 0,
+            availableThreads: entry.threadInfo?.availableThreads ?? 0,
+            isThreadStarving: entry.threadInfo?.isThreadStarving ?? 'N/A'
+        };
+    }
+
+    /**
+     * Count calls from a Summary "(status, substatus)": count object
+     * @param {Object} callsObj - DirectCalls or GatewayCalls
+     * @returns {number}
+     */
+    countCalls(callsObj) {
+        if (!callsObj) return 0;
+        return Object.values(callsObj).reduce((sum, val) => sum + (val || 0), 0);
+    }
+
+    /**
+     * Normalize any supported SDK payload to one key set: Java and Node.js diagnostics
+     * are adapted to the .NET shape and .NET key variants are mapped via KEY_MAP
+     * @param {Object} obj - Parsed JSON object
+     * @returns {Object} Normalized object
+     */
+    normalize(obj) {
+        if (!obj || typeof obj !== 'object') return obj;
+
+        if (Array.isArray(obj)) {
+            return obj.map(item => this.normalize(item));
+        }
+
+        if (this.isJavaDiagnostics(obj)) {
+            return this.adaptJavaDiagnostics(obj);
+        }
+
+        if (this.isNodeDiagnostics(obj)) {
+            return this.adaptNodeDiagnostics(obj);
+        }
+
+        const normalized = {};
+        for (const key of Object.keys(obj)) {
+            const newKey = DiagnosticsSchema.KEY_MAP[key] || key;
+            normalized[newKey] = this.normalize(obj[key]);
+        }
+        return normalized;
+    }
+
+    /**
+     * Check if an object is Java SDK v4 CosmosDiagnostics (ClientSideRequestStatistics)
+     * @param {Object} obj - Parsed JSON object
+     * @returns {boolean}
+     */
+    isJavaDiagnostics(obj) {
+        return Array.isArray(obj.responseStatisticsList) ||
+            (typeof obj.userAgent === 'string' && obj.requestLatencyInMs !== undefined);
+    }
+
+    /**
+     * Map Java SDK v4 diagnostics onto the normalized .NET shape the analyzer consumes:
+     * operation name/duration/start time at the top, a Summary of direct and gateway calls,
+     * and one child node holding clientSideRequestStats.storeResponseStatistics.
+     * Java-only top-level fields (userAgent, regionsContacted, retryContext, ...) are kept as-is.
+     * @param {Object} java - Java CosmosDiagnostics object
+     * @returns {Object} Normalized diagnostics object
+     */
+    adaptJavaDiagnostics(java) {
+        const { responseStatisticsList, ...rest } = java;
+        const responses = responseStatisticsList || [];
+        const gateway = java.gatewayStatisticsList || (java.gatewayStatistics ? [java.gatewayStatistics] : []);
+        const first = responses[0] || {};
+
+        const operationType = first.requestOperationType || gateway[0]?.operationType || 'Unknown';
+        const resourceType = first.requestResourceType || gateway[0]?.resourceType || 'Unknown';
+        const startTime = java.requestStartTimeUTC || first.requestStartTimeUTC || '';
+        const endTime = java.requestEndTimeUTC;
+        const duration = java.requestLatencyInMs ??
+            (startTime && endTime ? new Date(endTime) - new Date(startTime) : 0);
+
+        const storeResponseStatistics = responses.map(stat => this.adaptJavaStoreResponse(stat));
+
+        return {
+            ...rest,
+            Summary: {
+                DirectCalls: this.countCallsByStatus(storeResponseStatistics.map(s => s.storeResult)),
+                GatewayCalls: this.countCallsByStatus(gateway)
+            },
+            name: `${operationType} ${resourceType}`,
+            startTime,
+            duration,
+            activityId: java.activityId,
+            children: [{
+                name: 'ClientSideRequestStatistics',
+                duration,
+                data: {
+                    clientSideRequestStats: {
+                        storeResponseStatistics,
+                        // Java keys the lookups by id
+                        addressResolutionStatistics: Object.values(java.addressResolutionStatistics || {}).map(lookup => ({
+                            ...lookup,
+                            startTimeUtc: lookup?.startTimeUTC,
+                            endTimeUtc: lookup?.endTimeUTC
+                        }))
+                    }
+                }
+            }]
+        };
+    }
+
+    /**
+     * Map one Java responseStatisticsList item to a .NET StoreResponseStatistics entry
+     * @param {Object} stat - Java store response statistics
+     * @returns {Object} Normalized store response statistics
+     */
+    adaptJavaStoreResponse(stat) {
+        const storeResult = stat.storeResult || {};
+        const events = (storeResult.transportRequestTimeline || []).map(e => ({
+            event: DiagnosticsSchema.JAVA_EVENT_NAMES[e.eventName] || e.eventName,
+            startTimeUtc: e.startTimeUTC,
+            durationInMs: e.durationInMilliSecs ?? 0
+        }));
+
+        // Java reports the whole round trip as the sum of its transport phases
+        const timelineDuration = events.reduce((sum, e) => sum + (e.durationInMs || 0), 0);
+        const responseDuration = stat.requestResponseTimeUTC && stat.requestStartTimeUTC
+            ? new Date(stat.requestResponseTimeUTC) - new Date(stat.requestStartTimeUTC)
+            : 0;
+
+        // Only transport-level failures count as exceptions; 404/409 messages are expected
+        const transportFailure = storeResult.exceptionMessage &&
+            DiagnosticsSchema.JAVA_TRANSPORT_FAILURE_CODES.includes(storeResult.statusCode);
+
+        return {
+            resourceType: stat.requestResourceType,
+            operationType: stat.requestOperationType,
+            durationInMs: timelineDuration || responseDuration,
+            requestStartTimeUtc: stat.requestStartTimeUTC,
+            requestResponseTimeUtc: stat.requestResponseTimeUTC,
+            storeResult: {
+                ...storeResult,
+                beLatencyInMs: storeResult.backendLatencyInMs,
+                transportException: transportFailure ? { message: storeResult.exceptionMessage } : null,
+                transportRequestTimeline: {
+                    requestTimeline: events,
+                    serviceEndpointStats: storeResult.serviceEndpointStatistics,
+                    connectionStats: storeResult.channelStatistics
+                }
+            }
+        };
+    }
+
+    /**
+     * Check if an object is @azure/cosmos (Node.js/JavaScript SDK) CosmosDiagnostics
+     * @param {Object} obj - Parsed JSON object
+     * @returns {boolean}
+     */
+    isNodeDiagnostics(obj) {
+        const stats = obj.clientSideRequestStatistics;
+        return !!stats && typeof stats === 'object' && !Array.isArray(stats) &&
+            ('requestDurationInMs' in stats || 'gatewayStatistics' in stats);
+    }
+
+    /**
+     * Map @azure/cosmos diagnostics onto the normalized .NET shape. The SDK talks to the
+     * gateway only, so every gateway round trip and failed retry attempt becomes a
+     * storeResponseStatistics entry addressed to the contacted endpoint, with a single
+     * 'Transit Time' phase so it shows up in the transport groups and the timeline.
+     * @param {Object} node - Node.js CosmosDiagnostics object
+     * @returns {Object} Normalized diagnostics object
+     */
+    adaptNodeDiagnostics(node) {
+        const stats = node.clientSideRequestStatistics;
+        const gateway = stats.gatewayStatistics || [];
+        const endpoints = stats.locationEndpointsContacted || [];
+        const endpoint = endpoints[0] || 'gateway';
+
+        // Failed attempts are usually also recorded as gateway calls; keep the ones that are not
+        const recorded = new Set(gateway.map(g => g.startTimeUTCInMs));
+        const failedAttempts = (stats.retryDiagnostics?.failedAttempts || [])
+            .filter(a => !recorded.has(a.startTimeUTCInMs));
+
+        // Failed attempts do not record the operation; they retry the same one as the gateway calls
+        const first = gateway[0] || {};
+        const calls = [...gateway, ...failedAttempts.map(a => ({ operationType: first.operationType, resourceType: first.resourceType, ...a }))]
+            .sort((a, b) => (a.startTimeUTCInMs || 0) - (b.startTimeUTCInMs || 0));
+        const storeResponseStatistics = calls.map(call => this.adaptNodeGatewayCall(call, endpoint));
+        const duration = stats.requestDurationInMs || 0;
+
+        return {
+            ...node,
+            Summary: {
+                DirectCalls: {},
+                GatewayCalls: this.countCallsByStatus(storeResponseStatistics.map(s => s.storeResult))
+            },
+            name: `${first.operationType || 'Unknown'} ${first.resourceType || 'Unknown'}`,
+            startTime: stats.requestStartTimeUTCInMs ? new Date(stats.requestStartTimeUTCInMs).toISOString() : '',
+            duration,
+            activityId: first.activityId,
+            regionsContacted: endpoints,
+            children: [
+                {
+                    name: 'Gateway Requests',
+                    duration,
+                    data: { clientSideRequestStats: { storeResponseStatistics } }
+                },
+                ...(stats.metadataDiagnostics?.metadataLookups || []).map(lookup => ({
+                    name: `Metadata ${lookup.metaDataType || lookup.resourceType || 'Lookup'}`,
+                    duration: lookup.durationInMs || 0
+                }))
+            ]
+        };
+    }
+
+    /**
+     * Map one Node.js gateway call or failed attempt to a StoreResponseStatistics entry
+     * @param {Object} call - gatewayStatistics item or retryDiagnostics.failedAttempts item
+     * @param {string} endpoint - Contacted location endpoint
+     * @returns {Object} Normalized store response statistics
+     */
+    adaptNodeGatewayCall(call, endpoint) {
+        const startTimeUtc = call.startTimeUTCInMs ? new Date(call.startTimeUTCInMs).toISOString() : undefined;
+        const durationInMs = call.durationInMs || 0;
+
+        return {
+            resourceType: call.resourceType,
+            operationType: call.operationType,
+            durationInMs,
+            requestStartTimeUtc: startTimeUtc,
+            storeResult: {
+                ...call,
+                subStatusCode: call.subStatusCode ?? call.substatusCode,
+                storePhysicalAddress: endpoint,
+                transportRequestTimeline: {
+                    requestTimeline: [{ event: 'Transit Time', startTimeUtc, durationInMs }]
+                }
+            }
+        };
+    }
+
+    /**
+     * Build a .NET-style "(status, substatus)": count summary from Java/Node.js results
+     * @param {Array} results - Objects with statusCode/subStatusCode
+     * @returns {Object} Call counts keyed by "(status, substatus)"
+     */
+    countCallsByStatus(results) {
+        const counts = {};
+        for (const r of results) {
+            const key = `(${r.statusCode ?? 0}, ${r.subStatusCode ?? 0})`;
+            counts[key] = (counts[key] || 0) + 1;
+        }
+        return counts;
+    }
+}
+
+// Version of the model returned by read(); bump when its shape changes
+DiagnosticsSchema.VERSION = 1;
+
+// .NET key variants (display names, PascalCase) mapped to the normalized keys
+DiagnosticsSchema.KEY_MAP = {
+    'duration in milliseconds': 'duration',
+    'start datetime': 'startTime',
+    'Client Side Request Stats': 'clientSideRequestStats',
+    'ClientSideRequestStats': 'clientSideRequestStats',
+    'StoreResponseStatistics': 'storeResponseStatistics',
+    'Store Response Statistics': 'storeResponseStatistics',
+    'AddressResolutionStatistics': 'addressResolutionStatistics',
+    'StartTimeUTC': 'startTimeUtc',
+    'EndTimeUTC': 'endTimeUtc',
+    'TargetEndpoint': 'targetEndpoint',
+    'HttpResponseStats': 'httpResponseStats',
+    'TransportRequestTimeline': 'transportRequestTimeline',
+    'RequestTimeline': 'requestTimeline',
+    'Event': 'event',
+    'StartTimeUtc': 'startTimeUtc',
+    'DurationInMs': 'durationInMs',
+    'ResourceType': 'resourceType',
+    'OperationType': 'operationType',
+    'StatusCode': 'statusCode',
+    'SubStatusCode': 'subStatusCode',
+    'StoreResult': 'storeResult',
+    'Store Result': 'storeResult',
+    'StorePhysicalAddress': 'storePhysicalAddress',
+    'PartitionKeyRangeId': 'partitionKeyRangeId',
+    'RequestCharge': 'requestCharge',
+    'RetryAfterInMs': 'retryAfterInMs',
+    'BELatencyInMs': 'beLatencyInMs',
+    'TransportException': 'transportException',
+    'ResponseTimeUTC': 'responseTimeUtc',
+    'LocationEndpoint': 'locationEndpoint',
+    'RequestSessionToken': 'requestSessionToken',
+    'ActivityId': 'activityId',
+    'DistributedTraceId': 'distributedTraceId',
+    'System Info': 'systemInfo',
+    'SystemInfo': 'systemInfo',
+    'SystemHistory': 'systemHistory',
+    'DateUtc': 'dateUtc',
+    'Cpu': 'cpu',
+    'Memory': 'memory',
+    'ThreadInfo': 'threadInfo',
+    'ThreadWaitIntervalInMs': 'threadWaitIntervalInMs',
+    'AvailableThreads': 'availableThreads',
+    'IsThreadStarving': 'isThreadStarving',
+    'NumberOfOpenTcpConnection': 'numberOfOpenTcpConnection',
+    'Client Configuration': 'clientConfiguration',
+    'ClientConfiguration': 'clientConfiguration',
+    'MachineId': 'machineId',
+    'ConnectionMode': 'connectionMode',
+    'VM Region': 'vmRegion',
+    'ConsistencyConfig': 'consistencyConfig',
+    'RegionsContacted': 'regionsContacted'
+};
+
+// Azure region names as they appear in regional account and replica host names
+DiagnosticsSchema.AZURE_REGIONS = new Set([
+    'eastus', 'eastus2', 'eastus3', 'westus', 'westus2', 'westus3', 'centralus', 'northcentralus',
+    'southcentralus', 'westcentralus', 'canadacentral', 'canadaeast', 'brazilsouth', 'brazilsoutheast',
+    'mexicocentral', 'chilecentral', 'northeurope', 'westeurope', 'uksouth', 'ukwest', 'francecentral',
+    'francesouth', 'germanywestcentral', 'germanynorth', 'switzerlandnorth', 'switzerlandwest',
+    'norwayeast', 'norwaywest', 'swedencentral', 'swedensouth', 'polandcentral', 'italynorth',
+    'spaincentral', 'austriaeast', 'eastasia', 'southeastasia', 'japaneast', 'japanwest',
+    'koreacentral', 'koreasouth', 'australiaeast', 'australiasoutheast', 'australiacentral',
+    'australiacentral2', 'newzealandnorth', 'centralindia', 'southindia', 'westindia',
+    'jioindiacentral', 'jioindiawest', 'malaysiawest', 'indonesiacentral', 'uaenorth', 'uaecentral',
+    'qatarcentral', 'israelcentral', 'southafricanorth', 'southafricawest', 'chinaeast', 'chinaeast2',
+    'chinaeast3', 'chinanorth', 'chinanorth2', 'chinanorth3', 'usgovvirginia', 'usgovarizona',
+    'usgovtexas', 'usdodeast', 'usdodcentral', 'eastus2euap', 'centraluseuap'
+]);
+
+// Java SDK v4 transport event names mapped to the .NET timeline names
+DiagnosticsSchema.JAVA_EVENT_NAMES = {
+    created: 'Created',
+    queued: 'Queued',
+    channelAcquisitionStarted: 'ChannelAcquisitionStarted',
+    pipelined: 'Pipelined',
+    transitTime: 'Transit Time',
+    decodeTime: 'Decode Time',
+    received: 'Received',
+    completed: 'Completed'
+};
+
+// Java status codes whose exceptionMessage describes a transport failure (0 = no response)
+DiagnosticsSchema.JAVA_TRANSPORT_FAILURE_CODES = [0, 408, 410, 503];
+
+// Export for browser
+window.DiagnosticsSchema = DiagnosticsSchema;
@@ -0,0 +1,92 @@
+/**
+ * Entry Sampler Module
+ * Reservoir sampling of parsed entries so huge captures can be analyzed
+ * without holding every entry in memory
+ */
+
+class EntrySampler {
+    /**
+     * @param {Object} options - { mode: 'uniform' | 'threshold', size, threshold }
+     *   uniform: keep a uniform random sample of `size` entries
+     *   threshold: keep every entry above `threshold` ms and a uniform sample of `size` of the rest
+     * @param {function} random - Random number source in [0, 1)
+     */
+    constructor(options, random = Math.random) {
+        this.schema = new DiagnosticsSchema();
+        this.mode = options.mode === 'threshold' ? 'threshold' : 'uniform';
+        this.size = Math.max(1, options.size || EntrySampler.DEFAULT_SIZE);
+        this.threshold = options.threshold || 0;
+        this.random = random;
+
+        this.seen = 0;
+        this.poolSeen = 0;
+        this.reservoir = [];
+        this.kept = [];
+    }
+
+    /**
+     * Offer an entry to the sample (Algorithm R over the entries eligible for sampling)
+     * @param {Object} entry - Parsed diagnostics object
+     */
+    offer(entry) {
+        const item = { index: this.seen++, entry };
+
+        if (this.mode === 'threshold' && this.schema.readDuration(entry) > this.threshold) {
+            this.kept.push(item);
+            return;
+        }
+
+        this.poolSeen++;
+        if (this.reservoir.length < this.size) {
+            this.reservoir.push(item);
+            return;
+        }
+
+        const slot = Math.floor(this.random() * this.poolSeen);
+        if (slot < this.size) {
+            this.reservoir[slot] = item;
+        }
+    }
+
+    /**
+     * Sampled entries in input order
+     * @returns {Array}
+     */
+    getEntries() {
+        return this.kept.concat(this.reservoir)
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.entry);
+    }
+
+    /**
+     * Sampling summary for the report
+     * @returns {Object} { mode, size, seen, sampled, aboveThreshold, poolSeen, poolSampled, rate, margins }
+     *   margins: 95% confidence half-width of p50/p90/p99 in percentile points (uniform mode only)
+     */
+    getSummary() {
+        const sampled = this.kept.length + this.reservoir.length;
+        const n = this.reservoir.length;
+        const margin = p => n > 0 ? 1.96 * Math.sqrt(p * (1 - p) / n) * 100 : 0;
+
+        return {
+            mode: this.mode,
+            size: this.size,
+            threshold: this.threshold,
+            seen: this.seen,
+            sampled,
+            aboveThreshold: this.kept.length,
+            poolSeen: this.poolSeen,
+            poolSampled: n,
+            rate: this.seen > 0 ? sampled / this.seen : 1,
+            margins: this.mode === 'uniform'
+                ? { p50: margin(0.5), p90: margin(0.9), p99: margin(0.99) }
+                : null
+        };
+    }
+}
+
+// Reservoir size when none is given
+EntrySampler.DEFAULT_SIZE = 10000;
+
+// Export for browser
+window.EntrySampler = EntrySampler;
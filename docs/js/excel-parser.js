@@ -1,6 +1,6 @@
 /**
  * Excel Parser Module
- * Extracts diagnostics JSON from first column of Excel files
+ * Extracts diagnostics JSON (and optional metadata columns) from Excel/CSV sheets
  */
 
 class ExcelParser {
@@ -15,58 +15,65 @@ class ExcelParser {
     }
 
     /**
-     * Parse Excel file and extract first column as text lines
+     * Parse Excel file and extract the diagnostics column as text lines.
+     * Values of the selected metadata columns are collected in rowMetadata,
+     * aligned with the returned lines.
      * @param {ArrayBuffer} arrayBuffer - File content as ArrayBuffer
      * @param {function} progressCallback - Progress callback (message, percent)
+     * @param {Object} options - { sheetName, column, metadataColumns } (columns by header name or index)
      * @returns {string} Content with one JSON per line
      */
-    parse(arrayBuffer, progressCallback = null) {
+    parse(arrayBuffer, progressCallback = null, options = {}) {
         if (progressCallback) {
             progressCallback('Reading Excel file...', 5);
         }
 
         // Parse workbook
         const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-        
+        const sheetName = workbook.SheetNames.includes(options.sheetName)
+            ? options.sheetName
+            : workbook.SheetNames[0];
+
         if (progressCallback) {
-            progressCallback('Extracting data from first sheet...', 15);
+            progressCallback(`Extracting data from sheet "${sheetName}"...`, 15);
         }
 
-        // Get first sheet
-        const firstSheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[firstSheetName];
-        
-        // Convert to array of arrays (raw data)
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-        
+        // Convert to array of arrays (formatted text, so dates read as shown in Excel)
+        const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: false });
+        const layout = this.resolveLayout(data, options);
+
         if (progressCallback) {
             progressCallback(`Processing ${data.length} rows...`, 25);
         }
 
-        // Extract first column, filter empty rows
         const lines = [];
-        let skippedHeader = false;
+        this.rowMetadata = [];
 
-        for (let i = 0; i < data.length; i++) {
+        for (let i = layout.firstDataRow; i < data.length; i++) {
             const row = data[i];
-            const cell = row[0];
-            
+            const cell = row[layout.column];
+
             // Skip empty cells
             if (!cell || (typeof cell === 'string' && !cell.trim())) {
                 continue;
             }
 
             const cellStr = String(cell).trim();
-            
-            // Skip header row (if first non-empty cell doesn't look like JSON)
-            if (!skippedHeader && !cellStr.startsWith('{')) {
-                skippedHeader = true;
+
+            // Only include cells that contain a JSON object (possibly after a log prefix)
+            if (!cellStr.includes('{')) {
                 continue;
             }
 
-            // Only include cells that look like JSON objects
-            if (cellStr.startsWith('{')) {
-                lines.push(cellStr);
+            // Pretty-printed JSON in a cell must stay on one line
+            lines.push(cellStr.replace(/\r?\n/g, ' '));
+
+            if (layout.metadataColumns.length > 0) {
+                const metadata = {};
+                for (const { index, name } of layout.metadataColumns) {
+                    metadata[name] = row[index] ?? '';
+                }
+                this.rowMetadata.push(metadata);
             }
         }
 
@@ -78,21 +85,112 @@ class ExcelParser {
     }
 
     /**
-     * Get sheet info for display
+     * Detect the header row and the column holding diagnostics JSON
+     * @param {Array} data - Sheet rows as arrays
+     * @returns {Object} { hasHeader, headerRow, headers, diagnosticsColumn }
+     */
+    detectLayout(data) {
+        const headerRow = Math.max(0, data.findIndex(row => row.some(cell => String(cell).trim())));
+        const firstRow = data[headerRow] || [];
+        const colCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+        const sample = data.slice(headerRow + 1, headerRow + 1 + ExcelParser.SAMPLE_ROWS);
+
+        // Count cells that look like JSON objects per column
+        const jsonCounts = new Array(colCount).fill(0);
+        for (const row of sample) {
+            row.forEach((cell, col) => {
+                const text = String(cell).trim();
+                if (text.startsWith('{') || text.includes('{"')) jsonCounts[col]++;
+            });
+        }
+
+        // A first row without JSON followed by rows with JSON is a header
+        const hasHeader = !firstRow.some(cell => String(cell).trim().startsWith('{')) &&
+            jsonCounts.some(count => count > 0);
+        const headers = [];
+        for (let col = 0; col < colCount; col++) {
+            const name = hasHeader ? String(firstRow[col] ?? '').trim() : '';
+            headers.push(name || `Column ${XLSX.utils.encode_col(col)}`);
+        }
+
+        // Most JSON cells wins; ties go to a column named like "diagnostics"
+        let diagnosticsColumn = 0;
+        for (let col = 0; col < colCount; col++) {
+            const best = jsonCounts[diagnosticsColumn];
+            if (jsonCounts[col] > best ||
+                (jsonCounts[col] === best && best > 0 && /diagnostic/i.test(headers[col]) && !/diagnostic/i.test(headers[diagnosticsColumn]))) {
+                diagnosticsColumn = col;
+            }
+        }
+
+        return { hasHeader, headerRow, headers, diagnosticsColumn };
+    }
+
+    /**
+     * Apply user column choices on top of the detected layout
+     * @param {Array} data - Sheet rows as arrays
+     * @param {Object} options - { column, metadataColumns }
+     * @returns {Object} { column, metadataColumns: [{ index, name }], firstDataRow, headers }
+     */
+    resolveLayout(data, options = {}) {
+        const layout = this.detectLayout(data);
+        const resolve = col => {
+            if (typeof col === 'number') return col;
+            const index = layout.headers.indexOf(col);
+            return index === -1 ? null : index;
+        };
+
+        const column = resolve(options.column) ?? layout.diagnosticsColumn;
+        const metadataColumns = (options.metadataColumns || [])
+            .map(resolve)
+            .filter(index => index !== null && index !== column)
+            .map(index => ({ index, name: layout.headers[index] || `Column ${XLSX.utils.encode_col(index)}` }));
+
+        return {
+            column,
+            metadataColumns,
+            firstDataRow: layout.hasHeader ? layout.headerRow + 1 : layout.headerRow,
+            headers: layout.headers
+        };
+    }
+
+    /**
+     * Get sheet info for the sheet/column picker. Only the first rows of each
+     * sheet are parsed; row counts come from the full sheet range.
      * @param {ArrayBuffer} arrayBuffer - File content
-     * @returns {Object} Sheet info
+     * @returns {Object} Sheet info with per-sheet headers and detected diagnostics column
      */
     getSheetInfo(arrayBuffer) {
-        const workbook = XLSX.read(arrayBuffer, { type: 'array' });
-        const firstSheetName = workbook.SheetNames[0];
-        const sheet = workbook.Sheets[firstSheetName];
-        const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
-        
+        const workbook = XLSX.read(arrayBuffer, { type: 'array', sheetRows: ExcelParser.SAMPLE_ROWS + 1 });
+
+        const sheets = workbook.SheetNames.map(name => {
+            const sheet = workbook.Sheets[name];
+            const range = XLSX.utils.decode_range(sheet['!fullref'] || sheet['!ref'] || 'A1');
+            const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false });
+            const layout = this.detectLayout(data);
+
+            return {
+                name,
+                rowCount: range.e.r - range.s.r + 1,
+                colCount: range.e.c - range.s.c + 1,
+                hasHeader: layout.hasHeader,
+                headers: layout.headers,
+                diagnosticsColumn: layout.diagnosticsColumn
+            };
+        });
+
         return {
-            sheetCount: workbook.SheetNames.length,
-            sheetName: firstSheetName,
-            rowCount: range.e.r - range.s.r + 1,
-            colCount: range.e.c - range.s.c + 1
+            sheetCount: sheets.length,
+            sheetName: sheets[0]?.name,
+            rowCount: sheets[0]?.rowCount || 0,
+            colCount: sheets[0]?.colCount || 0,
+            sheets
         };
     }
 }
+
+// Rows sampled for header and diagnostics column detection
+ExcelParser.SAMPLE_ROWS = 50;
+
+// Export for browser
+window.ExcelParser = ExcelParser;
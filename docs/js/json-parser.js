@@ -5,9 +5,13 @@
 
 class JsonParser {
     constructor() {
+        this.schema = new DiagnosticsSchema();
         this.repairedCount = 0;
         this.failedCount = 0;
         this.isSingleEntry = false;
+        this.issues = [];
+        // Optional consumer for streamed entries; when set, parseStream hands entries to it instead of collecting them
+        this.onEntry = null;
     }
 
     /**
@@ -20,13 +24,14 @@ class JsonParser {
         this.repairedCount = 0;
         this.failedCount = 0;
         this.isSingleEntry = false;
+        this.issues = [];
         
         const trimmed = content.trim();
         
         // First, try to parse as a single JSON object (handles pretty-printed JSON)
         if (trimmed.startsWith('{')) {
             try {
-                const parsed = this.normalizeKeys(JSON.parse(trimmed));
+                const parsed = this.schema.normalize(JSON.parse(trimmed));
                 if (progressCallback) {
                     progressCallback('Parsed single JSON entry', 40);
                 }
@@ -48,7 +53,7 @@ class JsonParser {
                         progressCallback(`Parsed JSON array with ${arr.length} entries`, 40);
                     }
                     return arr.map((item, i) => {
-                        const normalized = this.normalizeKeys(item);
+                        const normalized = this.schema.normalize(item);
                         normalized._rawJson = JSON.stringify(item);
                         normalized._lineNumber = i + 1;
                         return normalized;
@@ -68,18 +73,555 @@ class JsonParser {
                 progressCallback(`Parsing line ${i + 1} of ${lines.length}...`, (i / lines.length) * 40);
             }
 
-            const parsed = this.parseLine(lines[i]);
+            const parsed = this.parseEntry(lines[i], i + 1);
             if (parsed) {
-                // Store repaired JSON if it was repaired, otherwise original
-                parsed._rawJson = parsed._repairedJson || lines[i].trim();
-                parsed._lineNumber = i + 1;
                 results.push(parsed);
             }
         }
 
+        // A single log line with embedded diagnostics is still a single entry
+        if (lines.length === 1 && results.length === 1 && !results[0]._wasRepaired) {
+            this.isSingleEntry = true;
+        }
+
         return results;
     }
 
+    /**
+     * Parse a streamed source without holding the whole content in memory.
+     * JSONL is parsed per line. Multi-line documents (a JSON array, or pretty-printed
+     * objects) are scanned across lines and each array element or top-level object is
+     * parsed as soon as it closes, so only the value being read is buffered.
+     * Entries go to onEntry when it is set and are then not returned.
+     * @param {LineReader} reader - Line reader over the input
+     * @param {function} progressCallback - Progress callback (message, percent)
+     * @returns {Promise<Array>} Parsed diagnostics objects
+     */
+    async parseStream(reader, progressCallback = null) {
+        this.repairedCount = 0;
+        this.failedCount = 0;
+        this.isSingleEntry = false;
+        this.issues = [];
+
+        const results = [];
+        let lineNumber = 0;
+        let entryCount = 0;
+        let valueCount = 0;
+        // 'lines' (JSONL) or 'document'; decided from the first non-blank line, or the second
+        // when the first opens an object it does not close
+        let mode = null;
+        let firstLine = null;
+        const scan = { depth: 0, inString: false, escaped: false, parts: null, valueDepth: 0 };
+
+        const emit = parsed => {
+            if (!parsed) return;
+            entryCount++;
+            if (this.onEntry) {
+                this.onEntry(parsed);
+            } else {
+                results.push(parsed);
+            }
+        };
+        const parseLine = line => emit(this.parseEntry(line, ++lineNumber));
+        const scanLine = line => this.scanDocumentLine(scan, line,
+            text => emit(this.parseDocumentValue(text, ++valueCount, scan.valueDepth === 1)));
+        const startDocument = (valueDepth, lines) => {
+            mode = 'document';
+            scan.valueDepth = valueDepth;
+            lines.forEach(scanLine);
+        };
+
+        await reader.read((lines, progress) => {
+            for (const line of lines) {
+                if (mode === 'document') {
+                    scanLine(line);
+                    continue;
+                }
+                if (!line.trim()) continue;
+
+                if (mode === 'lines') {
+                    parseLine(line);
+                } else if (firstLine !== null) {
+                    // A pretty-printed object continues with its keys; a truncated JSONL line is followed by the next entry
+                    if (line.trim().startsWith('{')) {
+                        mode = 'lines';
+                        parseLine(firstLine);
+                        parseLine(line);
+                    } else {
+                        startDocument(0, [firstLine, line]);
+                    }
+                    firstLine = null;
+                } else {
+                    const trimmed = line.trim();
+                    // "[2026-01-26 ...] WARN {...}" is a log line, not an array
+                    if (/^\[\s*(\{|$)/.test(trimmed)) {
+                        startDocument(1, [line]);
+                    } else if (trimmed.startsWith('{') && !this.isBalancedLine(trimmed)) {
+                        firstLine = line;
+                    } else {
+                        mode = 'lines';
+                        parseLine(line);
+                    }
+                }
+            }
+
+            if (progressCallback && progress.totalBytes > 0) {
+                const percent = Math.min(progress.bytesRead / progress.totalBytes, 1) * 40;
+                const position = mode === 'document' ? `entry ${valueCount.toLocaleString()}` : `line ${lineNumber.toLocaleString()}`;
+                progressCallback(`Parsing ${position} (${Math.round(percent * 2.5)}% read)...`, percent);
+            }
+        });
+
+        // A lone unbalanced line is a truncated JSONL entry
+        if (firstLine !== null) {
+            mode = 'lines';
+            parseLine(firstLine);
+        }
+
+        if (mode === 'document') {
+            // Unclosed value at the end of the input: repair it like a truncated line
+            if (scan.parts) {
+                emit(this.parseDocumentValue(scan.parts.join('\n'), ++valueCount, scan.valueDepth === 1));
+            }
+            // A single pretty-printed object is a single entry, same as parseLines would detect
+            if (scan.valueDepth === 0 && valueCount === 1 && entryCount === 1 && this.repairedCount === 0) {
+                this.isSingleEntry = true;
+            }
+        } else if (lineNumber === 1 && entryCount === 1 && this.repairedCount === 0) {
+            // A lone valid line is a single entry, same as parseLines would detect
+            this.isSingleEntry = true;
+        }
+
+        return results;
+    }
+
+    /**
+     * Check if a line opening an object also closes it (a JSONL entry rather than the first line of a document)
+     * @param {string} line - Line starting with "{"
+     * @returns {boolean}
+     */
+    isBalancedLine(line) {
+        // valueDepth -1 never collects values
+        const probe = { depth: 0, inString: false, escaped: false, parts: null, valueDepth: -1 };
+        this.scanDocumentLine(probe, line, () => {});
+        return probe.depth === 0;
+    }
+
+    /**
+     * Advance a multi-line document scan by one line. Objects opening at state.valueDepth
+     * (0 for top-level objects, 1 for elements of a top-level array) are collected and
+     * handed to onValue once they close; everything else is only tracked for nesting.
+     * @param {Object} state - { depth, inString, escaped, parts, valueDepth }, updated in place
+     * @param {string} line - Next line of the document
+     * @param {function} onValue - Called with the text of each complete value
+     */
+    scanDocumentLine(state, line, onValue) {
+        let valueStart = 0;
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            if (state.inString) {
+                if (state.escaped) {
+                    state.escaped = false;
+                } else if (c === '\\') {
+                    state.escaped = true;
+                } else if (c === '"') {
+                    state.inString = false;
+                }
+            } else if (c === '"') {
+                state.inString = true;
+            } else if (c === '{' || c === '[') {
+                if (c === '{' && !state.parts && state.depth === state.valueDepth) {
+                    state.parts = [];
+                    valueStart = i;
+                }
+                state.depth++;
+            } else if (c === '}' || c === ']') {
+                state.depth = Math.max(0, state.depth - 1);
+                if (state.parts && state.depth === state.valueDepth) {
+                    state.parts.push(line.substring(valueStart, i + 1));
+                    onValue(state.parts.join('\n'));
+                    state.parts = null;
+                }
+            }
+        }
+        if (state.parts) {
+            state.parts.push(line.substring(valueStart));
+        }
+    }
+
+    /**
+     * Parse one value of a multi-line document; malformed or truncated values are repaired like JSONL lines
+     * @param {string} text - Object text
+     * @param {number} index - 1-based position among the document's values
+     * @param {boolean} isArrayElement - Array elements keep compact raw JSON, like parseLines
+     * @returns {Object|null} Parsed object or null
+     */
+    parseDocumentValue(text, index, isArrayElement) {
+        let item;
+        try {
+            item = JSON.parse(text);
+        } catch (e) {
+            return this.parseEntry(text, index);
+        }
+        const parsed = this.schema.normalize(item);
+        parsed._rawJson = isArrayElement ? JSON.stringify(item) : text.trim();
+        parsed._lineNumber = index;
+        return parsed;
+    }
+
+    /**
+     * Parse one JSONL line and attach its raw JSON and line number
+     * @param {string} line - JSON string
+     * @param {number} lineNumber - 1-based line number among non-empty lines
+     * @returns {Object|null} Parsed object or null
+     */
+    parseEntry(line, lineNumber) {
+        const extracted = this.extractEmbeddedJson(line);
+        const parsed = this.parseLine(extracted.json);
+        if (parsed) {
+            // Store repaired JSON if it was repaired, otherwise original
+            parsed._rawJson = parsed._repairedJson || extracted.json.trim();
+            parsed._lineNumber = lineNumber;
+            if (extracted.log) {
+                parsed._log = extracted.log;
+            }
+        }
+        if (!parsed || parsed._wasRepaired) {
+            this.recordIssue(line, extracted.json, lineNumber, parsed);
+        }
+        return parsed;
+    }
+
+    /**
+     * Record a failed or repaired line for the parsing issues report
+     * @param {string} line - Raw input line
+     * @param {string} json - JSON text extracted from the line
+     * @param {number} lineNumber - 1-based line number among non-empty lines
+     * @param {Object|null} parsed - Repaired entry, or null if parsing failed
+     */
+    recordIssue(line, json, lineNumber, parsed) {
+        if (this.issues.length >= JsonParser.MAX_ISSUES) return;
+
+        const text = json.trim();
+        const error = this.describeParseError(text);
+        const issue = {
+            lineNumber,
+            status: parsed ? 'repaired' : 'failed',
+            error: error.message,
+            position: error.position,
+            snippet: this.snippetAt(text, error.position),
+            line: line.trim()
+        };
+        if (parsed) {
+            issue.repair = {
+                ...this.diffRepair(text, parsed._repairedJson),
+                dropped: parsed._droppedFields,
+                truncated: parsed._truncatedFields
+            };
+        }
+        this.issues.push(issue);
+    }
+
+    /**
+     * Run JSON.parse to get the error message and locate the offending character
+     * @param {string} json - JSON text that fails to parse
+     * @returns {Object} { message, position }
+     */
+    describeParseError(json) {
+        try {
+            JSON.parse(json);
+            return { message: '', position: -1 };
+        } catch (e) {
+            // Engines disagree on (and often omit) positions in the message, so scan for it
+            const position = this.findErrorPosition(json);
+            return { message: e.message || String(e), position: position < 0 ? json.length : position };
+        }
+    }
+
+    /**
+     * Index of the first character where the text stops being valid JSON
+     * @param {string} json - JSON text
+     * @returns {number} Error position, or -1 if the text is valid
+     */
+    findErrorPosition(json) {
+        let i = 0;
+        const skipWhitespace = () => {
+            while (i < json.length && ' \t\n\r'.includes(json[i])) i++;
+        };
+        const string = () => {
+            i++;
+            while (i < json.length) {
+                const c = json[i];
+                if (c === '"') { i++; return true; }
+                if (c < ' ') return false;
+                if (c === '\\') {
+                    const escape = json[i + 1];
+                    if (escape === 'u') {
+                        if (!/^[0-9a-fA-F]{4}$/.test(json.substr(i + 2, 4))) return false;
+                        i += 6;
+                    } else if (escape !== undefined && '"\\/bfnrt'.includes(escape)) {
+                        i += 2;
+                    } else {
+                        return false;
+                    }
+                } else {
+                    i++;
+                }
+            }
+            return false;
+        };
+        const value = () => {
+            skipWhitespace();
+            const c = json[i];
+            if (c === '"') return string();
+            if (c === '{' || c === '[') {
+                const close = c === '{' ? '}' : ']';
+                i++;
+                skipWhitespace();
+                if (json[i] === close) { i++; return true; }
+                for (;;) {
+                    if (c === '{') {
+                        skipWhitespace();
+                        if (json[i] !== '"' || !string()) return false;
+                        skipWhitespace();
+                        if (json[i] !== ':') return false;
+                        i++;
+                    }
+                    if (!value()) return false;
+                    skipWhitespace();
+                    if (json[i] === ',') { i++; continue; }
+                    if (json[i] === close) { i++; return true; }
+                    return false;
+                }
+            }
+            const literal = JsonParser.LITERAL_PATTERN;
+            literal.lastIndex = i;
+            if (!literal.exec(json)) return false;
+            i = literal.lastIndex;
+            return true;
+        };
+
+        if (!value()) return i;
+        skipWhitespace();
+        return i < json.length ? i : -1;
+    }
+
+    /**
+     * Text around a character position
+     * @param {string} text - Source text
+     * @param {number} position - Error position
+     * @returns {Object} { before, at, after }
+     */
+    snippetAt(text, position) {
+        const radius = JsonParser.SNIPPET_RADIUS;
+        return {
+            before: text.substring(Math.max(0, position - radius), position),
+            at: text.charAt(position),
+            after: text.substring(position + 1, position + 1 + radius)
+        };
+    }
+
+    /**
+     * Describe what repairJson changed. Repairs only cut the tail and append closers,
+     * so the diff is a shared prefix plus removed and added tails.
+     * @param {string} before - Original JSON text
+     * @param {string} after - Repaired JSON text
+     * @returns {Object} { context, removed, added }
+     */
+    diffRepair(before, after) {
+        let common = 0;
+        const max = Math.min(before.length, after.length);
+        while (common < max && before[common] === after[common]) common++;
+
+        return {
+            context: before.substring(Math.max(0, common - JsonParser.SNIPPET_RADIUS), common),
+            removed: before.substring(common),
+            added: after.substring(common)
+        };
+    }
+
+    /**
+     * Find the diagnostics JSON inside an application log line.
+     * Handles prefixes (timestamps, log levels, logger names), JSON log envelopes whose
+     * message field holds the diagnostics as an escaped string, and escaped JSON in text logs.
+     * Plain JSONL lines are returned unchanged.
+     * @param {string} line - Raw log line
+     * @returns {Object} { json, log } where log is { prefix, timestamp, level } or null
+     */
+    extractEmbeddedJson(line) {
+        const text = (line || '').trim();
+        const escapedStart = text.indexOf('{\\"');
+
+        // Plain JSONL entry - the common case, no extra parsing
+        if (text.startsWith('{') && escapedStart === -1) {
+            return { json: text, log: null };
+        }
+
+        if (text.startsWith('{')) {
+            const envelope = this.extractFromEnvelope(text);
+            if (envelope) return envelope;
+
+            // Truncated diagnostics that merely contain escaped JSON somewhere
+            if (this.looksLikeDiagnostics(text.substring(0, escapedStart))) {
+                return { json: text, log: null };
+            }
+        }
+
+        // Log line: try each object start after the prefix until one is the diagnostics
+        const candidate = /\{\s*\\?"/g;
+        candidate.lastIndex = text.startsWith('{') ? 1 : 0;
+        let match;
+
+        while ((match = candidate.exec(text)) !== null) {
+            const start = match.index;
+            const json = this.sliceJsonAt(text, start);
+            const result = { json, log: this.parseLogPrefix(text.substring(0, start)) };
+
+            let parsed;
+            try {
+                parsed = JSON.parse(json);
+            } catch (e) {
+                // Truncated - runs to the end of the line, so later candidates are nested in it
+                return result;
+            }
+            if (this.isDiagnosticsObject(parsed)) return result;
+
+            // Skip over objects nested in this one (e.g. a logging context)
+            if (!/^\{\s*\\"/.test(text.substring(start))) {
+                candidate.lastIndex = start + json.length;
+            }
+        }
+
+        return { json: text, log: null };
+    }
+
+    /**
+     * Unwrap a JSON log envelope ({"timestamp":..,"level":..,"message":"{\\"Summary\\":..."})
+     * @param {string} text - Line starting with '{'
+     * @returns {Object|null} { json, log } or null if the line is not an envelope
+     */
+    extractFromEnvelope(text) {
+        let envelope;
+        try {
+            envelope = JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+        if (!envelope || typeof envelope !== 'object' || this.isDiagnosticsObject(envelope)) {
+            return null;
+        }
+
+        for (const [key, value] of Object.entries(envelope)) {
+            if (typeof value !== 'string' || value.indexOf('{') === -1) continue;
+
+            const inner = this.extractEmbeddedJson(value);
+            let parsed = null;
+            try {
+                parsed = JSON.parse(inner.json);
+            } catch (e) {
+                // Truncated message - still the best candidate
+            }
+            if (parsed && !this.isDiagnosticsObject(parsed)) continue;
+
+            // Other scalar envelope fields become the log prefix
+            const fields = Object.entries(envelope)
+                .filter(([k, v]) => k !== key && v !== null && typeof v !== 'object')
+                .map(([k, v]) => `${k}=${v}`);
+            const log = this.parseLogPrefix([...fields, inner.log?.prefix].filter(Boolean).join(' '));
+            log.timestamp = this.findEnvelopeField(envelope, /^@?(t|timestamp|time|ts|date|datetime)$/i) || log.timestamp;
+            log.level = this.findEnvelopeField(envelope, /^@?(l|level|severity|loglevel)$/i) || log.level;
+            return { json: inner.json, log };
+        }
+
+        return null;
+    }
+
+    /**
+     * Return the slice of text holding the JSON object that starts at index.
+     * Escaped JSON ({\\"...) is unescaped; unterminated objects run to the end of the line.
+     * @param {string} text - Log line
+     * @param {number} start - Index of the opening brace
+     * @returns {string} JSON text
+     */
+    sliceJsonAt(text, start) {
+        const rest = text.substring(start);
+
+        if (/^\{\s*\\"/.test(rest)) {
+            // Escaped JSON ends at the first unescaped quote
+            const end = rest.search(/(^|[^\\])(\\\\)*"/);
+            let body = end === -1 ? rest : rest.substring(0, end + rest.substring(end).indexOf('"'));
+            body = body.replace(/(^|[^\\])((\\\\)*)\\$/, '$1$2');
+            try {
+                return JSON.parse(`"${body}"`);
+            } catch (e) {
+                return body.replace(/\\(["\\/])/g, '$1');
+            }
+        }
+
+        // Scan to the matching close brace, skipping braces inside strings
+        let depth = 0;
+        let inString = false;
+        let escapeNext = false;
+        for (let i = 0; i < rest.length; i++) {
+            const c = rest[i];
+            if (escapeNext) {
+                escapeNext = false;
+            } else if (c === '\\' && inString) {
+                escapeNext = true;
+            } else if (c === '"') {
+                inString = !inString;
+            } else if (!inString && c === '{') {
+                depth++;
+            } else if (!inString && c === '}' && --depth === 0) {
+                return rest.substring(0, i + 1);
+            }
+        }
+        return rest;
+    }
+
+    /**
+     * Split a log prefix into timestamp, level and the cleaned prefix text
+     * @param {string} prefix - Text before the diagnostics JSON
+     * @returns {Object} { prefix, timestamp, level }
+     */
+    parseLogPrefix(prefix) {
+        const cleaned = prefix.trim().replace(/[\s"'=:]+$/, '').trim();
+        const timestamp = cleaned.match(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:[.,]\d+)?(?:Z|[+-]\d{2}:?\d{2})?/);
+        const level = cleaned.match(/\b(TRACE|DEBUG|INFO|INFORMATION|WARN|WARNING|ERROR|FATAL|CRITICAL)\b/i);
+        return {
+            prefix: cleaned,
+            timestamp: timestamp ? timestamp[0] : '',
+            level: level ? level[1].toUpperCase() : ''
+        };
+    }
+
+    /**
+     * First scalar envelope field whose key matches the pattern
+     */
+    findEnvelopeField(envelope, pattern) {
+        const key = Object.keys(envelope).find(k => pattern.test(k) && typeof envelope[k] !== 'object');
+        return key ? String(envelope[key]) : '';
+    }
+
+    /**
+     * Check if a parsed object is a diagnostics entry rather than a log envelope or context
+     * @param {Object} obj - Parsed JSON
+     * @returns {boolean}
+     */
+    isDiagnosticsObject(obj) {
+        return !!obj && typeof obj === 'object' && !Array.isArray(obj) &&
+            JsonParser.DIAGNOSTICS_KEYS.some(key => key in obj);
+    }
+
+    /**
+     * Check if the start of a (possibly truncated) JSON line has diagnostics keys
+     * @param {string} head - Leading JSON text
+     * @returns {boolean}
+     */
+    looksLikeDiagnostics(head) {
+        return JsonParser.DIAGNOSTICS_KEYS.some(key => head.includes(`"${key}"`));
+    }
+
     /**
      * Parse a single line, attempting repair if needed
      * @param {string} line - JSON string
@@ -91,25 +633,26 @@ class JsonParser {
 
         // Try direct parse first
         try {
-            const parsed = this.normalizeKeys(JSON.parse(line));
+            const parsed = this.schema.normalize(JSON.parse(line));
             parsed._wasRepaired = false;
             return parsed;
         } catch (e) {
             // Need repair
         }
 
-        // Attempt repair with multiple iterations
-        let repaired = line;
-        for (let attempt = 0; attempt < 10; attempt++) {
-            repaired = this.repairJson(repaired);
+        // Recover the longest valid prefix of truncated JSON
+        const repair = this.repairJson(line);
+        if (repair) {
             try {
-                const parsed = this.normalizeKeys(JSON.parse(repaired));
+                const parsed = this.schema.normalize(JSON.parse(repair.json));
                 parsed._wasRepaired = true;
-                parsed._repairedJson = repaired; // Store repaired version
+                parsed._repairedJson = repair.json; // Store repaired version
+                parsed._droppedFields = repair.dropped;
+                parsed._truncatedFields = repair.truncated;
                 this.repairedCount++;
                 return parsed;
             } catch (e) {
-                // Continue trying
+                // Repaired text is not parseable after all
             }
         }
 
@@ -118,115 +661,207 @@ class JsonParser {
     }
 
     /**
-     * Repair truncated JSON by closing unclosed structures
+     * Repair truncated JSON with a tolerant tokenizer.
+     * The input is scanned as JSON up to its end; anything cut off there is resolved
+     * against the last complete value: a partial string value is closed, a partial
+     * true/false/null is completed, and partial numbers, dangling keys and keys
+     * without values are dropped. Open objects and arrays are then closed.
+     * Syntax errors before the end of the input are not repaired.
      * @param {string} json - Potentially truncated JSON
-     * @returns {string} Repaired JSON
+     * @returns {Object|null} { json, dropped, truncated } with the paths of dropped
+     *   fields and of string values that were cut short, or null if not repairable
      */
     repairJson(json) {
-        if (!json) return json;
+        if (!json) return null;
 
         // Remove trailing truncation markers
-        json = json.replace(/,?\s*\.{3,}\s*$/, '');
-        json = json.replace(/,\s*$/, '');
-
-        // Track open structures
+        const text = json.trim().replace(/\s*\.{3,}$/, '');
         const stack = [];
-        let inString = false;
-        let escapeNext = false;
+        const dropped = [];
+        const truncated = [];
+        let checkpoint = null;
+        let rootDone = false;
+        let pending = null;
+        let i = 0;
 
-        for (let i = 0; i < json.length; i++) {
-            const c = json[i];
+        const closers = () => stack.map(f => f.type === '{' ? '}' : ']').reverse().join('');
+        const memberPath = frame => frame.type === '['
+            ? `${frame.path}[${frame.count}]`
+            : this.fieldPath(frame.path, frame.key);
+        const completeValue = () => {
+            const frame = stack[stack.length - 1];
+            if (frame) {
+                frame.count++;
+                frame.expect = 'comma';
+            } else {
+                rootDone = true;
+            }
+            checkpoint = { end: i, closers: closers() };
+        };
 
-            if (escapeNext) {
-                escapeNext = false;
+        while (!pending) {
+            while (i < text.length && ' \t\n\r'.includes(text[i])) i++;
+            if (i >= text.length) break;
+
+            const frame = stack[stack.length - 1];
+            const c = text[i];
+            const close = frame && (frame.type === '{' ? '}' : ']');
+
+            if (rootDone) return null;
+
+            if (frame && frame.expect === 'comma') {
+                if (c === ',') {
+                    frame.expect = frame.type === '{' ? 'key' : 'value';
+                    i++;
+                } else if (c === close) {
+                    stack.pop();
+                    i++;
+                    completeValue();
+                } else {
+                    return null;
+                }
                 continue;
             }
 
-            if (c === '\\' && inString) {
-                escapeNext = true;
+            // Empty object or array
+            if (frame && frame.count === 0 && c === close && frame.expect === (frame.type === '{' ? 'key' : 'value')) {
+                stack.pop();
+                i++;
+                completeValue();
                 continue;
             }
 
-            if (c === '"' && !escapeNext) {
-                inString = !inString;
+            if (frame && frame.expect === 'key') {
+                if (c !== '"') return null;
+                const key = this.scanString(text, i);
+                if (key.error) return null;
+                if (!key.complete) {
+                    pending = { kind: 'key', path: this.fieldPath(frame.path, text.slice(i + 1, key.safeEnd)) };
+                    break;
+                }
+                frame.key = JSON.parse(text.slice(i, key.end));
+                frame.expect = 'colon';
+                i = key.end;
                 continue;
             }
 
-            if (inString) continue;
+            if (frame && frame.expect === 'colon') {
+                if (c !== ':') return null;
+                frame.expect = 'value';
+                i++;
+                continue;
+            }
 
+            // Value position
+            const path = frame ? memberPath(frame) : '';
             if (c === '{' || c === '[') {
-                stack.push(c);
-            } else if (c === '}') {
-                if (stack.length > 0 && stack[stack.length - 1] === '{') {
-                    stack.pop();
+                stack.push({ type: c, path, key: null, count: 0, expect: c === '{' ? 'key' : 'value' });
+                i++;
+                checkpoint = { end: i, closers: closers() };
+            } else if (c === '"') {
+                const value = this.scanString(text, i);
+                if (value.error) return null;
+                if (!value.complete) {
+                    pending = { kind: 'string', path, start: i, end: value.safeEnd };
+                    break;
                 }
-            } else if (c === ']') {
-                if (stack.length > 0 && stack[stack.length - 1] === '[') {
-                    stack.pop();
+                i = value.end;
+                completeValue();
+            } else {
+                // A number running into the end of the input may be missing digits
+                const number = JsonParser.PARTIAL_NUMBER_PATTERN;
+                number.lastIndex = i;
+                number.exec(text);
+                const rest = text.length - i < 5 ? text.slice(i) : null;
+                const keyword = rest && JsonParser.KEYWORDS.find(k => k.startsWith(rest) && k !== rest);
+                const literal = JsonParser.LITERAL_PATTERN;
+                literal.lastIndex = i;
+
+                if (number.lastIndex === text.length) {
+                    pending = { kind: 'number', path };
+                } else if (keyword) {
+                    pending = { kind: 'keyword', path, start: i, word: keyword };
+                } else if (literal.exec(text)) {
+                    i = literal.lastIndex;
+                    completeValue();
+                } else {
+                    return null;
                 }
             }
         }
 
-        // Close unclosed string
-        if (inString) {
-            json += '"';
+        if (rootDone) {
+            return { json: text, dropped, truncated };
         }
 
-        // Remove trailing incomplete property
-        json = json.replace(/,\s*"[^"]*"\s*:\s*$/, '');
-        json = json.replace(/,\s*"[^"]*$/, '');
-
-        // Close brackets in reverse order (LIFO)
-        while (stack.length > 0) {
-            const open = stack.pop();
-            json += (open === '{') ? '}' : ']';
+        // Input ended: resolve the value in progress, then close what is open.
+        // Every container closed here (other than the root) lost its remaining members
+        const frame = stack[stack.length - 1];
+        truncated.push(...stack.slice(1).map(f => f.path));
+        if (pending && pending.kind === 'string') {
+            truncated.push(pending.path);
+            return { json: text.slice(0, pending.end) + '"' + closers(), dropped, truncated };
         }
+        if (pending && pending.kind === 'keyword') {
+            return { json: text.slice(0, pending.start) + pending.word + closers(), dropped, truncated };
+        }
+        if (!checkpoint) return null;
 
-        return json;
+        if (pending) {
+            dropped.push(pending.path);
+        } else if (frame && (frame.expect === 'colon' || (frame.expect === 'value' && frame.type === '{'))) {
+            // Key read but its value never started
+            dropped.push(memberPath(frame));
+        }
+        return { json: text.slice(0, checkpoint.end) + checkpoint.closers, dropped, truncated };
     }
 
     /**
-     * Normalize keys to consistent camelCase format
-     * @param {Object} obj - Object to normalize
-     * @returns {Object} Normalized object
+     * Scan a JSON string starting at its opening quote
+     * @param {string} text - JSON text
+     * @param {number} start - Index of the opening quote
+     * @returns {Object} { complete, end } when closed, { complete: false, safeEnd } when the
+     *   text ends first (safeEnd excludes a partial escape), or { error } on invalid content
      */
-    normalizeKeys(obj) {
-        if (!obj || typeof obj !== 'object') return obj;
-
-        if (Array.isArray(obj)) {
-            return obj.map(item => this.normalizeKeys(item));
+    scanString(text, start) {
+        let i = start + 1;
+        let safeEnd = i;
+        while (i < text.length) {
+            const c = text[i];
+            if (c === '"') return { complete: true, end: i + 1 };
+            if (c < ' ') return { error: true };
+            if (c === '\\') {
+                const escape = text[i + 1];
+                if (escape === undefined) break;
+                if (escape === 'u') {
+                    const hex = text.substr(i + 2, 4);
+                    if (!/^[0-9a-fA-F]*$/.test(hex)) return { error: true };
+                    if (hex.length < 4) break;
+                    i += 6;
+                } else if ('"\\/bfnrt'.includes(escape)) {
+                    i += 2;
+                } else {
+                    return { error: true };
+                }
+            } else {
+                i++;
+            }
+            safeEnd = i;
         }
+        return { complete: false, safeEnd };
+    }
 
-        const keyMap = {
-            'duration in milliseconds': 'duration',
-            'start datetime': 'startTime',
-            'Client Side Request Stats': 'clientSideRequestStats',
-            'StoreResponseStatistics': 'storeResponseStatistics',
-            'AddressResolutionStatistics': 'addressResolutionStatistics',
-            'HttpResponseStats': 'httpResponseStats',
-            'transportRequestTimeline': 'transportRequestTimeline',
-            'requestTimeline': 'requestTimeline',
-            'DurationInMs': 'durationInMs',
-            'ResourceType': 'resourceType',
-            'OperationType': 'operationType',
-            'StatusCode': 'statusCode',
-            'SubStatusCode': 'subStatusCode',
-            'StoreResult': 'storeResult',
-            'StorePhysicalAddress': 'storePhysicalAddress',
-            'BELatencyInMs': 'beLatencyInMs',
-            'TransportException': 'transportException',
-            'ResponseTimeUTC': 'responseTimeUtc',
-            'LocationEndpoint': 'locationEndpoint',
-            'RequestSessionToken': 'requestSessionToken',
-            'ActivityId': 'activityId'
-        };
-
-        const normalized = {};
-        for (const key of Object.keys(obj)) {
-            const newKey = keyMap[key] || key;
-            normalized[newKey] = this.normalizeKeys(obj[key]);
+    /**
+     * Path of an object member for repair reports, e.g. data["Client Side Request Stats"]
+     * @param {string} parent - Parent path ('' for the root)
+     * @param {string} key - Member key
+     * @returns {string}
+     */
+    fieldPath(parent, key) {
+        if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+            return parent ? `${parent}.${key}` : key;
         }
-        return normalized;
+        return `${parent}[${JSON.stringify(key)}]`;
     }
 
     /**
@@ -237,10 +872,30 @@ class JsonParser {
         return {
             repaired: this.repairedCount,
             failed: this.failedCount,
-            isSingleEntry: this.isSingleEntry
+            isSingleEntry: this.isSingleEntry,
+            issues: this.issues
         };
     }
 }
 
+// Failed/repaired lines kept per parser for the parsing issues report
+JsonParser.MAX_ISSUES = 200;
+
+// Characters of context shown around a parse error or repair
+JsonParser.SNIPPET_RADIUS = 40;
+
+// Numbers and keyword literals, matched in place (sticky) by findErrorPosition
+JsonParser.LITERAL_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+// Keyword literals completed by repairJson when cut short (e.g. "tru")
+JsonParser.KEYWORDS = ['true', 'false', 'null'];
+
+// Leading part of a number, matched in place (sticky) by repairJson (e.g. "-", "-12.", "1e")
+JsonParser.PARTIAL_NUMBER_PATTERN = /-?(?:\d+(?:\.\d*)?(?:[eE][+-]?\d*)?)?/y;
+
+// Top-level keys that identify a diagnostics object inside a log line
+JsonParser.DIAGNOSTICS_KEYS = ['Summary', 'children', 'start datetime', 'duration in milliseconds', 'Client Side Request Stats',
+    'responseStatisticsList', 'requestLatencyInMs', 'clientSideRequestStatistics'];
+
 // Export for browser
 window.JsonParser = JsonParser;
@@ -0,0 +1,94 @@
+/**
+ * Line Reader Module
+ * Streams text lines from a File or ReadableStream in bounded chunks
+ */
+
+class LineReader {
+    /**
+     * @param {ReadableStream} stream - Byte stream to read
+     * @param {number} totalBytes - Total size in bytes (0 if unknown)
+     * @param {number} chunkSize - Characters to buffer before emitting a batch of lines
+     */
+    constructor(stream, totalBytes = 0, chunkSize = LineReader.CHUNK_SIZE) {
+        this.stream = stream;
+        this.totalBytes = totalBytes;
+        this.chunkSize = chunkSize;
+    }
+
+    /**
+     * Create a reader for a File/Blob
+     * @param {File} file - File to read
+     * @param {number} chunkSize - Chunk size in bytes
+     * @returns {LineReader}
+     */
+    static fromFile(file, chunkSize = LineReader.CHUNK_SIZE) {
+        const stream = typeof file.stream === 'function'
+            ? file.stream()
+            : LineReader.sliceStream(file, chunkSize);
+        return new LineReader(stream, file.size, chunkSize);
+    }
+
+    /**
+     * Build a ReadableStream over File.slice for browsers without Blob.stream()
+     * @param {File} file - File to read
+     * @param {number} chunkSize - Slice size in bytes
+     * @returns {ReadableStream}
+     */
+    static sliceStream(file, chunkSize) {
+        let offset = 0;
+        return new ReadableStream({
+            async pull(controller) {
+                if (offset >= file.size) {
+                    controller.close();
+                    return;
+                }
+                const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+                offset += chunkSize;
+                controller.enqueue(new Uint8Array(buffer));
+            }
+        });
+    }
+
+    /**
+     * Read the stream and hand complete lines to the callback in batches.
+     * Only the current chunk and the partial trailing line are held in memory.
+     * @param {function} onLines - async (lines, progress) callback; progress is {bytesRead, totalBytes}
+     */
+    async read(onLines) {
+        const reader = this.stream.getReader();
+        const decoder = new TextDecoder('utf-8');
+        let pending = '';
+        let bytesRead = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            pending += decoder.decode(value, { stream: true });
+            if (pending.length < this.chunkSize) continue;
+
+            // Emit complete lines, keep the partial last line for the next chunk
+            const lastNewline = pending.lastIndexOf('\n');
+            if (lastNewline === -1) continue;
+
+            const lines = pending.substring(0, lastNewline).split('\n');
+            pending = pending.substring(lastNewline + 1);
+            await onLines(lines, { bytesRead, totalBytes: this.totalBytes });
+
+            // Yield so progress updates can paint between chunks
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        pending += decoder.decode();
+        if (pending) {
+            await onLines(pending.split('\n'), { bytesRead, totalBytes: this.totalBytes });
+        }
+    }
+}
+
+// 8 MB of text per batch keeps memory bounded regardless of file size
+LineReader.CHUNK_SIZE = 8 * 1024 * 1024;
+
+// Export for browser
+window.LineReader = LineReader;
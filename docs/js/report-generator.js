@@ -6,6 +6,8 @@
 class ReportGenerator {
     constructor() {
         this.jsonIdCounter = 0;
+        // Raw JSON → id of its embedded script, so each entry's JSON is embedded once
+        this.entryJsonIds = new Map();
     }
 
     /**
@@ -25,6 +27,21 @@ class ReportGenerator {
         // Summary section
         html += this.generateSummary(result);
 
+        // Failed and repaired lines
+        if (result.parseIssues && result.parseIssues.length > 0) {
+            html += this.generateParseIssues(result);
+        }
+
+        // Entries dropped as repeats of earlier ones
+        if (result.duplicates && result.duplicates.removed > 0) {
+            html += this.generateDuplicates(result.duplicates);
+        }
+
+        // Per-source breakdown (merged multi-file analysis)
+        if (result.sourceBreakdown && result.sourceBreakdown.length > 1) {
+            html += this.generateSourceBreakdown(result);
+        }
+
         // System Metrics Time Plot
         if (result.systemMetrics && result.systemMetrics.snapshots.length > 0) {
             html += this.generateSystemMetricsSection(result.systemMetrics);
@@ -32,7 +49,42 @@ class ReportGenerator {
 
         // Client Configuration Time Plot
         if (result.clientConfig && result.clientConfig.snapshots.length > 0) {
-            html += this.generateClientConfigSection(result.clientConfig);
+            html += this.generateClientConfigSection(result.clientConfig, result.requestCharge?.timeline, result.throttling?.timeline);
+        }
+
+        // Latency per contacted region
+        if (result.regional && result.regional.regions.length > 0) {
+            html += this.generateRegionalSection(result.regional);
+        }
+
+        // Latency and failures per replica, slow replicas flagged
+        if (result.replicaHealth) {
+            html += this.generateReplicaHealthSection(result.replicaHealth);
+        }
+
+        // Retry patterns and the attempt chains of operations that retried
+        if (result.retryChains) {
+            html += this.generateRetryChainsSection(result.retryChains);
+        }
+
+        // Address lookups and whether they blocked slow operations
+        if (result.addressResolution) {
+            html += this.generateAddressResolutionSection(result.addressResolution);
+        }
+
+        // RNTBD connection load and its correlation with transit and receive latency
+        if (result.connectionStats) {
+            html += this.generateConnectionStatsSection(result.connectionStats);
+        }
+
+        // 429s and the time spent waiting on them
+        if (result.throttling) {
+            html += this.generateThrottlingSection(result.throttling);
+        }
+
+        // Request charge per operation, resource type and partition
+        if (result.requestCharge) {
+            html += this.generateRequestChargeSection(result.requestCharge);
         }
 
         // Operation buckets
@@ -40,39 +92,205 @@ class ReportGenerator {
             html += this.generateOperationBuckets(result);
         }
 
+        // Groups by extra Excel/CSV columns
+        for (const [i, { column, groups }] of (result.metadataGroups || []).entries()) {
+            html += this.generateGroupSection(
+                `🏷️ GroupBy ${this.escape(column)}`,
+                groups,
+                `metadata${i}`,
+                (entries, tableId) => this.generateEntriesTable(entries, tableId)
+            );
+        }
+
+        // Network analysis of the selected operation (the highest count one until changed)
+        if (result.operationAnalyses && result.operationAnalyses.length > 0) {
+            html += this.generateOperationSelector(result);
+            html += `<div id="operation-network">${this.generateNetworkSections(result.operationAnalyses[1], result.threshold)}</div>`;
+            html += this.generateOperationData(result);
+        }
+
+        // Raw JSON of every entry listed above, once each
+        html += this.generateEntryJson();
+
+        return html;
+    }
+
+    /**
+     * Operation selector for the network analysis sections below it
+     * @param {Object} result - Analysis result with operationAnalyses
+     * @returns {string} HTML string
+     */
+    generateOperationSelector(result) {
+        // With a single operation, "All operations" is the same view
+        if (result.operationAnalyses.length <= 2) return '';
+
+        const options = result.operationAnalyses.map((analysis, i) => {
+            const label = analysis.operation === null ? 'All operations' : analysis.operation;
+            return `<option value="${i}"${i === 1 ? ' selected' : ''}>${this.escape(label)} (${analysis.networkInteractions.length.toLocaleString()} network calls)</option>`;
+        });
+
+        return `
+            <div class="section operation-selector">
+                <h2>🎯 Network Analysis by Operation</h2>
+                <label for="operationSelect">Operation:</label>
+                <select id="operationSelect" onchange="app.selectOperation(this.value)">${options.join('')}</select>
+                <p class="note">The network interaction and GroupBy sections below show the selected operation</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Network analyses of every operation for the standalone report's selector, which renders
+     * the selected one with an embedded copy of this class. Interactions are listed once, with
+     * the id of their embedded JSON instead of the JSON; groups refer to them by index.
+     * @param {Object} result - Analysis result with operationAnalyses
+     * @returns {string} HTML string
+     */
+    generateOperationData(result) {
+        if (result.operationAnalyses.length <= 2) return '';
+
+        // "All operations" holds every interaction; the other analyses hold subsets of the same objects
+        const all = result.operationAnalyses[0].networkInteractions;
+        const indexes = new Map(all.map((n, i) => [n, i]));
+        const compactGroups = groups => groups.map(group => ({
+            ...group,
+            entries: group.entries.map(n => indexes.get(n)),
+            ...(group.phaseDetails ? { phaseDetails: compactGroups(group.phaseDetails) } : {})
+        }));
+
+        const data = {
+            threshold: result.threshold,
+            interactions: all.map(n => ({
+                resourceType: n.resourceType,
+                operationType: n.operationType,
+                statusCode: n.statusCode,
+                subStatusCode: n.subStatusCode,
+                durationInMs: n.durationInMs,
+                beLatencyInMs: n.beLatencyInMs,
+                lastEvent: n.lastEvent,
+                storePhysicalAddress: n.storePhysicalAddress,
+                source: n.source,
+                jsonId: this.entryJsonId(n)
+            })),
+            operations: result.operationAnalyses.map(analysis => ({
+                operation: analysis.operation,
+                networkInteractions: analysis.networkInteractions.map(n => indexes.get(n)),
+                resourceTypeGroups: compactGroups(analysis.resourceTypeGroups),
+                statusCodeGroups: compactGroups(analysis.statusCodeGroups),
+                partitionGroups: compactGroups(analysis.partitionGroups),
+                transportEventGroups: compactGroups(analysis.transportEventGroups),
+                transportExceptionGroups: compactGroups(analysis.transportExceptionGroups)
+            }))
+        };
+        const safeJson = JSON.stringify(data).replace(/<\/script>/gi, '<\\/script>');
+        return `<script type="application/json" id="operation-data">${safeJson}</script>`;
+    }
+
+    /**
+     * Rebuild one operation analysis from the data of generateOperationData
+     * @param {Object} data - Parsed operation data
+     * @param {number} index - Index into the operation analyses (0 is all operations)
+     * @returns {Object} Operation analysis for generateNetworkSections
+     */
+    expandOperationAnalysis(data, index) {
+        const expandGroups = groups => groups.map(group => ({
+            ...group,
+            entries: group.entries.map(i => data.interactions[i]),
+            ...(group.phaseDetails ? { phaseDetails: expandGroups(group.phaseDetails) } : {})
+        }));
+
+        const analysis = data.operations[index];
+        return {
+            operation: analysis.operation,
+            networkInteractions: analysis.networkInteractions.map(i => data.interactions[i]),
+            resourceTypeGroups: expandGroups(analysis.resourceTypeGroups),
+            statusCodeGroups: expandGroups(analysis.statusCodeGroups),
+            partitionGroups: expandGroups(analysis.partitionGroups),
+            transportEventGroups: expandGroups(analysis.transportEventGroups),
+            transportExceptionGroups: expandGroups(analysis.transportExceptionGroups)
+        };
+    }
+
+    /**
+     * Id of the script holding an entry's raw JSON. Entries listed in several tables or
+     * operation views share one script, embedded by generateEntryJson.
+     * @param {Object} entry - Entry with rawJson, or with the jsonId of an embedded script
+     * @returns {string} Element id
+     */
+    entryJsonId(entry) {
+        if (entry.jsonId) return entry.jsonId;
+
+        const rawJson = entry.rawJson || '';
+        let id = this.entryJsonIds.get(rawJson);
+        if (!id) {
+            id = `json-${++this.jsonIdCounter}`;
+            this.entryJsonIds.set(rawJson, id);
+        }
+        return id;
+    }
+
+    /**
+     * Scripts holding the raw JSON of every entry given an id by entryJsonId
+     * @returns {string} HTML string
+     */
+    generateEntryJson() {
+        let html = '';
+        for (const [rawJson, id] of this.entryJsonIds) {
+            // Store raw JSON without HTML escaping - script tags don't render HTML
+            const safeJson = rawJson.replace(/<\/script>/gi, '<\\/script>');
+            html += `<script type="application/json" id="${id}">${safeJson}</script>`;
+        }
+        return html;
+    }
+
+    /**
+     * Network interaction and GroupBy sections for one operation analysis
+     * @param {Object} analysis - Entry of result.operationAnalyses
+     * @param {number} threshold - Latency threshold in ms
+     * @returns {string} HTML string
+     */
+    generateNetworkSections(analysis, threshold) {
+        const label = analysis.operation === null ? 'all operations' : this.escape(analysis.operation);
+        let html = `<p class="note">Network analysis of <strong>${label}</strong> (${analysis.networkInteractions.length.toLocaleString()} network calls)</p>`;
+
         // Network interactions (collapsible)
-        if (result.networkInteractions.length > 0) {
-            html += this.generateNetworkInteractions(result);
+        if (analysis.networkInteractions.length > 0) {
+            html += this.generateNetworkInteractions(analysis.networkInteractions, threshold);
         }
 
         // Resource type groups
-        if (result.resourceTypeGroups.length > 0) {
+        if (analysis.resourceTypeGroups.length > 0) {
             html += this.generateGroupSection(
                 '📁 GroupBy {ResourceType → OperationType}',
-                result.resourceTypeGroups,
+                analysis.resourceTypeGroups,
                 'resourceType'
             );
         }
 
         // Status code groups
-        if (result.statusCodeGroups.length > 0) {
+        if (analysis.statusCodeGroups.length > 0) {
             html += this.generateGroupSection(
                 '🔢 GroupBy {StatusCode → SubStatusCode}',
-                result.statusCodeGroups,
+                analysis.statusCodeGroups,
                 'statusCode'
             );
         }
 
+        // Partition groups with hot partitions flagged
+        if (analysis.partitionGroups.length > 0) {
+            html += this.generatePartitionSection(analysis.partitionGroups);
+        }
+
         // Transport event groups
-        if (result.transportEventGroups.length > 0) {
-            html += this.generateTransportEventSection(result.transportEventGroups);
+        if (analysis.transportEventGroups.length > 0) {
+            html += this.generateTransportEventSection(analysis.transportEventGroups);
         }
-        
+
         // Transport exception groups
-        if (result.transportExceptionGroups && result.transportExceptionGroups.length > 0) {
+        if (analysis.transportExceptionGroups.length > 0) {
             html += this.generateGroupSection(
                 '⚠️ GroupBy TransportException',
-                result.transportExceptionGroups,
+                analysis.transportExceptionGroups,
                 'transportException'
             );
         }
@@ -140,6 +358,31 @@ class ReportGenerator {
         const repairedEntries = result.repairedEntries || 0;
         const failedEntries = result.failedEntries || 0;
         const parsedEntries = result.parsedEntries || result.totalEntries;
+        const sampling = result.sampling;
+        // Above-threshold entries are all kept in threshold sampling, so the rate is exact over every entry
+        const rateBase = sampling?.mode === 'threshold' ? sampling.seen : result.totalEntries;
+        const rateNote = sampling?.mode === 'uniform' ? ' <span class="note">(estimated)</span>' : '';
+
+        const extraRows = [];
+        if (result.duplicates) {
+            extraRows.push(['Duplicates Removed',
+                `<span class="num ${result.duplicates.removed > 0 ? 'warning' : ''}">${result.duplicates.removed.toLocaleString()}</span>`]);
+        }
+        if (sampling) {
+            extraRows.push(['Sampling', `<span class="str">${this.escape(this.describeSamplingRate(sampling))}</span>`]);
+        }
+        const extraRowsHtml = extraRows.map(([metric, value], i) => `
+                            <tr>
+                                <td class="row-num">${8 + i}</td>
+                                <td>${metric}</td>
+                                <td>${value}</td>
+                            </tr>`).join('');
+        const caveats = sampling ? this.describeSamplingCaveats(sampling) : [];
+        const caveatsHtml = caveats.length > 0 ? `
+                <div class="sampling-caveats">
+                    <p class="note">⚠️ Sampled analysis:</p>
+                    <ul>${caveats.map(c => `<li class="note">${this.escape(c)}</li>`).join('')}</ul>
+                </div>` : '';
         
         return `
             <div class="section">
@@ -158,7 +401,7 @@ class ReportGenerator {
                             <tr>
                                 <td class="row-num">1</td>
                                 <td>Total Lines</td>
-                                <td><span class="num">${result.totalEntries.toLocaleString()}</span></td>
+                                <td><span class="num">${parsedEntries.toLocaleString()}</span></td>
                             </tr>
                             <tr>
                                 <td class="row-num">2</td>
@@ -188,11 +431,811 @@ class ReportGenerator {
                             <tr>
                                 <td class="row-num">7</td>
                                 <td>High Latency Rate</td>
-                                <td><span class="num">${((result.highLatencyEntries / parsedEntries) * 100).toFixed(2)}%</span></td>
+                                <td><span class="num">${((result.highLatencyEntries / rateBase) * 100).toFixed(2)}%</span>${rateNote}</td>
+                            </tr>${extraRowsHtml}
+                        </tbody>
+                    </table>
+                </div>${caveatsHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * One-line sampling description, e.g. "Uniform: 10,000 of 2,000,000 entries (0.50%)"
+     * @param {Object} sampling - EntrySampler summary
+     * @returns {string}
+     */
+    describeSamplingRate(sampling) {
+        const pct = n => `${(n * 100).toFixed(2)}%`;
+        if (sampling.mode === 'threshold') {
+            const poolRate = sampling.poolSeen > 0 ? sampling.poolSampled / sampling.poolSeen : 1;
+            return `Keep above threshold: all ${sampling.aboveThreshold.toLocaleString()} above, `
+                + `${sampling.poolSampled.toLocaleString()} of ${sampling.poolSeen.toLocaleString()} at or below (${pct(poolRate)}); `
+                + `${sampling.sampled.toLocaleString()} of ${sampling.seen.toLocaleString()} entries analyzed (${pct(sampling.rate)})`;
+        }
+        return `Uniform: ${sampling.sampled.toLocaleString()} of ${sampling.seen.toLocaleString()} entries (${pct(sampling.rate)})`;
+    }
+
+    /**
+     * Confidence caveats for percentiles and counts computed from a sample
+     * @param {Object} sampling - EntrySampler summary
+     * @returns {Array<string>}
+     */
+    describeSamplingCaveats(sampling) {
+        const caveats = [];
+        if (sampling.sampled >= sampling.seen) {
+            caveats.push('Every entry fit in the sample, so all figures are exact.');
+            return caveats;
+        }
+
+        if (sampling.mode === 'uniform') {
+            const m = sampling.margins;
+            const tail = Math.floor(sampling.sampled * 0.01);
+            caveats.push(`Counts, percentiles and charts describe a uniform random sample of ${sampling.sampled.toLocaleString()} entries, not the full capture.`);
+            caveats.push(`Percentile ranks are accurate to about ±${m.p50.toFixed(2)} points at p50, ±${m.p90.toFixed(2)} at p90 and ±${m.p99.toFixed(2)} at p99 (95% confidence).`);
+            caveats.push(`p99 rests on the slowest ~${tail.toLocaleString()} sampled entries; rare outliers may be missing and the max is a lower bound.`);
+        } else {
+            caveats.push(`All ${sampling.aboveThreshold.toLocaleString()} entries above ${sampling.threshold.toLocaleString()} ms are kept, so high-latency counts, buckets, groups and their percentiles are exact.`);
+            caveats.push('Entries at or below the threshold are a uniform sample; per-source percentiles, system metrics and client configuration are skewed toward high latency.');
+        }
+        return caveats;
+    }
+
+    /**
+     * Generate parsing issues section: failed and repaired lines with error position,
+     * snippet, repair diff and an inline editor to re-run with fixed lines
+     */
+    generateParseIssues(result) {
+        const issues = result.parseIssues;
+        const total = (result.failedEntries || 0) + (result.repairedEntries || 0);
+        const shown = issues.length < total ? `Showing first ${issues.length} of ${total} issues. ` : '';
+
+        const rows = issues.map((issue, i) => {
+            const failed = issue.status === 'failed';
+            const snippet = issue.snippet
+                ? `${this.escape(issue.snippet.before)}<mark>${this.escape(issue.snippet.at) || '⏎'}</mark>${this.escape(issue.snippet.after)}`
+                : '';
+            const partial = issue.repair && this.describePartialFields({
+                droppedFields: issue.repair.dropped, truncatedFields: issue.repair.truncated
+            });
+            const repair = issue.repair
+                ? `…${this.escape(issue.repair.context)}<del>${this.escape(issue.repair.removed)}</del><ins>${this.escape(issue.repair.added)}</ins>`
+                    + (partial ? `<br><span class="warning">${this.escape(partial)}</span>` : '')
+                : '-';
+            return `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td><span class="str">${this.escape(issue.source || '-')}</span></td>
+                    <td><span class="num">${issue.lineNumber}</span></td>
+                    <td><span class="${failed ? 'error' : 'warning'}">${failed ? '❌ Failed' : '🔧 Repaired'}</span></td>
+                    <td><span class="str">${this.escape(issue.error)}</span><br><span class="note">at position ${issue.position}</span></td>
+                    <td><code class="issue-snippet">${snippet}</code></td>
+                    <td><code class="issue-snippet">${repair}</code></td>
+                    <td><button class="btn-view app-only" onclick="app.toggleIssueEditor(${i})">✏️ Edit</button></td>
+                </tr>
+                <tr id="issue-edit-${i}" class="issue-edit-row" hidden>
+                    <td colspan="8">
+                        <textarea class="issue-editor" data-source="${this.escapeAttr(issue.source || '')}" data-line="${issue.lineNumber}">${this.escape(issue.line)}</textarea>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="section">
+                <div class="collapsible-header" onclick="app.toggleSection('parse-issues')">
+                    <h3>⚠️ Parsing Issues (${total.toLocaleString()})</h3>
+                    <span class="collapse-icon" id="parse-issues-icon">▶</span>
+                </div>
+                <div id="parse-issues" class="collapsible-content">
+                    <p class="note">${shown}Edit a line and re-run to include it in the analysis.</p>
+                    <button class="btn btn-secondary btn-small app-only" onclick="app.rerunWithFixes()">🔁 Re-run with edits</button>
+                    <div class="table-container">
+                        <table class="data-table" id="issues-table">
+                            <thead>
+                                <tr>
+                                    <th class="row-num">#</th>
+                                    <th>Source</th>
+                                    <th>Line</th>
+                                    <th>Status</th>
+                                    <th>Error</th>
+                                    <th>Snippet</th>
+                                    <th>Repair Applied</th>
+                                    <th>Fix</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the removed duplicates section: which lines were dropped and which line they repeat
+     * @param {Object} duplicates - { removed, byKey, items } from AnalysisPipeline.createDuplicateFilter
+     */
+    generateDuplicates(duplicates) {
+        const labels = { activityId: 'ActivityId', traceId: 'DistributedTraceId + start time', content: 'Identical content' };
+        const breakdown = Object.entries(duplicates.byKey)
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${labels[kind]}: ${count.toLocaleString()}`)
+            .join(', ');
+        const shown = duplicates.items.length < duplicates.removed
+            ? ` Showing first ${duplicates.items.length}.`
+            : '';
+
+        const rows = duplicates.items.map((item, i) => `
+            <tr>
+                <td class="row-num">${i + 1}</td>
+                <td data-sort="${this.escapeAttr(item.source || '')}"><span class="str">${this.escape(item.source || '-')}</span></td>
+                <td data-sort="${item.lineNumber}"><span class="num">${item.lineNumber}</span></td>
+                <td><span class="str">${labels[item.matchedOn]}</span></td>
+                <td><span class="str">${this.escape(item.key || '-')}</span></td>
+                <td><span class="str">${this.escape(item.keptSource || '-')}</span> line <span class="num">${item.keptLineNumber}</span></td>
+            </tr>
+        `).join('');
+
+        return `
+            <div class="section">
+                <div class="collapsible-header" onclick="app.toggleSection('duplicates')">
+                    <h3>♻️ Duplicates Removed (${duplicates.removed.toLocaleString()})</h3>
+                    <span class="collapse-icon" id="duplicates-icon">▶</span>
+                </div>
+                <div id="duplicates" class="collapsible-content">
+                    <p class="note">Matched on ${breakdown}.${shown} Only the first occurrence of each entry is analyzed.</p>
+                    <div class="table-container">
+                        <table class="data-table" id="duplicates-table">
+                            <thead>
+                                <tr>
+                                    <th class="row-num">#</th>
+                                    <th class="sortable" data-col="1">Source<span class="sort-icon">⇅</span></th>
+                                    <th class="sortable" data-col="2">Line<span class="sort-icon">⇅</span></th>
+                                    <th>Matched On</th>
+                                    <th>Key</th>
+                                    <th>Duplicate Of</th>
+                                </tr>
+                            </thead>
+                            <tbody>${rows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Describe the fields a repair dropped or cut short
+     * @param {Object} entry - Entry with droppedFields and truncatedFields
+     * @returns {string} Description, or '' if the entry is complete
+     */
+    describePartialFields(entry) {
+        const parts = [];
+        if (entry.droppedFields?.length) parts.push(`Dropped: ${entry.droppedFields.join(', ')}`);
+        if (entry.truncatedFields?.length) parts.push(`Truncated: ${entry.truncatedFields.join(', ')}`);
+        return parts.join('; ');
+    }
+
+    /**
+     * Generate per-source breakdown section
+     */
+    generateSourceBreakdown(result) {
+        let html = `
+            <div class="section">
+                <h2>🗂️ Per-Source Breakdown</h2>
+                <p class="note">${result.sourceBreakdown.length} sources merged into this analysis</p>
+                <div class="table-container">
+                    <table class="data-table" id="source-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Source<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Entries<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">Repaired<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">Failed<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">High Latency<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="6">P50<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="7">P90<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="8">P99<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="9">Max (ms)<span class="sort-icon">⇅</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        result.sourceBreakdown.forEach((row, i) => {
+            const repaired = row.repaired || 0;
+            const failed = row.failed || 0;
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.source)}"><span class="str">${this.escape(row.source)}</span></td>
+                    <td data-sort="${row.count}"><span class="num">${row.count.toLocaleString()}</span></td>
+                    <td data-sort="${repaired}"><span class="num ${repaired > 0 ? 'success' : ''}">${repaired.toLocaleString()}</span></td>
+                    <td data-sort="${failed}"><span class="num ${failed > 0 ? 'error' : ''}">${failed.toLocaleString()}</span></td>
+                    <td data-sort="${row.highLatencyCount}"><span class="num ${row.highLatencyCount > 0 ? 'warning' : ''}">${row.highLatencyCount.toLocaleString()}</span></td>
+                    <td data-sort="${row.p50}"><span class="num">${row.p50.toFixed(2)}</span></td>
+                    <td data-sort="${row.p90}"><span class="num">${row.p90.toFixed(2)}</span></td>
+                    <td data-sort="${row.p99}"><span class="num">${row.p99.toFixed(2)}</span></td>
+                    <td data-sort="${row.max}"><span class="num">${row.max.toFixed(2)}</span></td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    /**
+     * Generate the regional latency section: findings and a per-region table
+     * @param {Object} regional - result.regional from Analyzer.computeRegionalAnalysis
+     * @returns {string} HTML string
+     */
+    generateRegionalSection(regional) {
+        const percent = (count, total) => total > 0 ? `${(count / total * 100).toFixed(1)}%` : '0%';
+        const list = regions => regions.map(r => this.escape(r)).join(', ');
+        const findings = [];
+
+        findings.push(regional.vmRegions.length > 0
+            ? `Client VM region: <strong>${list(regional.vmRegions)}</strong>`
+            : 'The client VM region is not recorded; cross-region calls cannot be identified');
+
+        const { multiRegion, crossRegionCalls } = regional;
+        findings.push(`${multiRegion.count.toLocaleString()} of ${multiRegion.total.toLocaleString()} operations ` +
+            `(${percent(multiRegion.count, multiRegion.total)}) contacted more than one region`);
+
+        if (crossRegionCalls.total > 0) {
+            findings.push(`<span class="${crossRegionCalls.count > 0 ? 'warning' : ''}">${crossRegionCalls.count.toLocaleString()} of ` +
+                `${crossRegionCalls.total.toLocaleString()} network calls (${percent(crossRegionCalls.count, crossRegionCalls.total)}) ` +
+                'went to a region other than the client VM region</span>');
+        }
+
+        if (regional.preferredRegions.length === 0) {
+            const applicationRegion = regional.applicationRegions.length > 0
+                ? ` (ApplicationRegion: ${list(regional.applicationRegions)})`
+                : '';
+            findings.push(`No preferred regions are configured${applicationRegion}`);
+        } else if (regional.unpreferredRegions.length === 0) {
+            findings.push(`<span class="success">✓ All contacted regions are preferred regions (${list(regional.preferredRegions)})</span>`);
+        } else {
+            findings.push(`<span class="warning">⚠️ Regions contacted outside the preferred regions (${list(regional.preferredRegions)}): ` +
+                `${list(regional.unpreferredRegions)}</span>`);
+        }
+
+        let html = `
+            <div class="section">
+                <h2>🌍 Regional Latency</h2>
+                <div class="findings">
+                    <ul>${findings.map(f => `<li class="note">${f}</li>`).join('')}</ul>
+                </div>
+                <div class="table-container">
+                    <table class="data-table" id="region-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Region<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Operations<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">High Latency<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">P50<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">P90<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="6">P99<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="7">Max (ms)<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="8">Calls<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="9">Cross-Region Calls<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="10">Preferred<span class="sort-icon">⇅</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        regional.regions.forEach((row, i) => {
+            const preferred = row.preferredRank > 0 ? `#${row.preferredRank}` : (regional.preferredRegions.length > 0 ? '✗' : '-');
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.region)}"><span class="str">${this.escape(row.region)}</span>${row.isVmRegion ? ' <span class="null">(VM)</span>' : ''}</td>
+                    <td data-sort="${row.count}"><span class="num">${row.count.toLocaleString()}</span></td>
+                    <td data-sort="${row.highLatencyCount}"><span class="num ${row.highLatencyCount > 0 ? 'warning' : ''}">${row.highLatencyCount.toLocaleString()}</span></td>
+                    <td data-sort="${row.p50}"><span class="num">${row.p50.toFixed(2)}</span></td>
+                    <td data-sort="${row.p90}"><span class="num">${row.p90.toFixed(2)}</span></td>
+                    <td data-sort="${row.p99}"><span class="num">${row.p99.toFixed(2)}</span></td>
+                    <td data-sort="${row.max}"><span class="num">${row.max.toFixed(2)}</span></td>
+                    <td data-sort="${row.calls}"><span class="num">${row.calls.toLocaleString()}</span></td>
+                    <td data-sort="${row.crossRegionCalls}"><span class="num ${row.crossRegionCalls > 0 ? 'warning' : ''}">${row.crossRegionCalls.toLocaleString()}</span></td>
+                    <td data-sort="${row.preferredRank || 999}"><span class="${row.preferredRank > 0 || regional.preferredRegions.length === 0 ? 'null' : 'warning'}">${preferred}</span></td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    /**
+     * Generate the replica health section: primary vs secondary summary and a per-replica table
+     * @param {Object} health - result.replicaHealth from Analyzer.computeReplicaHealth
+     * @returns {string} HTML string
+     */
+    generateReplicaHealthSection(health) {
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        const slow = health.replicas.filter(r => r.isOutlier);
+        const findings = [
+            `${health.replicas.length.toLocaleString()} replicas in ${health.replicaSets.toLocaleString()} replica sets`,
+            ...health.byRole.map(role => `<strong>${this.escape(role.key)}</strong>: ${role.count.toLocaleString()} calls, ` +
+                `P50 ${role.p50.toFixed(2)} ms, P99 ${role.p99.toFixed(2)} ms, failures ${percent(role.failureRate)}, 410 ${percent(role.goneRate)}`)
+        ];
+        findings.push(slow.length > 0
+            ? `<span class="warning">⚠️ ${slow.length} replica${slow.length > 1 ? 's are' : ' is'} slower than ${slow.length > 1 ? 'their' : 'its'} replica-set peers ` +
+                `(P50 above ${Analyzer.REPLICA_OUTLIER_FACTOR}× the peers' P50, at least ${Analyzer.MIN_REPLICA_CALLS} calls): ` +
+                `${slow.map(r => this.escape(r.host)).join(', ')}</span>`
+            : '<span class="success">✓ No replica is slower than its replica-set peers</span>');
+
+        let html = `
+            <div class="section">
+                <h2>🖥️ Replica Health</h2>
+                <div class="findings">
+                    <ul>${findings.map(f => `<li class="note">${f}</li>`).join('')}</ul>
+                </div>
+                <div class="table-container">
+                    <table class="data-table" id="replica-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">StorePhysicalAddress<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Role<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">Calls<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">P50<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">P90<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="6">P99<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="7">Max (ms)<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="8">Failure Rate<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="9">410 Rate<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="10">Peers P50<span class="sort-icon">⇅</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        health.replicas.forEach((row, i) => {
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.key)}"><span class="str">${this.escape(row.key)}</span>${row.isOutlier ? ' <span class="warning">⚠️ slow</span>' : ''}</td>
+                    <td data-sort="${row.role}"><span class="${row.role === 'unknown' ? 'null' : 'str'}">${row.role}</span></td>
+                    <td data-sort="${row.count}"><span class="num">${row.count.toLocaleString()}</span></td>
+                    <td data-sort="${row.p50}"><span class="num ${row.isOutlier ? 'warning' : ''}">${row.p50.toFixed(2)}</span></td>
+                    <td data-sort="${row.p90}"><span class="num">${row.p90.toFixed(2)}</span></td>
+                    <td data-sort="${row.p99}"><span class="num">${row.p99.toFixed(2)}</span></td>
+                    <td data-sort="${row.max}"><span class="num">${row.max.toFixed(2)}</span></td>
+                    <td data-sort="${row.failureRate}"><span class="num ${row.failedCount > 0 ? 'warning' : ''}">${percent(row.failureRate)}</span></td>
+                    <td data-sort="${row.goneRate}"><span class="num ${row.goneCount > 0 ? 'warning' : ''}">${percent(row.goneRate)}</span></td>
+                    <td data-sort="${row.peerP50 ?? -1}">${row.peerP50 !== null ? `<span class="num">${row.peerP50.toFixed(2)}</span>` : '<span class="null">-</span>'}</td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    /**
+     * Generate the retry chains section: retry patterns with the latency they added, then the
+     * attempt chains that added the most latency
+     * @param {Object} retry - result.retryChains from Analyzer.computeRetryChains
+     * @returns {string} HTML string
+     */
+    generateRetryChainsSection(retry) {
+        const addedMs = retry.patterns.reduce((sum, p) => sum + p.totalAddedMs, 0);
+        let html = `
+            <div class="section">
+                <h2>🔁 Retry Chains</h2>
+                <p class="note">${retry.retried.toLocaleString()} of ${retry.operations.toLocaleString()} operations retried a failed call,
+                    adding ${addedMs.toFixed(2)} ms in total (time in failed attempts and the gaps before their retries).</p>
+                <div class="table-container">
+                    <div class="table-header">Retry Patterns</div>
+                    <table class="data-table" id="retry-pattern-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Pattern<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Operations<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">Retries<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">Added P50 (ms)<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">Added P90<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="6">Added P99<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="7">Added Max<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="8">Total Added (ms)<span class="sort-icon">⇅</span></th>
                             </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        retry.patterns.forEach((row, i) => {
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.key)}"><span class="str">${this.escape(row.key)}</span></td>
+                    <td data-sort="${row.count}"><span class="num">${row.count.toLocaleString()}</span></td>
+                    <td data-sort="${row.retries}"><span class="num">${row.retries.toLocaleString()}</span></td>
+                    <td data-sort="${row.p50}"><span class="num">${row.p50.toFixed(2)}</span></td>
+                    <td data-sort="${row.p90}"><span class="num">${row.p90.toFixed(2)}</span></td>
+                    <td data-sort="${row.p99}"><span class="num">${row.p99.toFixed(2)}</span></td>
+                    <td data-sort="${row.max}"><span class="num">${row.max.toFixed(2)}</span></td>
+                    <td data-sort="${row.totalAddedMs}"><span class="num">${row.totalAddedMs.toFixed(2)}</span></td>
+                </tr>
+            `;
+        });
+
+        html += `
                         </tbody>
                     </table>
                 </div>
+                <div class="table-container" style="margin-top: 20px;">
+                    <div class="table-header">Attempt Chains (${retry.chains.length} that added the most latency)</div>
+                    <table class="data-table" id="retry-chain-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Operation<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Duration (ms)<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">Added (ms)<span class="sort-icon">⇅</span></th>
+                                <th>Attempts</th>
+                                <th class="sortable" data-col="5">Source<span class="sort-icon">⇅</span></th>
+                                <th>JSON</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        retry.chains.forEach((chain, i) => {
+            const jsonId = this.entryJsonId(chain);
+            const location = chain.lineNumber ? `${chain.source || '-'}:${chain.lineNumber}` : (chain.source || '-');
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(chain.name)}"><span class="str">${this.escape(chain.name)}</span></td>
+                    <td data-sort="${chain.durationInMs}"><span class="num">${chain.durationInMs.toFixed(2)}</span></td>
+                    <td data-sort="${chain.addedMs}"><span class="num warning">${chain.addedMs.toFixed(2)}</span></td>
+                    <td>${this.generateAttemptChain(chain.attempts)}</td>
+                    <td data-sort="${this.escapeAttr(location)}"><span class="str">${this.escape(location)}</span></td>
+                    <td>
+                        <button class="btn-view" onclick="app.showJson('${jsonId}', this)">📄 View</button>
+                    </td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    /**
+     * Render an attempt chain: "#1 410/1002 primary 613 ms → +7 ms → #2 200/0 secondary 131 ms"
+     * @param {Array} attempts - Analyzer.buildAttemptChain result
+     * @returns {string} HTML string
+     */
+    generateAttemptChain(attempts) {
+        return attempts.map(a => {
+            const gap = a.gapMs !== null && a.attempt > 1 ? `<span class="null">+${a.gapMs.toFixed(0)} ms</span> → ` : '';
+            const role = a.role !== 'unknown' ? ` ${a.role}` : '';
+            return `${gap}<span class="${a.failed ? 'warning' : 'str'}" title="${this.escapeAttr(a.address)}">` +
+                `#${a.attempt} ${this.escape(a.status)}${role} ${a.durationInMs.toFixed(0)} ms</span>`;
+        }).join(' → ');
+    }
+
+    /**
+     * Generate the address resolution section: lookup frequency and latency, lookups on the
+     * critical path of slow operations, and a per-endpoint table
+     * @param {Object} address - result.addressResolution from Analyzer.computeAddressResolution
+     * @returns {string} HTML string
+     */
+    generateAddressResolutionSection(address) {
+        const percent = (count, total) => total > 0 ? `${(count / total * 100).toFixed(1)}%` : '0%';
+        const slow = address.slowOperations;
+        const findings = [
+            `${address.lookups.toLocaleString()} address lookups in ${address.operations.toLocaleString()} of ` +
+                `${address.totalOperations.toLocaleString()} operations (${percent(address.operations, address.totalOperations)}); ` +
+                `P50 ${address.p50.toFixed(2)} ms, P99 ${address.p99.toFixed(2)} ms, max ${address.max.toFixed(2)} ms`,
+            `Busiest minute: ${address.peakPerMinute.count.toLocaleString()} lookups` +
+                `${address.peakPerMinute.minute ? ` at ${this.escape(this.formatTimestamp(address.peakPerMinute.minute))}` : ''}`,
+            `<span class="${slow.blocked > 0 ? 'warning' : ''}">${slow.blocked.toLocaleString()} of ${slow.total.toLocaleString()} slow operations ` +
+                `had a lookup on the critical path (${slow.blockedMs.toFixed(2)} ms waiting); ${slow.withLookup.toLocaleString()} had any lookup</span>`
+        ];
+        if (slow.unknown > 0) {
+            findings.push(`${slow.unknown.toLocaleString()} slow operations with lookups record no store call times, so whether a lookup blocked them is unknown`);
+        }
+        if (address.inFlight > 0) {
+            findings.push(`<span class="warning">${address.inFlight.toLocaleString()} lookups were still in flight when the diagnostics were written ` +
+                `(measured to the end of their operation)</span>`);
+        }
+        if (address.after410 > 0) {
+            findings.push(`<span class="warning">${address.after410.toLocaleString()} lookups followed a 410 response ` +
+                `(${percent(address.after410, address.lookups)}), a sign of 410-triggered address refreshes</span>`);
+        }
+        if (address.forceRefresh > 0 || address.failed > 0) {
+            findings.push(`${address.forceRefresh.toLocaleString()} forced refreshes, ${address.failed.toLocaleString()} failed lookups`);
+        }
+
+        let html = `
+            <div class="section">
+                <h2>📍 Address Resolution</h2>
+                <div class="findings">
+                    <ul>${findings.map(f => `<li class="note">${f}</li>`).join('')}</ul>
+                </div>
+                <div class="table-container">
+                    <table class="data-table" id="address-resolution-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Target Endpoint<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Lookups<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">P50<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">P90<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">P99<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="6">Max (ms)<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="7">After 410<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="8">Failed<span class="sort-icon">⇅</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        address.byEndpoint.forEach((row, i) => {
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.key)}"><span class="str">${this.escape(row.key)}</span></td>
+                    <td data-sort="${row.count}"><span class="num">${row.count.toLocaleString()}</span></td>
+                    <td data-sort="${row.p50}"><span class="num">${row.p50.toFixed(2)}</span></td>
+                    <td data-sort="${row.p90}"><span class="num">${row.p90.toFixed(2)}</span></td>
+                    <td data-sort="${row.p99}"><span class="num">${row.p99.toFixed(2)}</span></td>
+                    <td data-sort="${row.max}"><span class="num">${row.max.toFixed(2)}</span></td>
+                    <td data-sort="${row.after410}"><span class="num ${row.after410 > 0 ? 'warning' : ''}">${row.after410.toLocaleString()}</span></td>
+                    <td data-sort="${row.failed}"><span class="num ${row.failed > 0 ? 'warning' : ''}">${row.failed.toLocaleString()}</span></td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div></div>';
+        return html;
+    }
+
+    /**
+     * Generate the RNTBD connection stats section: load distributions, correlation of load with
+     * Transit Time and Received latency, and phase latency per inflight / pending receive bucket
+     * @param {Object} connection - result.connectionStats from Analyzer.computeConnectionStats
+     * @returns {string} HTML string
+     */
+    generateConnectionStatsSection(connection) {
+        const d = connection.distributions;
+        const names = {
+            inflightRequests: 'Inflight Requests',
+            openConnections: 'Open Connections',
+            callsPendingReceive: 'Calls Pending Receive',
+            sinceLastReceiveMs: 'Since Last Receive (ms)'
+        };
+        const findings = [
+            `${connection.withStats.toLocaleString()} of ${connection.calls.toLocaleString()} network calls record connection stats; ` +
+                `inflight requests P50 ${d.inflightRequests.p50} / max ${d.inflightRequests.max}, ` +
+                `calls pending receive P50 ${d.callsPendingReceive.p50} / max ${d.callsPendingReceive.max}, ` +
+                `open connections max ${d.openConnections.max}`
+        ];
+        if (connection.waitForConnectionInit > 0) {
+            findings.push(`<span class="warning">${connection.waitForConnectionInit.toLocaleString()} calls waited for connection initialization</span>`);
+        }
+        const saturation = connection.correlations.filter(c =>
+            c.metric !== 'sinceLastReceiveMs' && c.coefficient !== null && c.coefficient >= 0.4);
+        for (const c of saturation) {
+            findings.push(`<span class="warning">${this.escape(c.phase)} latency rises with ${names[c.metric].toLowerCase()} ` +
+                `(ρ = ${c.coefficient.toFixed(2)}, ${this.correlationStrength(c.coefficient)}), a sign of saturated connections</span>`);
+        }
+        if (saturation.length === 0) {
+            findings.push('No moderate or strong correlation between inflight or pending receive counts and Transit Time/Received latency');
+        }
+
+        const rows = Object.entries(names).map(([metric, name]) => ({
+            name,
+            ...d[metric],
+            format: metric === 'sinceLastReceiveMs' ? v => v.toFixed(2) : v => (Math.round(v * 100) / 100).toString()
+        }));
+
+        let html = `
+            <div class="section">
+                <h2>🔌 RNTBD Connection Stats</h2>
+                <div class="findings">
+                    <ul>${findings.map(f => `<li class="note">${f}</li>`).join('')}</ul>
+                </div>
+                ${this.generateStatsTableHtml(rows, 'Connection Load per Call')}
+                <div class="table-container" style="margin-top: 20px;">
+                    <div class="table-header">Correlation with Phase Latency (Spearman ρ)</div>
+                    <table class="data-table" id="connection-correlation-table">
+                        <thead>
+                            <tr>
+                                <th class="row-num">#</th>
+                                <th class="sortable" data-col="1">Metric<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="2">Phase<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="3">Calls<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="4">ρ<span class="sort-icon">⇅</span></th>
+                                <th class="sortable" data-col="5">Strength<span class="sort-icon">⇅</span></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+        `;
+
+        connection.correlations.forEach((c, i) => {
+            const strength = this.correlationStrength(c.coefficient);
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(names[c.metric])}"><span class="str">${this.escape(names[c.metric])}</span></td>
+                    <td data-sort="${this.escapeAttr(c.phase)}"><span class="str">${this.escape(c.phase)}</span></td>
+                    <td data-sort="${c.calls}"><span class="num">${c.calls.toLocaleString()}</span></td>
+                    <td data-sort="${c.coefficient ?? ''}"><span class="num">${c.coefficient !== null ? c.coefficient.toFixed(2) : '-'}</span></td>
+                    <td data-sort="${this.escapeAttr(strength)}"><span class="str ${c.coefficient >= 0.4 ? 'warning' : ''}">${this.escape(strength)}</span></td>
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div>';
+
+        // Bucket labels start with their lower bound, so the key column sorts numerically
+        const loadColumns = [
+            this.numberColumn('Calls', 'calls', v => v.toLocaleString()),
+            this.numberColumn('Transit P50', 'transitP50'),
+            this.numberColumn('Transit P99', 'transitP99'),
+            this.numberColumn('Received P50', 'receivedP50'),
+            this.numberColumn('Received P99', 'receivedP99')
+        ];
+        const byBucket = rows => rows.map(row => ({ key: row.bucket, ...row }));
+        html += this.generateKeyedStatsTable('Phase Latency by Inflight Requests', 'Inflight', byBucket(connection.byInflight), 'connection-inflight-table', loadColumns);
+        html += this.generateKeyedStatsTable('Phase Latency by Calls Pending Receive', 'Pending Receive', byBucket(connection.byPendingReceive), 'connection-pending-table', loadColumns);
+        html += '</div>';
+        return html;
+    }
+
+    /**
+     * Label a correlation coefficient
+     * @param {number|null} coefficient - Spearman ρ
+     * @returns {string} strong, moderate, weak, none or n/a (too few calls or constant values)
+     */
+    correlationStrength(coefficient) {
+        if (coefficient === null) return 'n/a';
+        const abs = Math.abs(coefficient);
+        if (abs >= 0.7) return 'strong';
+        if (abs >= 0.4) return 'moderate';
+        if (abs >= 0.2) return 'weak';
+        return 'none';
+    }
+
+    /**
+     * Generate a sortable statistics table: the key column followed by the given columns
+     * @param {string} title - Table header
+     * @param {string} keyLabel - Key column header
+     * @param {Array} rows - Rows with a key
+     * @param {string} tableId - Table element ID
+     * @param {Array} columns - Columns after the key: [{ header, sort: row => value, cell: row => html }]
+     * @returns {string} HTML string
+     */
+    generateKeyedStatsTable(title, keyLabel, rows, tableId, columns) {
+        let html = `
+            <div class="table-container" style="margin-top: 20px;">
+                <div class="table-header">${this.escape(title)}</div>
+                <table class="data-table" id="${tableId}">
+                    <thead>
+                        <tr>
+                            <th class="row-num">#</th>
+                            <th class="sortable" data-col="1">${this.escape(keyLabel)}<span class="sort-icon">⇅</span></th>
+                            ${columns.map((column, c) =>
+                                `<th class="sortable" data-col="${2 + c}">${column.header}<span class="sort-icon">⇅</span></th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+        `;
+
+        rows.forEach((row, i) => {
+            html += `
+                <tr>
+                    <td class="row-num">${i + 1}</td>
+                    <td data-sort="${this.escapeAttr(row.key)}"><span class="str">${this.escape(row.key)}</span></td>
+                    ${columns.map(column => `<td data-sort="${this.escapeAttr(String(column.sort(row)))}">${column.cell(row)}</td>`).join('')}
+                </tr>
+            `;
+        });
+
+        html += '</tbody></table></div>';
+        return html;
+    }
+
+    /**
+     * Numeric column of generateKeyedStatsTable
+     * @param {string} header - Column header
+     * @param {string} field - Row property
+     * @param {Function} format - Value formatter
+     * @returns {Object} Column definition
+     */
+    numberColumn(header, field, format = v => v.toFixed(2)) {
+        return { header, sort: row => row[field], cell: row => `<span class="num">${format(row[field])}</span>` };
+    }
+
+    /**
+     * Generate the throttling section: 429 count, wait time and its share of end-to-end latency,
+     * then 429s and wait time per operation and partition
+     * @param {Object} throttling - result.throttling from Analyzer.computeThrottling
+     * @returns {string} HTML string
+     */
+    generateThrottlingSection(throttling) {
+        const percent = rate => `${(rate * 100).toFixed(1)}%`;
+        const unrecorded = throttling.calls - throttling.recordedWaitCalls;
+        const findings = [
+            `<span class="warning">${throttling.calls.toLocaleString()} throttled calls (429)` +
+                `${throttling.subStatus3200 > 0 ? `, ${throttling.subStatus3200.toLocaleString()} with substatus 3200 (RU limit)` : ''}</span> ` +
+                `in ${throttling.operations.toLocaleString()} of ${throttling.totalOperations.toLocaleString()} operations`,
+            `${throttling.totalWaitMs.toFixed(2)} ms waited on RetryAfterInMs: ${percent(throttling.waitShare)} of the end-to-end duration ` +
+                `of all operations, ${percent(throttling.throttledWaitShare)} of the throttled operations`
+        ];
+        if (unrecorded > 0) {
+            findings.push(`${unrecorded.toLocaleString()} throttled calls do not record RetryAfterInMs; their wait is the measured gap before the retry`);
+        }
+        if (throttling.timeline) {
+            findings.push('The 429s per minute chart is shown below the latency heatmap');
+        }
+        const columns = [
+            { header: '429s', sort: row => row.count, cell: row => `<span class="num warning">${row.count.toLocaleString()}</span>` },
+            this.numberColumn('Total Wait (ms)', 'totalWaitMs'),
+            this.numberColumn('Wait P50', 'p50'),
+            this.numberColumn('Wait P90', 'p90'),
+            this.numberColumn('Wait P99', 'p99'),
+            this.numberColumn('Wait Max', 'max')
+        ];
+
+        return `
+            <div class="section">
+                <h2>🚦 Throttling (429)</h2>
+                <div class="findings">
+                    <ul>${findings.map(f => `<li class="note">${f}</li>`).join('')}</ul>
+                </div>
+                ${this.generateKeyedStatsTable('429s per Operation', 'Operation', throttling.byOperation, 'throttling-operation-table', columns)}
+                ${throttling.byPartition.length > 0
+                    ? this.generateKeyedStatsTable('429s per Partition (PartitionKeyRangeId)', 'PartitionKeyRangeId', throttling.byPartition, 'throttling-partition-table', columns)
+                    : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Generate the request charge section: RU statistics per operation, ResourceType → OperationType and partition
+     * @param {Object} charge - result.requestCharge from Analyzer.computeRequestCharge
+     * @returns {string} HTML string
+     */
+    generateRequestChargeSection(charge) {
+        const average = charge.operations > 0 ? charge.totalRu / charge.operations : 0;
+        const columns = [
+            this.numberColumn('Count', 'count', v => v.toLocaleString()),
+            this.numberColumn('Total RU', 'totalRu'),
+            this.numberColumn('P50', 'p50'),
+            this.numberColumn('P90', 'p90'),
+            this.numberColumn('P99', 'p99'),
+            this.numberColumn('Max', 'max'),
+            {
+                header: 'RU/KB',
+                sort: row => row.ruPerKb ?? -1,
+                cell: row => (row.ruPerKb !== null ? `<span class="num">${row.ruPerKb.toFixed(2)}</span>` : '<span class="null">-</span>')
+            }
+        ];
+        return `
+            <div class="section">
+                <h2>💰 Request Charge (RU)</h2>
+                <p class="note">${charge.totalRu.toFixed(2)} RU over ${charge.operations.toLocaleString()} operations
+                    (${average.toFixed(2)} RU per operation). An operation's charge is the sum of its store responses.
+                    Diagnostics do not name the container, so partitions are keyed by PartitionKeyRangeId.
+                    ${charge.timeline ? 'The RU timeline is shown below the latency heatmap.' : ''}
+                </p>
+                ${this.generateKeyedStatsTable('RU per Operation', 'Operation', charge.byOperation, 'ru-operation-table', columns)}
+                ${this.generateKeyedStatsTable('RU per ResourceType → OperationType', 'Resource → Operation', charge.byResourceType, 'ru-resource-table', columns)}
+                ${charge.byPartition.length > 0
+                    ? this.generateKeyedStatsTable('RU per Partition (PartitionKeyRangeId)', 'PartitionKeyRangeId', charge.byPartition, 'ru-partition-table', columns)
+                    : ''}
             </div>
         `;
     }
@@ -310,6 +1353,12 @@ class ReportGenerator {
      * Generate entries table with JSON viewer
      */
     generateEntriesTable(entries, tableId) {
+        // Extra Excel/CSV columns kept as per-entry metadata
+        const metadataColumns = [...new Set(entries.flatMap(e => Object.keys(e.metadata || {})))];
+        const metadataHeaders = metadataColumns
+            .map((column, i) => `<th class="sortable" data-col="${6 + i}">${this.escape(column)}<span class="sort-icon">⇅</span></th>`)
+            .join('');
+
         let html = `
             <div class="table-container">
                 <table class="data-table" id="${tableId}">
@@ -320,6 +1369,8 @@ class ReportGenerator {
                             <th class="sortable" data-col="2">Duration (ms)<span class="sort-icon">⇅</span></th>
                             <th class="sortable" data-col="3">Direct Calls<span class="sort-icon">⇅</span></th>
                             <th class="sortable" data-col="4">Gateway Calls<span class="sort-icon">⇅</span></th>
+                            <th class="sortable" data-col="5">Source<span class="sort-icon">⇅</span></th>
+                            ${metadataHeaders}
                             <th>JSON</th>
                         </tr>
                     </thead>
@@ -327,23 +1378,27 @@ class ReportGenerator {
         `;
 
         entries.forEach((entry, i) => {
-            const jsonId = `json-${++this.jsonIdCounter}`;
+            const jsonId = this.entryJsonId(entry);
+            const metadataCells = metadataColumns.map(column => {
+                const value = String(entry.metadata?.[column] ?? '');
+                return `<td data-sort="${this.escapeAttr(value)}"><span class="str">${this.escape(value || '-')}</span></td>`;
+            }).join('');
             const jsonLen = entry.rawJson?.length || 0;
-            const repairStatus = entry.wasRepaired ? '🔧 Repaired' : '✓ Valid';
+            const partial = this.describePartialFields(entry);
+            const repairStatus = partial ? '⚠️ Partial' : entry.wasRepaired ? '🔧 Repaired' : '✓ Valid';
             const repairClass = entry.wasRepaired ? 'warning' : 'success';
-            // Store raw JSON without HTML escaping - script tags don't render HTML
-            const safeJson = (entry.rawJson || '').replace(/<\/script>/gi, '<\\/script>');
             html += `
                 <tr>
                     <td class="row-num">${i + 1}</td>
-                    <td data-sort="${this.escapeAttr(entry.startTime)}"><span class="str">${this.escape(entry.startTime)}</span></td>
+                    <td data-sort="${this.escapeAttr(entry.startTime)}"${entry.logPrefix ? ` title="${this.escapeAttr(entry.logPrefix)}"` : ''}><span class="str">${this.escape(entry.startTime)}</span></td>
                     <td data-sort="${entry.duration}"><span class="num">${entry.duration.toFixed(2)}</span></td>
                     <td data-sort="${entry.directCalls}"><span class="num">${entry.directCalls}</span></td>
                     <td data-sort="${entry.gatewayCalls}"><span class="num">${entry.gatewayCalls}</span></td>
+                    <td data-sort="${this.escapeAttr(entry.source)}"><span class="str">${this.escape(entry.source || '-')}</span></td>
+                    ${metadataCells}
                     <td>
-                        <span class="${repairClass}" style="font-size:11px;margin-right:6px;">${repairStatus}</span>
-                        <button class="btn-view" onclick="app.showJson('${jsonId}')">📄 View (${this.formatSize(jsonLen)})</button>
-                        <script type="application/json" id="${jsonId}">${safeJson}</script>
+                        <span class="${repairClass}" style="font-size:11px;margin-right:6px;"${partial ? ` title="${this.escapeAttr(partial)}"` : ''}>${repairStatus}</span>
+                        <button class="btn-view" onclick="app.showJson('${jsonId}', this)">📄 View (${this.formatSize(jsonLen)})</button>
                     </td>
                 </tr>
             `;
@@ -355,10 +1410,12 @@ class ReportGenerator {
 
     /**
      * Generate network interactions section (collapsible)
+     * @param {Array} interactions - Network interactions, slowest first
+     * @param {number} threshold - Latency threshold in ms
      */
-    generateNetworkInteractions(result) {
-        const highLatency = result.networkInteractions
-            .filter(n => n.durationInMs > result.threshold)
+    generateNetworkInteractions(interactions, threshold) {
+        const highLatency = interactions
+            .filter(n => n.durationInMs > threshold)
             .slice(0, 100);
 
         if (highLatency.length === 0) return '';
@@ -381,6 +1438,7 @@ class ReportGenerator {
                                     <th class="sortable" data-col="4">Duration (ms)<span class="sort-icon">⇅</span></th>
                                     <th class="sortable" data-col="5">BE Latency<span class="sort-icon">⇅</span></th>
                                     <th>Last Event</th>
+                                    <th class="sortable" data-col="7">Source<span class="sort-icon">⇅</span></th>
                                 </tr>
                             </thead>
                             <tbody>
@@ -393,6 +1451,7 @@ class ReportGenerator {
                                     <td data-sort="${n.durationInMs}"><span class="num">${n.durationInMs.toFixed(2)}</span></td>
                                     <td data-sort="${parseFloat(n.beLatencyInMs) || 0}"><span class="num">${n.beLatencyInMs || '-'}</span></td>
                                     <td><span class="str">${this.escape(n.lastEvent)}</span></td>
+                                    <td data-sort="${this.escapeAttr(n.source)}"><span class="str">${this.escape(n.source || '-')}</span></td>
                                 </tr>
                             `).join('')}
                             </tbody>
@@ -404,13 +1463,16 @@ class ReportGenerator {
     }
 
     /**
-     * Generate grouped section (resource type or status code)
+     * Generate grouped section (resource type, status code, partition, ...)
+     * @param {Array} extraColumns - Columns after Max: [{ header, sort: group => value, cell: group => html }]
+     * @param {string} note - Note above the table (HTML)
      */
-    generateGroupSection(title, groups, prefix) {
+    generateGroupSection(title, groups, prefix, entriesTable = (entries, tableId) => this.generateNetworkEntriesTable(entries, tableId),
+        extraColumns = [], note = 'Click on a row to see detailed entries') {
         let html = `
             <div class="section">
                 <h2>${title}</h2>
-                <p class="note">Click on a row to see detailed entries</p>
+                <p class="note">${note}</p>
                 <div class="table-container">
                     <table class="data-table" id="${prefix}-table">
                         <thead>
@@ -425,6 +1487,8 @@ class ReportGenerator {
                                 <th class="sortable" data-col="7">P95<span class="sort-icon">⇅</span></th>
                                 <th class="sortable" data-col="8">P99<span class="sort-icon">⇅</span></th>
                                 <th class="sortable" data-col="9">Max (ms)<span class="sort-icon">⇅</span></th>
+                                ${extraColumns.map((column, c) =>
+                                    `<th class="sortable" data-col="${10 + c}">${column.header}<span class="sort-icon">⇅</span></th>`).join('')}
                                 <th>Action</th>
                             </tr>
                         </thead>
@@ -445,6 +1509,7 @@ class ReportGenerator {
                     <td data-sort="${group.p95}"><span class="num">${group.p95.toFixed(2)}</span></td>
                     <td data-sort="${group.p99}"><span class="num">${group.p99.toFixed(2)}</span></td>
                     <td data-sort="${group.max}"><span class="num">${group.max.toFixed(2)}</span></td>
+                    ${extraColumns.map(column => `<td data-sort="${this.escapeAttr(String(column.sort(group)))}">${column.cell(group)}</td>`).join('')}
                     <td><button class="btn-view" onclick="event.stopPropagation(); app.showGroup('${groupId}')">📄 View</button></td>
                 </tr>
             `;
@@ -460,7 +1525,7 @@ class ReportGenerator {
                     <button class="btn-close" onclick="app.closeGroup('${groupId}')">&times;</button>
                     <h3>📋 ${this.escape(group.key)}</h3>
                     <p class="note">Showing ${group.entries.length} of ${group.count} entries</p>
-                    ${this.generateNetworkEntriesTable(group.entries, `group-${groupId}-entries`)}
+                    ${entriesTable(group.entries, `group-${groupId}-entries`)}
                 </div>
             `;
         }
@@ -469,6 +1534,42 @@ class ReportGenerator {
         return html;
     }
 
+    /**
+     * Generate the GroupBy PartitionKeyRangeId section: a group section with error, throttling, RU and
+     * hot columns; hot partitions (Analyzer.computePartitionGroups isOutlier) are also named above the table
+     * @param {Array} groups - Partition groups
+     * @returns {string} HTML string
+     */
+    generatePartitionSection(groups) {
+        const hot = groups.filter(g => g.isOutlier);
+        const finding = hot.length > 0
+            ? `<span class="warning">🔥 Hot partition${hot.length > 1 ? 's' : ''}: ${hot.map(g => this.escape(g.key)).join(', ')} ` +
+                `(P99 above ${Analyzer.PARTITION_OUTLIER_FACTOR}× the median P99 of the other partitions)</span>`
+            : (groups.length > 1 ? '<span class="success">✓ No partition stands out by P99</span>' : '');
+
+        return this.generateGroupSection(
+            '🧩 GroupBy PartitionKeyRangeId',
+            groups,
+            'partition',
+            undefined,
+            [
+                {
+                    header: 'Error Rate',
+                    sort: g => g.errorRate,
+                    cell: g => `<span class="num ${g.errorCount > 0 ? 'warning' : ''}">${(g.errorRate * 100).toFixed(1)}%</span>`
+                },
+                {
+                    header: '429s',
+                    sort: g => g.throttledCount,
+                    cell: g => `<span class="num ${g.throttledCount > 0 ? 'warning' : ''}">${g.throttledCount.toLocaleString()}</span>`
+                },
+                { header: 'RU', sort: g => g.totalRu, cell: g => `<span class="num">${g.totalRu.toFixed(2)}</span>` },
+                { header: 'Hot', sort: g => (g.isOutlier ? 1 : 0), cell: g => (g.isOutlier ? '<span class="warning">🔥 hot</span>' : '') }
+            ],
+            `Count, percentiles, error rate, 429s and RU cover all calls; click on a row to see the calls of high-latency operations. ${finding}`
+        );
+    }
+
     /**
      * Generate network entries table
      */
@@ -483,6 +1584,7 @@ class ReportGenerator {
                             <th>Status</th>
                             <th>Resource</th>
                             <th>Operation</th>
+                            <th class="sortable" data-col="5">Source<span class="sort-icon">⇅</span></th>
                             <th>JSON</th>
                         </tr>
                     </thead>
@@ -490,9 +1592,7 @@ class ReportGenerator {
         `;
 
         entries.forEach((entry, i) => {
-            const jsonId = `json-${++this.jsonIdCounter}`;
-            // Store raw JSON without HTML escaping - script tags don't render HTML
-            const safeJson = (entry.rawJson || '').replace(/<\/script>/gi, '<\\/script>');
+            const jsonId = this.entryJsonId(entry);
             html += `
                 <tr>
                     <td class="row-num">${i + 1}</td>
@@ -500,9 +1600,9 @@ class ReportGenerator {
                     <td><span class="num">${entry.statusCode}/${entry.subStatusCode}</span></td>
                     <td><span class="str">${this.escape(entry.resourceType)}</span></td>
                     <td><span class="str">${this.escape(entry.operationType)}</span></td>
+                    <td data-sort="${this.escapeAttr(entry.source)}"><span class="str">${this.escape(entry.source || '-')}</span></td>
                     <td>
-                        <button class="btn-view" onclick="app.showJson('${jsonId}')">📄 View</button>
-                        <script type="application/json" id="${jsonId}">${safeJson}</script>
+                        <button class="btn-view" onclick="app.showJson('${jsonId}', this)">📄 View</button>
                     </td>
                 </tr>
             `;
@@ -752,6 +1852,7 @@ class ReportGenerator {
                             <th>Resource</th>
                             <th>Operation</th>
                             <th>Endpoint</th>
+                            <th class="sortable" data-col="6">Source<span class="sort-icon">⇅</span></th>
                             <th>JSON</th>
                         </tr>
                     </thead>
@@ -759,8 +1860,7 @@ class ReportGenerator {
         `;
 
         entries.forEach((entry, i) => {
-            const jsonId = `json-${++this.jsonIdCounter}`;
-            const safeJson = (entry.rawJson || '').replace(/<\/script>/gi, '<\\/script>');
+            const jsonId = this.entryJsonId(entry);
             let endpoint = '';
             if (entry.storePhysicalAddress) {
                 try {
@@ -778,9 +1878,9 @@ class ReportGenerator {
                     <td><span class="str">${this.escape(entry.resourceType || '-')}</span></td>
                     <td><span class="str">${this.escape(entry.operationType || '-')}</span></td>
                     <td><span class="str">${this.escape(endpoint || '-')}</span></td>
+                    <td data-sort="${this.escapeAttr(entry.source)}"><span class="str">${this.escape(entry.source || '-')}</span></td>
                     <td>
-                        <button class="btn-view" onclick="app.showJson('${jsonId}')">📄 View</button>
-                        <script type="application/json" id="${jsonId}">${safeJson}</script>
+                        <button class="btn-view" onclick="app.showJson('${jsonId}', this)">📄 View</button>
                     </td>
                 </tr>
             `;
@@ -818,8 +1918,11 @@ class ReportGenerator {
 
     /**
      * Generate Client Configuration section - Latency Heatmap with brush selection
+     * @param {Object} config - result.clientConfig
+     * @param {Object} chargeTimeline - RU per heatmap time bucket (result.requestCharge.timeline), if any
+     * @param {Object} throttlingTimeline - 429s per heatmap time bucket (result.throttling.timeline), if any
      */
-    generateClientConfigSection(config) {
+    generateClientConfigSection(config, chargeTimeline = null, throttlingTimeline = null) {
         const chartId = 'clientConfigChart';
         
         // Prepare heatmap data
@@ -829,7 +1932,8 @@ class ReportGenerator {
                 timestamp: s.timestamp,
                 duration: s.duration,
                 machineId: s.machineId,
-                rawJson: s.rawJson
+                rawJson: s.rawJson,
+                source: s.source
             }))
         });
 
@@ -842,6 +1946,18 @@ class ReportGenerator {
                 </p>
                 <div id="${chartId}" class="echarts-container" style="height: 400px; background: var(--bg-secondary); border-radius: 8px;"></div>
                 <script type="application/json" id="${chartId}-data">${chartData}</script>
+                ${chargeTimeline ? `
+                <h3 style="margin-top: 20px;">💰 Request Charge over Time</h3>
+                <p class="note">Total and maximum operation RU per heatmap time bucket, against P99 latency.</p>
+                <div id="ruTimelineChart" class="echarts-container" style="height: 320px; background: var(--bg-secondary); border-radius: 8px;"></div>
+                <script type="application/json" id="ruTimelineChart-data">${JSON.stringify(chargeTimeline)}</script>
+                ` : ''}
+                ${throttlingTimeline ? `
+                <h3 style="margin-top: 20px;">🚦 429s per Minute</h3>
+                <p class="note">Throttled calls per minute in each heatmap time bucket, against P99 latency.</p>
+                <div id="throttlingChart" class="echarts-container" style="height: 320px; background: var(--bg-secondary); border-radius: 8px;"></div>
+                <script type="application/json" id="throttlingChart-data">${JSON.stringify(throttlingTimeline)}</script>
+                ` : ''}
             </div>
         `;
 
@@ -980,7 +2096,222 @@ class ReportGenerator {
             return ts;
         }
     }
+
+    /**
+     * Wrap a generated report in a standalone HTML page with embedded styles and scripts
+     * (used by the Download HTML button and the CLI)
+     * @param {string} reportHtml - Report markup from generate()
+     * @returns {string} Complete HTML document
+     */
+    generateStandaloneHtml(reportHtml) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Cosmos Diagnostics Report</title>
+    <script src="https://cdn.jsdelivr.net/npm/echarts@5.4.3/dist/echarts.min.js"><\/script>
+    <style>${this.getEmbeddedStyles()}</style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔍 Cosmos Diagnostics Analysis Report</h1>
+        <p style="color: var(--text-muted); margin-bottom: 10px;">Generated: ${new Date().toISOString()}</p>
+        <p style="color: var(--text-muted); margin-bottom: 30px; font-family: monospace; font-size: 12px;">Analyzer Version: ${window.VERSION?.commit || 'unknown'} (${window.VERSION?.date || 'unknown'})</p>
+        ${reportHtml}
+    </div>
+    <div id="jsonModal" class="modal">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3>📄 JSON Content</h3>
+                <button class="modal-close" onclick="closeModal()">&times;</button>
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn-small" onclick="copyJson()">📋 Copy</button>
+                <button class="btn btn-small" onclick="formatJson()">🔧 Format</button>
+            </div>
+            <pre id="jsonContent" class="json-display"></pre>
+        </div>
+    </div>
+    <script>${this.getEmbeddedScripts()}</script>${reportHtml.includes('id="operation-data"') ? `
+    <script>${this.getOperationRendererScript()}</script>` : ''}
+</body>
+</html>`;
+    }
+
+    /**
+     * Renderer for the standalone operation selector: a ReportGenerator holding only the methods
+     * that draw the selected operation's network sections from the embedded operation data
+     */
+    getOperationRendererScript() {
+        const methods = ReportGenerator.OPERATION_RENDERER_METHODS
+            .map(name => ReportGenerator.prototype[name].toString())
+            .join('\n');
+        // The partition section names the hot partition factor; Analyzer itself isn't embedded
+        return `const Analyzer={PARTITION_OUTLIER_FACTOR:${Analyzer.PARTITION_OUTLIER_FACTOR}};
+class ReportGenerator{constructor(){this.jsonIdCounter=0;this.entryJsonIds=new Map()}
+${methods}
+}`.replace(/<\/script>/gi, '<\\/script>');
+    }
+
+    /**
+     * Get embedded styles for standalone HTML
+     */
+    getEmbeddedStyles() {
+        return `
+:root{--bg-color:#1e1e1e;--bg-secondary:#252526;--bg-tertiary:#2d2d2d;--text-color:#d4d4d4;--text-muted:#808080;--border-color:#3e3e3e;--accent-color:#569cd6;--number-color:#b5cea8;--string-color:#ce9178;--null-color:#808080;--success-color:#4ec9b0;--error-color:#f14c4c;--warning-color:#cca700;--link-color:#4fc3f7;--even-row:#252526;--odd-row:#1e1e1e;--hover-row:#094771}
+*{box-sizing:border-box;margin:0;padding:0}body{font-family:'Segoe UI',sans-serif;background:var(--bg-color);color:var(--text-color);line-height:1.6;padding:20px}
+.container{max-width:1800px;margin:0 auto}h1{color:var(--accent-color);margin-bottom:10px}h2{color:#9cdcfe;margin-bottom:15px}h3{color:var(--success-color)}
+.section{margin:25px 0;padding:25px;background:var(--bg-tertiary);border-radius:8px;border:1px solid var(--border-color)}
+.table-container{margin:15px 0;overflow-x:auto;border-radius:6px;border:1px solid var(--border-color)}
+.table-header{background:linear-gradient(135deg,#2d5a7b,#1e3a5f);color:white;padding:10px 16px;font-weight:600}
+.data-table{width:100%;border-collapse:collapse;font-size:13px;background:var(--bg-color)}
+.data-table th{background:var(--bg-tertiary);color:var(--accent-color);text-align:left;padding:12px 14px;border-bottom:1px solid var(--border-color);font-weight:600}
+.data-table th.sortable{cursor:pointer;padding-right:28px;position:relative}.data-table th.sortable:hover{background:#3a3d41}
+.data-table th .sort-icon{position:absolute;right:10px;top:50%;transform:translateY(-50%);opacity:0.4}
+.data-table th.asc .sort-icon,.data-table th.desc .sort-icon{opacity:1;color:var(--link-color)}
+.data-table td{padding:10px 14px;border-bottom:1px solid var(--border-color)}
+.data-table tr:nth-child(even){background:var(--even-row)}.data-table tr:nth-child(odd){background:var(--odd-row)}.data-table tr:hover{background:var(--hover-row)}
+.row-num{color:#6a9955;font-size:11px;text-align:center;width:45px}
+.num{color:var(--number-color)}.str{color:var(--string-color)}.null{color:var(--null-color)}.warning{color:var(--warning-color)}
+.link{color:var(--link-color);cursor:pointer}.link:hover{text-decoration:underline}
+.clickable-row{cursor:pointer}.note{color:#6a9955;font-style:italic;font-size:13px;margin:10px 0}
+.btn-view{background:#0e639c;color:white;border:none;padding:5px 12px;border-radius:4px;cursor:pointer;font-size:12px}.btn-view:hover{background:#1177bb}
+.detail-section{display:none;margin:15px 0;padding:20px;background:var(--bg-secondary);border:2px solid var(--link-color);border-radius:8px;position:relative}
+.detail-section.visible{display:block}.btn-close{position:absolute;top:15px;right:15px;background:var(--error-color);color:white;border:none;width:28px;height:28px;border-radius:4px;cursor:pointer;font-size:18px}
+.collapsible-header{display:flex;justify-content:space-between;align-items:center;cursor:pointer;padding:12px 16px;background:linear-gradient(135deg,#2d3748,#1a202c);border-radius:6px;margin-bottom:15px}
+.collapsible-header:hover{background:linear-gradient(135deg,#3d4758,#2a303c)}.collapsible-header h3,.collapsible-header h4{margin:0}
+.collapse-icon{color:var(--link-color)}.collapsible-content{display:none}.collapsible-content.visible{display:block}
+.subsection{margin:20px 0;padding:18px;background:var(--bg-color);border-radius:6px;border:1px solid var(--border-color)}.subsection h4{color:var(--success-color);margin-bottom:12px}
+.modal{display:none;position:fixed;z-index:1000;left:0;top:0;width:100%;height:100%;background:rgba(0,0,0,0.85)}
+.modal.visible{display:flex;align-items:center;justify-content:center}
+.modal-content{background:var(--bg-color);border:1px solid var(--border-color);border-radius:8px;width:90%;max-width:1200px;max-height:85vh;display:flex;flex-direction:column}
+.modal-header{display:flex;justify-content:space-between;align-items:center;padding:16px 20px;background:var(--bg-tertiary);border-bottom:1px solid var(--border-color)}
+.modal-header h3{margin:0;color:var(--link-color)}.modal-close{background:none;border:none;color:var(--text-muted);font-size:28px;cursor:pointer}
+.modal-actions{padding:12px 20px;background:var(--bg-secondary);display:flex;gap:10px}
+.btn{padding:6px 14px;border:none;border-radius:4px;cursor:pointer;background:var(--accent-color);color:white}.btn:hover{background:var(--accent-hover)}
+.json-display{margin:0;padding:20px;overflow:auto;flex:1;background:var(--bg-color);color:var(--string-color);font-family:Consolas,monospace;font-size:13px;white-space:pre-wrap}
+details{margin:10px 0}summary{cursor:pointer;color:var(--accent-color)}
+.app-only{display:none}.sampling-caveats ul,.findings ul{margin:0 0 10px 20px}.sampling-caveats li.note,.findings li.note{margin:4px 0}.success{color:var(--success-color)}.error{color:var(--error-color)}.issue-snippet{font-family:Consolas,monospace;font-size:12px;white-space:pre-wrap;word-break:break-all;color:var(--string-color)}
+.issue-snippet mark{background:var(--error-color);color:white}.issue-snippet del{color:var(--error-color)}.issue-snippet ins{color:var(--success-color);text-decoration:none}
+`;
+    }
+
+    /**
+     * Get embedded scripts for standalone HTML
+     */
+    getEmbeddedScripts() {
+        return `
+let currentJson='';
+const app={
+    toggleSection(id){const c=document.getElementById(id),i=document.getElementById(id+'-icon');if(c){c.classList.toggle('visible');if(i)i.textContent=c.classList.contains('visible')?'▼':'▶'}},
+    showBucket(id){document.querySelectorAll('.detail-section').forEach(e=>e.classList.remove('visible'));const el=document.getElementById('bucket-'+id);if(el){el.classList.add('visible');el.scrollIntoView({behavior:'smooth'})}},
+    closeBucket(id){const el=document.getElementById('bucket-'+id);if(el)el.classList.remove('visible')},
+    showGroup(id){document.querySelectorAll('.detail-section').forEach(e=>e.classList.remove('visible'));const el=document.getElementById('group-'+id);if(el){el.classList.add('visible');el.scrollIntoView({behavior:'smooth'})}},
+    closeGroup(id){const el=document.getElementById('group-'+id);if(el)el.classList.remove('visible')},
+    selectOperation(i){const d=document.getElementById('operation-data'),c=document.getElementById('operation-network');if(d&&c&&typeof ReportGenerator!=='undefined'){const g=new ReportGenerator(),data=JSON.parse(d.textContent);c.innerHTML=g.generateNetworkSections(g.expandOperationAnalysis(data,Number(i)),data.threshold)}},
+    showJson(id,trigger){const el=document.getElementById(id);if(el){this.triggerEl=trigger?.closest('tr')||el.closest('tr')||el;currentJson=el.textContent.trim();document.getElementById('jsonContent').textContent=currentJson;document.getElementById('jsonModal').classList.add('visible');document.body.style.overflow='hidden'}},
+    triggerEl:null
+};
+function closeModal(){document.getElementById('jsonModal').classList.remove('visible');document.body.style.overflow='';if(app.triggerEl){app.triggerEl.scrollIntoView({behavior:'smooth',block:'center'});app.triggerEl.style.background='var(--hover-row)';setTimeout(()=>app.triggerEl.style.background='',500)}}
+function copyJson(){navigator.clipboard.writeText(currentJson).then(()=>{const b=event.target;b.textContent='✓ Copied!';setTimeout(()=>b.textContent='📋 Copy',2000)})}
+function formatJson(){try{const f=JSON.stringify(JSON.parse(currentJson),null,2);currentJson=f;document.getElementById('jsonContent').textContent=f;const b=event.target;b.textContent='✓ Formatted!';setTimeout(()=>b.textContent='🔧 Format',2000)}catch(e){alert('Invalid JSON')}}
+document.addEventListener('click',e=>{const th=e.target.closest('th.sortable');if(th){const t=th.closest('table'),c=parseInt(th.dataset.col);if(t&&!isNaN(c)){const tb=t.querySelector('tbody');if(!tb)return;const r=Array.from(tb.querySelectorAll('tr')),a=th.classList.contains('asc');t.querySelectorAll('th.sortable').forEach(h=>h.classList.remove('asc','desc'));th.classList.add(a?'desc':'asc');const d=a?-1:1;r.sort((x,y)=>{const ca=x.cells[c],cb=y.cells[c];if(!ca||!cb)return 0;let va=ca.dataset.sort||ca.textContent.trim(),vb=cb.dataset.sort||cb.textContent.trim();const na=parseFloat(va),nb=parseFloat(vb);return!isNaN(na)&&!isNaN(nb)?(na-nb)*d:va.localeCompare(vb)*d});r.forEach((row,i)=>{if(row.cells[0])row.cells[0].textContent=i+1;tb.appendChild(row)})}}});
+document.addEventListener('keydown',e=>{if(e.key==='Escape')closeModal()});
+
+// Per time bucket series on the left axis against P99 latency on the right
+function initP99TimelineChart(id,axisName,series){
+    const el=document.getElementById(id),data=document.getElementById(id+'-data');
+    if(!el||!data)return;
+    try{
+        const d=JSON.parse(data.textContent),chart=echarts.init(el,'dark'),all=series.concat([{name:'P99 Latency (ms)',type:'line',field:'p99Latency',color:'#ef5350',yAxisIndex:1}]);
+        chart.setOption({
+            backgroundColor:'transparent',
+            tooltip:{trigger:'axis',axisPointer:{type:'cross'},backgroundColor:'rgba(30,30,30,0.95)',borderColor:'#444',textStyle:{color:'#d4d4d4'}},
+            legend:{data:all.map(s=>s.name),textStyle:{color:'#d4d4d4'},top:10},
+            toolbox:{feature:{saveAsImage:{pixelRatio:2}},right:20},
+            grid:{left:60,right:60,top:60,bottom:60},
+            xAxis:{type:'category',data:d.timeBuckets,axisLabel:{color:'#808080',rotate:45,fontSize:9},axisLine:{lineStyle:{color:'#444'}}},
+            yAxis:[{type:'value',name:axisName,position:'left',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{lineStyle:{color:'#333'}}},{type:'value',name:'P99 (ms)',position:'right',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{show:false}}],
+            series:all.map(s=>Object.assign({name:s.name,type:s.type,data:d[s.field],yAxisIndex:s.yAxisIndex||0},s.type==='bar'?{itemStyle:{color:s.color}}:{symbol:'none',lineStyle:{width:2,color:s.color}})),
+            animation:true,animationDuration:500
+        });
+        window.addEventListener('resize',()=>chart.resize());
+    }catch(e){console.error(id+' chart error:',e)}
 }
 
+// Initialize ECharts on load
+function initCharts(){
+    if(!window.echarts)return;
+    
+    // System Metrics Chart
+    const sysEl=document.getElementById('systemMetricsChart'),sysData=document.getElementById('systemMetricsChart-data');
+    if(sysEl&&sysData){
+        try{
+            const d=JSON.parse(sysData.textContent),chart=echarts.init(sysEl,'dark');
+            chart.setOption({
+                backgroundColor:'transparent',
+                tooltip:{trigger:'axis',axisPointer:{type:'cross'},backgroundColor:'rgba(30,30,30,0.95)',borderColor:'#444',textStyle:{color:'#d4d4d4'}},
+                legend:{data:['CPU (%)','Memory (MB)','Thread Wait (ms)','TCP Connections'],textStyle:{color:'#d4d4d4'},top:10},
+                toolbox:{feature:{dataZoom:{yAxisIndex:'none'},restore:{},saveAsImage:{pixelRatio:2}},right:20},
+                dataZoom:[{type:'inside',start:0,end:100},{type:'slider',start:0,end:100,height:25,bottom:10}],
+                grid:{left:60,right:60,top:80,bottom:80},
+                xAxis:{type:'category',data:d.timestamps,axisLabel:{color:'#808080',rotate:30,fontSize:10},axisLine:{lineStyle:{color:'#444'}}},
+                yAxis:[{type:'value',name:'CPU / Thread Wait',position:'left',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{lineStyle:{color:'#333'}}},{type:'value',name:'Memory (MB) / TCP',position:'right',axisLabel:{color:'#808080'},nameTextStyle:{color:'#808080'},splitLine:{show:false}}],
+                series:[
+                    {name:'CPU (%)',type:'line',data:d.cpu,yAxisIndex:0,smooth:true,symbol:'none',lineStyle:{width:2,color:'#4fc3f7'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(79,195,247,0.3)'},{offset:1,color:'rgba(79,195,247,0.05)'}]}}},
+                    {name:'Memory (MB)',type:'line',data:d.memory,yAxisIndex:1,smooth:true,symbol:'none',lineStyle:{width:2,color:'#81c784'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(129,199,132,0.3)'},{offset:1,color:'rgba(129,199,132,0.05)'}]}}},
+                    {name:'Thread Wait (ms)',type:'line',data:d.threadWait,yAxisIndex:0,smooth:true,symbol:'none',lineStyle:{width:2,color:'#ffb74d'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(255,183,77,0.3)'},{offset:1,color:'rgba(255,183,77,0.05)'}]}}},
+                    {name:'TCP Connections',type:'line',data:d.tcpConnections,yAxisIndex:1,smooth:true,symbol:'none',lineStyle:{width:2,color:'#ba68c8'},areaStyle:{color:{type:'linear',x:0,y:0,x2:0,y2:1,colorStops:[{offset:0,color:'rgba(186,104,200,0.3)'},{offset:1,color:'rgba(186,104,200,0.05)'}]}}}
+                ],animation:true,animationDuration:1000
+            });
+            window.addEventListener('resize',()=>chart.resize());
+        }catch(e){console.error('System chart error:',e)}
+    }
+    
+    // Request Charge Timeline
+    initP99TimelineChart('ruTimelineChart','RU',[{name:'Total RU',type:'bar',field:'totalRu',color:'rgba(129,199,132,0.6)'},{name:'Max Operation RU',type:'line',field:'maxRu',color:'#ffb74d'}]);
+    
+    // 429s per Minute
+    initP99TimelineChart('throttlingChart','429s / min',[{name:'429s per Minute',type:'bar',field:'perMinute',color:'rgba(255,183,77,0.7)'}]);
+    
+    // Client Config Heatmap
+    const cfgEl=document.getElementById('clientConfigChart'),cfgData=document.getElementById('clientConfigChart-data');
+    if(cfgEl&&cfgData){
+        try{
+            const d=JSON.parse(cfgData.textContent),hm=d.heatmap,chart=echarts.init(cfgEl,'dark');
+            if(!hm||!hm.data||hm.data.length===0){cfgEl.innerHTML='<p style="color:#808080;padding:20px;">No data</p>';return;}
+            chart.setOption({
+                backgroundColor:'transparent',
+                tooltip:{position:'top',backgroundColor:'rgba(30,30,30,0.95)',borderColor:'#444',textStyle:{color:'#d4d4d4'},
+                    formatter:p=>'<strong>'+hm.timeBuckets[p.value[0]]+'</strong><br/>Latency: '+hm.latencyBuckets[p.value[1]]+'<br/>Count: <span style="color:#4fc3f7">'+p.value[2]+'</span>'},
+                toolbox:{feature:{saveAsImage:{pixelRatio:2}},right:20},
+                grid:{left:100,right:50,top:50,bottom:80},
+                xAxis:{type:'category',data:hm.timeBuckets,axisLabel:{color:'#808080',rotate:45,fontSize:9,interval:Math.floor(hm.timeBuckets.length/15)},axisLine:{lineStyle:{color:'#444'}}},
+                yAxis:{type:'category',data:hm.latencyBuckets,axisLabel:{color:'#808080',fontSize:10},axisLine:{lineStyle:{color:'#444'}}},
+                visualMap:{min:0,max:hm.maxCount,calculable:true,orient:'horizontal',left:'center',bottom:5,textStyle:{color:'#808080'},
+                    inRange:{color:['#1a237e','#1565c0','#42a5f5','#4fc3f7','#80deea','#b2ebf2']}},
+                series:[{name:'Latency Distribution',type:'heatmap',data:hm.data,
+                    label:{show:hm.data.length<100,formatter:p=>p.value[2]>0?p.value[2]:'',color:'#fff',fontSize:9},
+                    emphasis:{itemStyle:{shadowBlur:10,shadowColor:'rgba(0,0,0,0.5)'}}}],
+                animation:true,animationDuration:500
+            });
+            window.addEventListener('resize',()=>chart.resize());
+        }catch(e){console.error('Config chart error:',e)}
+    }
+}
+if(document.readyState==='complete')initCharts();else window.addEventListener('load',initCharts);
+`;
+    }
+}
+
+// Methods embedded in the standalone report to render the selected operation's network sections
+ReportGenerator.OPERATION_RENDERER_METHODS = [
+    'expandOperationAnalysis', 'generateNetworkSections', 'generateNetworkInteractions', 'generateGroupSection',
+    'generateNetworkEntriesTable', 'generatePartitionSection', 'generateTransportEventSection', 'generatePhaseTable',
+    'getPhasePercentileGroups', 'generatePhasePercentileSections', 'generatePhaseEntryTable', 'entryJsonId',
+    'escape', 'escapeAttr', 'safeId'
+];
+
 // Export for browser
 window.ReportGenerator = ReportGenerator;
@@ -0,0 +1,333 @@
+/**
+ * Result Schema Module
+ * Maps the analyzer's internal result, which is shaped for the report, onto the
+ * versioned result contract for library and CLI consumers (lib/index.d.ts).
+ * Report changes must not change this output; breaking changes bump VERSION.
+ */
+
+class ResultSchema {
+    /**
+     * Read an analysis result into the versioned result:
+     * {
+     *   schemaVersion, threshold,
+     *   totals: { parsed, analyzed, highLatency, repaired, failed, duplicatesRemoved },
+     *   sampling: { mode, seen, sampled, rate } | null,
+     *   operations: [{ name, count, latency, directCalls: { min, max } }],
+     *   groups: { operation, resourceType, statusCode, partition, transportEvent, transportException, metadata,
+     *             byOperation: [{ operation, resourceType, statusCode, partition, transportEvent, transportException }] },
+     *   sources: [{ source, count, highLatency, repaired, failed, latency }],
+     *   systemMetrics: { snapshots, cpu, memoryMB, threadWaitMs, tcpConnections } | null,
+     *   clientConfig: { snapshots, machines, connectionModes } | null,
+     *   regions: { vmRegions, preferredRegions, applicationRegions, multiRegion, crossRegionCalls, unpreferredRegions,
+     *              contacted: [{ region, count, highLatency, latency, calls, crossRegionCalls, isVmRegion, preferredRank }] } | null,
+     *   replicas: { replicaSets, byRole: [{ role, count, failureRate, goneRate, latency }],
+     *               replicas: [{ address, host, replicaSet, role, count, latency, failureRate, goneRate, peerP50, isSlow }] } | null,
+     *   retries: { operations, retried, patterns: [{ pattern, count, retries, added, totalAddedMs }],
+     *              chains: [{ name, source, lineNumber, startTime, durationInMs, addedMs, pattern,
+     *                         attempts: [{ attempt, status, failed, address, role, durationInMs, gapMs, startTime }] }] } | null,
+     *   throttling: { calls, subStatus3200, operations, totalOperations, totalWaitMs, recordedWaitCalls, waitShare, throttledWaitShare,
+     *                 byOperation, byPartition, timeline: { timeBuckets, throttled, perMinute, p99Latency } | null } | null,
+     *   addressResolution: { lookups, operations, totalOperations, failed, forceRefresh, after410, inFlight, latency, peakPerMinute,
+     *                        byEndpoint: [{ endpoint, count, latency, after410, failed }], slowOperations } | null,
+     *   connectionStats: { calls, withStats, waitForConnectionInit, inflightRequests, openConnections, callsPendingReceive,
+     *                      sinceLastReceiveMs, byInflight, byPendingReceive, correlations: [{ metric, phase, calls, coefficient }] } | null,
+     *   requestCharge: { totalRu, operations, byOperation, byResourceType, byPartition,
+     *                    timeline: { timeBuckets, totalRu, maxRu, p99Latency } | null } | null,
+     *   highLatencyEntries: [{ source, lineNumber, name, startTime, durationInMs, directCalls, gatewayCalls, wasRepaired, metadata }]
+     * }
+     * @param {Object} result - Result of AnalysisPipeline.run (or Analyzer.analyze)
+     * @returns {Object} Versioned analysis result
+     */
+    fromAnalysis(result) {
+        const sampling = result.sampling;
+        const metrics = result.systemMetrics;
+        const config = result.clientConfig;
+        const regional = result.regional;
+        const charge = result.requestCharge;
+        const health = result.replicaHealth;
+        const retry = result.retryChains;
+        const throttling = result.throttling;
+        const address = result.addressResolution;
+        const connection = result.connectionStats;
+
+        return {
+            schemaVersion: ResultSchema.VERSION,
+            threshold: result.threshold,
+            totals: {
+                parsed: result.parsedEntries ?? result.totalEntries,
+                analyzed: result.totalEntries,
+                highLatency: result.highLatencyEntries,
+                repaired: result.repairedEntries || 0,
+                failed: result.failedEntries || 0,
+                duplicatesRemoved: result.duplicates?.removed || 0
+            },
+            sampling: sampling ? {
+                mode: sampling.mode,
+                seen: sampling.seen,
+                sampled: sampling.sampled,
+                rate: sampling.rate
+            } : null,
+            operations: (result.operationBuckets || []).map(bucket => ({
+                name: bucket.name,
+                count: bucket.count,
+                latency: this.latency(bucket),
+                directCalls: { min: bucket.minNwCount, max: bucket.maxNwCount }
+            })),
+            groups: {
+                // Network groups describe the operation with the most high-latency entries
+                operation: result.operationBuckets?.[0]?.name || null,
+                ...this.networkGroups(result),
+                metadata: (result.metadataGroups || []).map(({ column, groups }) => ({
+                    column,
+                    groups: groups.map(g => this.group(g))
+                })),
+                // All operations (operation null) first, then each operation bucket
+                byOperation: (result.operationAnalyses || []).map(analysis => ({
+                    operation: analysis.operation,
+                    ...this.networkGroups(analysis)
+                }))
+            },
+            sources: (result.sourceBreakdown || []).map(row => ({
+                source: row.source,
+                count: row.count,
+                highLatency: row.highLatencyCount,
+                repaired: row.repaired || 0,
+                failed: row.failed || 0,
+                latency: this.latency(row)
+            })),
+            systemMetrics: metrics && metrics.totalSnapshots > 0 ? {
+                snapshots: metrics.totalSnapshots,
+                cpu: this.metric(metrics.stats.cpu),
+                memoryMB: this.metric(metrics.stats.memory),
+                threadWaitMs: this.metric(metrics.stats.threadWait),
+                tcpConnections: this.metric(metrics.stats.tcpConnections)
+            } : null,
+            clientConfig: config && config.totalSnapshots > 0 ? {
+                snapshots: config.totalSnapshots,
+                machines: config.uniqueMachines || [],
+                connectionModes: config.connectionModes || []
+            } : null,
+            regions: regional ? {
+                vmRegions: regional.vmRegions,
+                preferredRegions: regional.preferredRegions,
+                applicationRegions: regional.applicationRegions,
+                multiRegion: { ...regional.multiRegion },
+                crossRegionCalls: { ...regional.crossRegionCalls },
+                unpreferredRegions: regional.unpreferredRegions,
+                contacted: regional.regions.map(row => ({
+                    region: row.region,
+                    count: row.count,
+                    highLatency: row.highLatencyCount,
+                    latency: this.latency(row),
+                    calls: row.calls,
+                    crossRegionCalls: row.crossRegionCalls,
+                    isVmRegion: row.isVmRegion,
+                    preferredRank: row.preferredRank
+                }))
+            } : null,
+            replicas: health ? {
+                replicaSets: health.replicaSets,
+                byRole: health.byRole.map(row => ({
+                    role: row.key,
+                    count: row.count,
+                    failureRate: row.failureRate,
+                    goneRate: row.goneRate,
+                    latency: this.latency(row)
+                })),
+                replicas: health.replicas.map(row => ({
+                    address: row.key,
+                    host: row.host,
+                    replicaSet: row.replicaSet,
+                    role: row.role,
+                    count: row.count,
+                    latency: this.latency(row),
+                    failureRate: row.failureRate,
+                    goneRate: row.goneRate,
+                    peerP50: row.peerP50,
+                    isSlow: row.isOutlier
+                }))
+            } : null,
+            retries: retry ? {
+                operations: retry.operations,
+                retried: retry.retried,
+                patterns: retry.patterns.map(row => ({
+                    pattern: row.key,
+                    count: row.count,
+                    retries: row.retries,
+                    added: this.latency(row),
+                    totalAddedMs: row.totalAddedMs
+                })),
+                chains: retry.chains.map(chain => ({
+                    name: chain.name,
+                    source: chain.source || '',
+                    lineNumber: chain.lineNumber ?? null,
+                    startTime: chain.startTime || '',
+                    durationInMs: chain.durationInMs,
+                    addedMs: chain.addedMs,
+                    pattern: chain.pattern,
+                    attempts: chain.attempts.map(a => ({
+                        attempt: a.attempt,
+                        status: a.status,
+                        failed: a.failed,
+                        address: a.address,
+                        role: a.role,
+                        durationInMs: a.durationInMs,
+                        gapMs: a.gapMs,
+                        startTime: a.startTime
+                    }))
+                }))
+            } : null,
+            throttling: throttling ? {
+                calls: throttling.calls,
+                subStatus3200: throttling.subStatus3200,
+                operations: throttling.operations,
+                totalOperations: throttling.totalOperations,
+                totalWaitMs: throttling.totalWaitMs,
+                recordedWaitCalls: throttling.recordedWaitCalls,
+                waitShare: throttling.waitShare,
+                throttledWaitShare: throttling.throttledWaitShare,
+                byOperation: throttling.byOperation.map(row => this.throttlingGroup(row)),
+                byPartition: throttling.byPartition.map(row => this.throttlingGroup(row)),
+                timeline: throttling.timeline ? { ...throttling.timeline } : null
+            } : null,
+            addressResolution: address ? {
+                lookups: address.lookups,
+                operations: address.operations,
+                totalOperations: address.totalOperations,
+                failed: address.failed,
+                forceRefresh: address.forceRefresh,
+                after410: address.after410,
+                inFlight: address.inFlight,
+                latency: this.latency(address),
+                peakPerMinute: { ...address.peakPerMinute },
+                byEndpoint: address.byEndpoint.map(row => ({
+                    endpoint: row.key,
+                    count: row.count,
+                    latency: this.latency(row),
+                    after410: row.after410,
+                    failed: row.failed
+                })),
+                slowOperations: { ...address.slowOperations }
+            } : null,
+            connectionStats: connection ? {
+                calls: connection.calls,
+                withStats: connection.withStats,
+                waitForConnectionInit: connection.waitForConnectionInit,
+                inflightRequests: this.metric(connection.distributions.inflightRequests),
+                openConnections: this.metric(connection.distributions.openConnections),
+                callsPendingReceive: this.metric(connection.distributions.callsPendingReceive),
+                sinceLastReceiveMs: this.metric(connection.distributions.sinceLastReceiveMs),
+                byInflight: connection.byInflight.map(row => ({ ...row })),
+                byPendingReceive: connection.byPendingReceive.map(row => ({ ...row })),
+                correlations: connection.correlations.map(row => ({ ...row }))
+            } : null,
+            requestCharge: charge ? {
+                totalRu: charge.totalRu,
+                operations: charge.operations,
+                byOperation: charge.byOperation.map(row => this.chargeGroup(row)),
+                byResourceType: charge.byResourceType.map(row => this.chargeGroup(row)),
+                byPartition: charge.byPartition.map(row => this.chargeGroup(row)),
+                timeline: charge.timeline ? { ...charge.timeline } : null
+            } : null,
+            highLatencyEntries: (result.allHighLatencyDiagnostics || []).map(e => ({
+                source: e.source || '',
+                lineNumber: e.lineNumber ?? null,
+                name: e.name,
+                startTime: e.startTime || '',
+                durationInMs: e.duration,
+                directCalls: e.directCalls,
+                gatewayCalls: e.gatewayCalls,
+                wasRepaired: e.wasRepaired || false,
+                metadata: e.metadata || null
+            }))
+        };
+    }
+
+    /**
+     * Network GroupBy sections of an analysis result or an operation analysis
+     * @param {Object} analysis - Object with resourceTypeGroups, statusCodeGroups, partitionGroups, transportEventGroups, transportExceptionGroups
+     * @returns {Object} { resourceType, statusCode, partition, transportEvent, transportException }
+     */
+    networkGroups(analysis) {
+        return {
+            resourceType: (analysis.resourceTypeGroups || []).map(g => this.group(g)),
+            statusCode: (analysis.statusCodeGroups || []).map(g => this.group(g)),
+            partition: (analysis.partitionGroups || []).map(g => ({
+                ...this.group(g),
+                errorRate: g.errorRate,
+                throttled: g.throttledCount,
+                totalRu: g.totalRu,
+                isHot: g.isOutlier
+            })),
+            transportEvent: (analysis.transportEventGroups || []).map(g => ({
+                ...this.group({ ...g, key: g.status }),
+                phases: (g.phaseDetails || []).map(p => ({
+                    phase: p.phase,
+                    count: p.count,
+                    latency: this.latency(p),
+                    endpointCount: p.endpointCount || 0
+                }))
+            })),
+            transportException: (analysis.transportExceptionGroups || []).map(g => this.group(g))
+        };
+    }
+
+    /**
+     * Latency percentiles of a bucket, group or source row
+     * @param {Object} stats - Object with min, max, p50 ... p99
+     * @returns {Object} { min, max, p50, p75, p90, p95, p99 }
+     */
+    latency(stats) {
+        return {
+            min: stats.min ?? 0,
+            max: stats.max ?? 0,
+            p50: stats.p50 ?? 0,
+            p75: stats.p75 ?? 0,
+            p90: stats.p90 ?? 0,
+            p95: stats.p95 ?? 0,
+            p99: stats.p99 ?? 0
+        };
+    }
+
+    /**
+     * Group with its key, count and latency (entries are left to the report)
+     * @param {Object} group - Analyzer group
+     * @returns {Object} { key, count, latency }
+     */
+    group(group) {
+        return { key: group.key, count: group.count, latency: this.latency(group) };
+    }
+
+    /**
+     * Request charge group with its RU percentiles
+     * @param {Object} row - Analyzer.groupCharges row
+     * @returns {Object} { key, count, totalRu, ruPerKb, charge: { min, max, p50 ... p99 } }
+     */
+    chargeGroup(row) {
+        return { key: row.key, count: row.count, totalRu: row.totalRu, ruPerKb: row.ruPerKb, charge: this.latency(row) };
+    }
+
+    /**
+     * Throttling group with its wait time percentiles
+     * @param {Object} row - Analyzer.computeThrottling group
+     * @returns {Object} { key, count, totalWaitMs, wait: { min, max, p50 ... p99 } }
+     */
+    throttlingGroup(row) {
+        return { key: row.key, count: row.count, totalWaitMs: row.totalWaitMs, wait: this.latency(row) };
+    }
+
+    /**
+     * System metric statistics
+     * @param {Object} stats - Analyzer metric stats
+     * @returns {Object} { count, avg, min, max, p50 ... p99 }
+     */
+    metric(stats) {
+        return { count: stats?.count || 0, avg: stats?.avg ?? 0, ...this.latency(stats || {}) };
+    }
+}
+
+// Version of the result contract; bump on breaking changes
+ResultSchema.VERSION = 1;
+
+// Export for browser
+window.ResultSchema = ResultSchema;
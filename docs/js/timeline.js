@@ -11,6 +11,12 @@ const Timeline = (function() {
         'Completed': '#607D8B'
     };
 
+    // Phases only emitted by the Java SDK; colored but kept out of the legend
+    const EXTRA_PHASE_COLORS = {
+        'Queued': '#8BC34A',
+        'Decode Time': '#E91E63'
+    };
+
     const PHASE_SHORT_NAMES = {
         'Created': 'Created',
         'ChannelAcquisitionStarted': 'Channel',
@@ -25,61 +31,32 @@ const Timeline = (function() {
     let minTime = 0, maxTime = 0, totalDuration = 0;
     let isVisible = false;
 
-    // Extract timeline data from JSON
+    // Extract timeline data from JSON via the diagnostics schema model (any supported SDK)
     function extractTimelineData(jsonStr) {
         try {
-            const data = JSON.parse(jsonStr);
+            const model = new DiagnosticsSchema().fromJson(jsonStr);
             const requests = [];
 
-            function findStoreResults(obj) {
-                if (!obj || typeof obj !== 'object') return;
-                if (Array.isArray(obj)) {
-                    obj.forEach(findStoreResults);
-                    return;
-                }
-
-                const clientStats = obj['Client Side Request Stats'] || obj.ClientSideRequestStats;
-                if (clientStats) {
-                    const storeStats = clientStats.StoreResponseStatistics || clientStats['Store Response Statistics'];
-                    if (storeStats && Array.isArray(storeStats)) {
-                        storeStats.forEach(stat => {
-                            const storeResult = stat.StoreResult || stat['Store Result'];
-                            if (storeResult) {
-                                const timeline = storeResult.transportRequestTimeline || storeResult.TransportRequestTimeline;
-                                const requestTimeline = timeline?.requestTimeline || timeline?.RequestTimeline;
-
-                                if (requestTimeline && Array.isArray(requestTimeline)) {
-                                    const phases = requestTimeline.map(phase => ({
-                                        name: phase.event || phase.Event || 'Unknown',
-                                        startTime: new Date(phase.startTimeUtc || phase.StartTimeUtc).getTime(),
-                                        duration: phase.durationInMs || phase.DurationInMs || 0
-                                    })).filter(p => !isNaN(p.startTime));
-
-                                    if (phases.length > 0) {
-                                        requests.push({
-                                            statusCode: storeResult.StatusCode || 'Unknown',
-                                            endpoint: truncateEndpoint(storeResult.StorePhysicalAddress || ''),
-                                            fullEndpoint: storeResult.StorePhysicalAddress || '',
-                                            duration: stat.DurationInMs || 0,
-                                            beLatency: storeResult.BELatencyInMs || '',
-                                            startTime: Math.min(...phases.map(p => p.startTime)),
-                                            phases
-                                        });
-                                    }
-                                }
-                            }
-                        });
-                    }
+            model.storeResults.forEach(store => {
+                const phases = store.events.map(phase => ({
+                    name: phase.event,
+                    startTime: new Date(phase.startTimeUtc).getTime(),
+                    duration: phase.durationInMs || 0
+                })).filter(p => !isNaN(p.startTime));
+
+                if (phases.length > 0) {
+                    requests.push({
+                        statusCode: String(store.statusCode ?? 'Unknown'),
+                        endpoint: truncateEndpoint(store.storePhysicalAddress),
+                        fullEndpoint: store.storePhysicalAddress,
+                        duration: store.durationInMs,
+                        beLatency: store.beLatencyInMs || '',
+                        startTime: Math.min(...phases.map(p => p.startTime)),
+                        phases
+                    });
                 }
+            });
 
-                for (const key in obj) {
-                    if (obj.hasOwnProperty(key)) {
-                        findStoreResults(obj[key]);
-                    }
-                }
-            }
-
-            findStoreResults(data);
             requests.sort((a, b) => a.startTime - b.startTime);
             return requests;
         } catch (e) {
@@ -159,7 +136,7 @@ const Timeline = (function() {
             let phasesHtml = '';
             req.phases.forEach(phase => {
                 const width = (phase.duration / req.duration) * 100;
-                const color = PHASE_COLORS[phase.name] || '#666';
+                const color = PHASE_COLORS[phase.name] || EXTRA_PHASE_COLORS[phase.name] || '#666';
                 phasesHtml += `<div class="timeline-phase" style="width:${Math.max(width, 1)}%;background:${color}"></div>`;
             });
 
@@ -284,7 +261,7 @@ const Timeline = (function() {
 
             let phasesHtml = '';
             req.phases.forEach(phase => {
-                const color = PHASE_COLORS[phase.name] || '#666';
+                const color = PHASE_COLORS[phase.name] || EXTRA_PHASE_COLORS[phase.name] || '#666';
                 phasesHtml += `<div class="timeline-tooltip-phase">
                     <div class="timeline-tooltip-phase-color" style="background:${color}"></div>
                     <span>${phase.name}</span>
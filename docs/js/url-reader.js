@@ -0,0 +1,134 @@
+/**
+ * URL Reader Module
+ * Fetches diagnostics over HTTP(S) and turns responses into pipeline sources
+ */
+
+class UrlReader {
+    /**
+     * Sources named by ?src= parameters of a page URL (repeat src to load several captures)
+     * @param {string} search - Page query string, e.g. location.search
+     * @param {string} base - Base URL for relative src values, e.g. location.href
+     * @returns {Array} [{ name, url }]
+     */
+    static sourcesFromQuery(search, base) {
+        return new URLSearchParams(search).getAll('src')
+            .filter(src => src.trim())
+            .map(src => UrlReader.toSource(src.trim(), base));
+    }
+
+    /**
+     * Build a source for a URL, resolved against base so it also works from the worker
+     * @param {string} url - Absolute or relative URL
+     * @param {string} base - Base URL
+     * @returns {Object} { name, url }
+     */
+    static toSource(url, base) {
+        const resolved = new URL(url, base);
+        if (resolved.protocol !== 'http:' && resolved.protocol !== 'https:') {
+            throw new Error(`Only http and https URLs can be loaded: ${url}`);
+        }
+        return { name: UrlReader.nameFromUrl(resolved.href), url: resolved.href };
+    }
+
+    /**
+     * File name for a URL: the last path segment, or the host if the path is empty
+     * @param {string} url - Absolute URL
+     * @returns {string}
+     */
+    static nameFromUrl(url) {
+        const parsed = new URL(url);
+        const segment = parsed.pathname.split('/').filter(Boolean).pop();
+        return segment ? decodeURIComponent(segment) : parsed.host;
+    }
+
+    /**
+     * Fetch a URL source.
+     * Zip and Excel responses need random access and are downloaded whole, then
+     * expanded like local files; text (optionally gzip) is returned as a stream
+     * that is parsed while it downloads.
+     * @param {Object} source - { name, url }
+     * @param {function} progress - Progress callback (message, percent)
+     * @param {AbortSignal} signal - Optional signal to cancel the download
+     * @returns {Promise<Array>} [{ name, file, encoding, size }] or [{ name, url, stream, encoding, size }]
+     */
+    static async open(source, progress, signal = null) {
+        const name = source.name || UrlReader.nameFromUrl(source.url);
+        progress(`Connecting to ${name}...`, 2);
+
+        let response;
+        try {
+            response = await fetch(source.url, { signal });
+        } catch (e) {
+            if (e.name === 'AbortError') throw e;
+            throw new Error(`${name}: could not be fetched (${e.message}); check the URL and that the server allows cross-origin requests`);
+        }
+        if (!response.ok) {
+            throw new Error(`${name}: HTTP ${response.status} ${response.statusText}`.trim());
+        }
+
+        // With Content-Encoding (e.g. a .gz file served as gzip), fetch has already decoded the
+        // body and Content-Length is the encoded size, so the decoded size is unknown
+        const contentEncoding = (response.headers.get('Content-Encoding') || 'identity').trim().toLowerCase();
+        const decoded = contentEncoding !== 'identity';
+        const size = decoded ? 0 : parseInt(response.headers.get('Content-Length'), 10) || 0;
+        const body = response.body || new Blob([]).stream();
+
+        if (ArchiveReader.isZipFile(name) || ExcelParser.isExcelFile(ArchiveReader.contentName(name))) {
+            const tracked = UrlReader.trackProgress(body, size, loaded =>
+                progress(`Downloading ${name}: ${UrlReader.formatProgress(loaded, size)}`, 2));
+            const file = await new Response(tracked).blob();
+            return ArchiveReader.expand({ name, file });
+        }
+
+        const type = (response.headers.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+        const isGzip = !decoded && (ArchiveReader.isGzipFile(name) || UrlReader.GZIP_TYPES.includes(type));
+        return [{ name, url: source.url, stream: body, encoding: isGzip ? 'gzip' : null, size }];
+    }
+
+    /**
+     * Pass a byte stream through unchanged, reporting bytes read every PROGRESS_STEP bytes and at the end
+     * @param {ReadableStream} stream - Response body
+     * @param {number} total - Expected bytes (0 if unknown)
+     * @param {function} onProgress - (loaded, total) callback
+     * @returns {ReadableStream}
+     */
+    static trackProgress(stream, total, onProgress) {
+        let loaded = 0;
+        let reported = 0;
+        return stream.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                if (loaded - reported >= UrlReader.PROGRESS_STEP) {
+                    reported = loaded;
+                    onProgress(loaded, total);
+                }
+                controller.enqueue(chunk);
+            },
+            flush() {
+                onProgress(loaded, total);
+            }
+        }));
+    }
+
+    /**
+     * Download progress text, e.g. "12.3 of 45.6 MB (27%)"
+     * @param {number} loaded - Bytes downloaded
+     * @param {number} total - Expected bytes (0 if unknown)
+     * @returns {string}
+     */
+    static formatProgress(loaded, total) {
+        const mb = bytes => (bytes / (1024 * 1024)).toFixed(1);
+        return total > 0
+            ? `${mb(loaded)} of ${mb(total)} MB (${Math.min(100, Math.round(loaded / total * 100))}%)`
+            : `${mb(loaded)} MB`;
+    }
+}
+
+// Content types served for gzip files when the URL has no .gz extension
+UrlReader.GZIP_TYPES = ['application/gzip', 'application/x-gzip'];
+
+// Report download progress every 1 MB
+UrlReader.PROGRESS_STEP = 1024 * 1024;
+
+// Export for browser
+window.UrlReader = UrlReader;
@@ -0,0 +1,44 @@
+/**
+ * ES module entry point for browsers and bundlers
+ * Runs the docs/js modules, which export themselves on window, and re-exports them.
+ * Excel input needs SheetJS loaded first (window.XLSX, e.g. docs/js/xlsx.min.js).
+ */
+
+import '../docs/js/version.js';
+import '../docs/js/line-reader.js';
+import '../docs/js/archive-reader.js';
+import '../docs/js/url-reader.js';
+import '../docs/js/diagnostics-schema.js';
+import '../docs/js/json-parser.js';
+import '../docs/js/excel-parser.js';
+import '../docs/js/analyzer.js';
+import '../docs/js/entry-sampler.js';
+import '../docs/js/analysis-pipeline.js';
+import '../docs/js/report-generator.js';
+import '../docs/js/result-schema.js';
+
+export const {
+    JsonParser,
+    Analyzer,
+    AnalysisPipeline,
+    DiagnosticsSchema,
+    ResultSchema,
+    ReportGenerator,
+    EntrySampler,
+    ExcelParser,
+    UrlReader,
+    VERSION
+} = window;
+
+export const RESULT_SCHEMA_VERSION = ResultSchema.VERSION;
+
+/**
+ * Read, parse and analyze diagnostics and return the versioned result
+ * @param {Object} input - AnalysisPipeline input: { sources: [{ name, file } | { name, text } | { name, url }], threshold, dedupe, sampling }
+ * @param {function} onProgress - Optional progress callback (message, percent)
+ * @returns {Promise<Object>} Result in the ResultSchema format
+ */
+export async function analyze(input, onProgress = null) {
+    const result = await new AnalysisPipeline().run(input, onProgress);
+    return new ResultSchema().fromAnalysis(result);
+}
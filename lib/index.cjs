@@ -0,0 +1,73 @@
+/**
+ * CommonJS entry point
+ * Loads the browser modules from docs/js into a private scope and exports them.
+ * The modules export themselves on `window`, which is a plain object here, so
+ * nothing is added to the Node.js global scope.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser modules in load order (same as docs/index.html and the analysis worker)
+const MODULES = [
+    'xlsx.min.js',
+    'version.js',
+    'line-reader.js',
+    'archive-reader.js',
+    'url-reader.js',
+    'diagnostics-schema.js',
+    'json-parser.js',
+    'excel-parser.js',
+    'analyzer.js',
+    'entry-sampler.js',
+    'analysis-pipeline.js',
+    'report-generator.js',
+    'result-schema.js'
+];
+
+const MODULES_DIR = path.join(__dirname, '..', 'docs', 'js');
+
+/**
+ * Run each module in its own function scope that resolves names on the shared window
+ * object first, so modules see each other's exports (including later ones) as globals
+ * @returns {Object} Exported classes by name
+ */
+function loadModules() {
+    const window = Object.create(null);
+    for (const file of MODULES) {
+        const filename = path.join(MODULES_DIR, file);
+        // Header and code share the first line so stack trace line numbers match the file
+        const run = vm.runInThisContext(`(function (window) { with (window) { ${fs.readFileSync(filename, 'utf8')}\n} })`, { filename });
+        run(window);
+    }
+    return window;
+}
+
+const modules = loadModules();
+
+/**
+ * Read, parse and analyze diagnostics and return the versioned result
+ * @param {Object} input - AnalysisPipeline input: { sources: [{ name, file } | { name, text } | { name, url }], threshold, dedupe, sampling }
+ * @param {function} onProgress - Optional progress callback (message, percent)
+ * @returns {Promise<Object>} Result in the ResultSchema format
+ */
+async function analyze(input, onProgress = null) {
+    const result = await new modules.AnalysisPipeline().run(input, onProgress);
+    return new modules.ResultSchema().fromAnalysis(result);
+}
+
+module.exports = {
+    JsonParser: modules.JsonParser,
+    Analyzer: modules.Analyzer,
+    AnalysisPipeline: modules.AnalysisPipeline,
+    DiagnosticsSchema: modules.DiagnosticsSchema,
+    ResultSchema: modules.ResultSchema,
+    ReportGenerator: modules.ReportGenerator,
+    EntrySampler: modules.EntrySampler,
+    ExcelParser: modules.ExcelParser,
+    UrlReader: modules.UrlReader,
+    VERSION: modules.VERSION,
+    RESULT_SCHEMA_VERSION: modules.ResultSchema.VERSION,
+    analyze
+};
@@ -0,0 +1,514 @@
+/**
+ * Type declarations for the Cosmos Diagnostics Analyzer library.
+ *
+ * `analyze()` and `ResultSchema.fromAnalysis()` return `AnalysisResult`, the versioned
+ * result contract. The internal result of `Analyzer`/`AnalysisPipeline` is shaped for the
+ * HTML report and may change with the report layout; depend on `AnalysisResult` instead.
+ */
+
+// =============================================================================
+// Versioned result (schemaVersion 1)
+// =============================================================================
+
+/** Latency percentiles in milliseconds */
+export interface LatencyStats {
+    min: number;
+    max: number;
+    p50: number;
+    p75: number;
+    p90: number;
+    p95: number;
+    p99: number;
+}
+
+/** System metric statistics over the unique snapshots */
+export interface MetricStats extends LatencyStats {
+    count: number;
+    avg: number;
+}
+
+export interface ResultTotals {
+    /** Entries parsed from all sources */
+    parsed: number;
+    /** Entries analyzed (after duplicate removal and sampling) */
+    analyzed: number;
+    /** Analyzed entries above the latency threshold */
+    highLatency: number;
+    /** Lines recovered from truncated JSON */
+    repaired: number;
+    /** Lines that could not be parsed */
+    failed: number;
+    duplicatesRemoved: number;
+}
+
+export interface SamplingResult {
+    mode: 'uniform' | 'threshold';
+    /** Entries offered to the sampler (duplicates already removed) */
+    seen: number;
+    /** Entries kept */
+    sampled: number;
+    /** sampled / seen */
+    rate: number;
+}
+
+/** High-latency entries of one operation name */
+export interface OperationResult {
+    name: string;
+    count: number;
+    latency: LatencyStats;
+    directCalls: { min: number; max: number };
+}
+
+export interface GroupResult {
+    /** e.g. "Document → Read" or "429 → 3200" */
+    key: string;
+    count: number;
+    latency: LatencyStats;
+}
+
+export interface TransportPhaseResult {
+    phase: string;
+    count: number;
+    latency: LatencyStats;
+    endpointCount: number;
+}
+
+export interface TransportEventGroupResult extends GroupResult {
+    phases: TransportPhaseResult[];
+}
+
+/** Over the calls of all analyzed entries, not only high-latency ones */
+export interface PartitionGroupResult extends GroupResult {
+    /** Calls with a transport exception or a status code of 400 or above, of count */
+    errorRate: number;
+    /** Calls with status 429 */
+    throttled: number;
+    totalRu: number;
+    /** P99 above Analyzer.PARTITION_OUTLIER_FACTOR times the median P99 of the other partitions */
+    isHot: boolean;
+}
+
+export interface MetadataGroupsResult {
+    /** Excel/CSV column or log field */
+    column: string;
+    groups: GroupResult[];
+}
+
+export interface NetworkGroupsResult {
+    resourceType: GroupResult[];
+    statusCode: GroupResult[];
+    /** By PartitionKeyRangeId */
+    partition: PartitionGroupResult[];
+    transportEvent: TransportEventGroupResult[];
+    transportException: GroupResult[];
+}
+
+export interface OperationGroupsResult extends NetworkGroupsResult {
+    /** Operation name, or null for all operations combined */
+    operation: string | null;
+}
+
+export interface ResultGroups extends NetworkGroupsResult {
+    /** Operation whose network interactions the top-level groups describe (the one with most high-latency entries) */
+    operation: string | null;
+    metadata: MetadataGroupsResult[];
+    /** Network groups of all operations combined (operation null) followed by each operation, in `operations` order */
+    byOperation: OperationGroupsResult[];
+}
+
+export interface SourceResult {
+    source: string;
+    count: number;
+    highLatency: number;
+    repaired: number;
+    failed: number;
+    latency: LatencyStats;
+}
+
+export interface SystemMetricsResult {
+    snapshots: number;
+    cpu: MetricStats;
+    memoryMB: MetricStats;
+    threadWaitMs: MetricStats;
+    tcpConnections: MetricStats;
+}
+
+export interface ClientConfigResult {
+    snapshots: number;
+    machines: string[];
+    connectionModes: string[];
+}
+
+export interface RegionResult {
+    /** Normalized region name, e.g. "westus2" */
+    region: string;
+    /** Analyzed operations that contacted the region */
+    count: number;
+    highLatency: number;
+    /** Latency of those operations */
+    latency: LatencyStats;
+    /** Network calls to the region */
+    calls: number;
+    /** Calls to the region from clients in another VM region */
+    crossRegionCalls: number;
+    isVmRegion: boolean;
+    /** 1-based position in the preferred regions, 0 when not preferred */
+    preferredRank: number;
+}
+
+export interface RegionsResult {
+    vmRegions: string[];
+    preferredRegions: string[];
+    applicationRegions: string[];
+    /** Operations that contacted more than one region, of those naming a region */
+    multiRegion: { count: number; total: number };
+    /** Calls to a region other than the client VM region, of calls whose VM region is known */
+    crossRegionCalls: { count: number; total: number };
+    /** Contacted regions missing from the preferred regions (empty when none are configured) */
+    unpreferredRegions: string[];
+    /** Sorted by count, descending */
+    contacted: RegionResult[];
+}
+
+export type ReplicaRole = 'primary' | 'secondary' | 'unknown';
+
+export interface ReplicaResult {
+    /** StorePhysicalAddress */
+    address: string;
+    host: string;
+    /** Partition path shared by the replicas of one partition (the address when it is not a replica URI) */
+    replicaSet: string;
+    /** From the replica id suffix ("p" or "s") */
+    role: ReplicaRole;
+    count: number;
+    latency: LatencyStats;
+    /** Calls with a transport exception or a status code of 400 or above, of count */
+    failureRate: number;
+    /** Calls with status 410, of count */
+    goneRate: number;
+    /** P50 of all calls to the other replicas of the replica set, null without peers */
+    peerP50: number | null;
+    /** P50 above Analyzer.REPLICA_OUTLIER_FACTOR times peerP50, with at least Analyzer.MIN_REPLICA_CALLS calls */
+    isSlow: boolean;
+}
+
+export interface ReplicasResult {
+    replicaSets: number;
+    byRole: { role: ReplicaRole; count: number; failureRate: number; goneRate: number; latency: LatencyStats }[];
+    /** Slow replicas first, then by count, descending */
+    replicas: ReplicaResult[];
+}
+
+export interface RetryAttemptResult {
+    /** 1-based position in start time order */
+    attempt: number;
+    /** "status/substatus", e.g. "410/1002" */
+    status: string;
+    /** Transport exception or status code of 400 or above */
+    failed: boolean;
+    address: string;
+    role: ReplicaRole;
+    durationInMs: number;
+    /** Time since the previous attempt's response, null when unknown */
+    gapMs: number | null;
+    startTime: string;
+}
+
+export interface RetryChainResult {
+    name: string;
+    source: string;
+    lineNumber: number | null;
+    startTime: string;
+    durationInMs: number;
+    /** Time in failed attempts and the gaps before their retries */
+    addedMs: number;
+    pattern: string;
+    attempts: RetryAttemptResult[];
+}
+
+export interface RetriesResult {
+    /** Analyzed operations with store results */
+    operations: number;
+    /** Operations where a failed call was followed by another attempt */
+    retried: number;
+    /** e.g. "410/1002 → 200/0 on secondary"; `added` holds percentiles of the latency added per operation. Sorted by count, descending */
+    patterns: { pattern: string; count: number; retries: number; added: LatencyStats; totalAddedMs: number }[];
+    /** Chains that added the most latency (at most Analyzer.MAX_RETRY_CHAINS) */
+    chains: RetryChainResult[];
+}
+
+export interface ThrottlingGroupResult {
+    /** Operation name or PartitionKeyRangeId */
+    key: string;
+    /** Throttled (429) calls */
+    count: number;
+    totalWaitMs: number;
+    /** Wait time percentiles per throttled call */
+    wait: LatencyStats;
+}
+
+export interface ThrottlingResult {
+    /** Calls with status 429 */
+    calls: number;
+    /** Of those, with substatus 3200 (request rate too large) */
+    subStatus3200: number;
+    /** Operations with at least one 429, of totalOperations analyzed */
+    operations: number;
+    totalOperations: number;
+    /** RetryAfterInMs of the throttled calls; the measured gap before the retry where it is not recorded */
+    totalWaitMs: number;
+    /** Throttled calls that record RetryAfterInMs */
+    recordedWaitCalls: number;
+    /** totalWaitMs over the end-to-end duration of all operations */
+    waitShare: number;
+    /** totalWaitMs over the end-to-end duration of the throttled operations */
+    throttledWaitShare: number;
+    /** Sorted by count, descending */
+    byOperation: ThrottlingGroupResult[];
+    byPartition: ThrottlingGroupResult[];
+    /** Per latency heatmap time bucket; perMinute is throttled divided by the bucket length in minutes */
+    timeline: { timeBuckets: string[]; throttled: number[]; perMinute: number[]; p99Latency: number[] } | null;
+}
+
+export interface AddressResolutionResult {
+    /** Gateway address lookups */
+    lookups: number;
+    /** Operations with at least one lookup, of totalOperations analyzed */
+    operations: number;
+    totalOperations: number;
+    failed: number;
+    forceRefresh: number;
+    /** Lookups that started after a 410 response of the same operation */
+    after410: number;
+    /** Lookups without an end time (still in flight), measured to the end of their operation */
+    inFlight: number;
+    /** Lookup duration percentiles (lookups with a known duration) */
+    latency: LatencyStats;
+    /** Minute (ISO start) with the most lookups */
+    peakPerMinute: { minute: string; count: number };
+    /** Sorted by count, descending */
+    byEndpoint: { endpoint: string; count: number; latency: LatencyStats; after410: number; failed: number }[];
+    /**
+     * Operations above the threshold; blocked = with a lookup while no store call was in flight, blockedMs = time in those lookups,
+     * unknown = not blocked as far as known, but with lookups that cannot be placed against untimed store calls
+     */
+    slowOperations: { total: number; withLookup: number; blocked: number; blockedMs: number; unknown: number };
+}
+
+/** Transit Time and Received phase latency of the calls in one load bucket */
+export interface ConnectionLoadBucket {
+    /** "0", "1", "2-4", "5-9", "10-19" or "20+" */
+    bucket: string;
+    calls: number;
+    transitP50: number;
+    transitP99: number;
+    receivedP50: number;
+    receivedP99: number;
+}
+
+export interface ConnectionStatsResult {
+    /** Network calls analyzed, and those that record RNTBD endpoint/connection stats */
+    calls: number;
+    withStats: number;
+    /** Calls that waited for connection initialization */
+    waitForConnectionInit: number;
+    /** Per-call distributions at request time */
+    inflightRequests: MetricStats;
+    /** .NET openConnections; Java available + acquired channels */
+    openConnections: MetricStats;
+    callsPendingReceive: MetricStats;
+    /** Time between the connection's last receive and the request start */
+    sinceLastReceiveMs: MetricStats;
+    byInflight: ConnectionLoadBucket[];
+    byPendingReceive: ConnectionLoadBucket[];
+    /** Spearman rank correlation; coefficient is null with fewer than 3 calls or constant values */
+    correlations: {
+        metric: 'inflightRequests' | 'openConnections' | 'callsPendingReceive' | 'sinceLastReceiveMs';
+        phase: 'Transit Time' | 'Received';
+        calls: number;
+        coefficient: number | null;
+    }[];
+}
+
+export interface RequestChargeGroupResult {
+    /** Operation name, "Document → Query" or PartitionKeyRangeId */
+    key: string;
+    count: number;
+    totalRu: number;
+    /** RU per KB of response body, null when no response size is recorded */
+    ruPerKb: number | null;
+    /** RU percentiles (same fields as latency) */
+    charge: LatencyStats;
+}
+
+export interface RequestChargeResult {
+    totalRu: number;
+    /** Analyzed operations with a recorded charge */
+    operations: number;
+    /** Per operation name; an operation's charge is the sum of its store responses. Sorted by totalRu, descending */
+    byOperation: RequestChargeGroupResult[];
+    /** Per store response ResourceType → OperationType */
+    byResourceType: RequestChargeGroupResult[];
+    /** Per store response PartitionKeyRangeId */
+    byPartition: RequestChargeGroupResult[];
+    /** Per latency heatmap time bucket */
+    timeline: { timeBuckets: string[]; totalRu: number[]; maxRu: number[]; p99Latency: number[] } | null;
+}
+
+export interface HighLatencyEntry {
+    source: string;
+    lineNumber: number | null;
+    name: string;
+    startTime: string;
+    durationInMs: number;
+    directCalls: number;
+    gatewayCalls: number;
+    wasRepaired: boolean;
+    metadata: Record<string, string> | null;
+}
+
+export interface AnalysisResult {
+    schemaVersion: 1;
+    /** Latency threshold in milliseconds */
+    threshold: number;
+    totals: ResultTotals;
+    sampling: SamplingResult | null;
+    /** Sorted by count, descending */
+    operations: OperationResult[];
+    groups: ResultGroups;
+    sources: SourceResult[];
+    systemMetrics: SystemMetricsResult | null;
+    clientConfig: ClientConfigResult | null;
+    /** Null when no entry names a contacted region */
+    regions: RegionsResult | null;
+    /** Null when no store response has a StorePhysicalAddress */
+    replicas: ReplicasResult | null;
+    /** Null when no operation retried a failed call */
+    retries: RetriesResult | null;
+    /** Null when no call was throttled */
+    throttling: ThrottlingResult | null;
+    /** Null when no entry records an address lookup */
+    addressResolution: AddressResolutionResult | null;
+    /** Null when no store response records RNTBD connection stats */
+    connectionStats: ConnectionStatsResult | null;
+    /** Null when no store response records a RequestCharge */
+    requestCharge: RequestChargeResult | null;
+    /** Sorted by duration, descending */
+    highLatencyEntries: HighLatencyEntry[];
+}
+
+// =============================================================================
+// Input
+// =============================================================================
+
+export type Source =
+    | { name: string; text: string }
+    | { name: string; file: Blob }
+    | { name?: string; url: string };
+
+export interface AnalyzeInput {
+    sources: Source[];
+    /** Latency threshold in milliseconds (entries above it are analyzed) */
+    threshold: number;
+    /** Drop entries repeating an earlier ActivityId, trace id + start time, or content */
+    dedupe?: boolean;
+    /** Analyze a reservoir sample instead of every entry */
+    sampling?: { mode: 'uniform' | 'threshold'; size?: number } | null;
+    /** Sheet and column selection for Excel/CSV sources */
+    excelOptions?: { sheetName?: string; column?: string | number; metadataColumns?: (string | number)[] };
+    /** Replacement text for input lines */
+    lineOverrides?: { source: string; lineNumber: number; text: string }[];
+}
+
+export type ProgressCallback = (message: string, percent: number) => void;
+
+/** Read, parse and analyze diagnostics and return the versioned result */
+export function analyze(input: AnalyzeInput, onProgress?: ProgressCallback | null): Promise<AnalysisResult>;
+
+export const RESULT_SCHEMA_VERSION: 1;
+
+export const VERSION: { commit: string; date: string };
+
+// =============================================================================
+// Modules
+// =============================================================================
+
+/** Internal analysis result, shaped for the HTML report; convert with ResultSchema.fromAnalysis */
+export type InternalResult = Record<string, any>;
+
+/** Parsed diagnostics object with normalized keys and parser metadata (_source, _lineNumber, _rawJson, ...) */
+export type DiagnosticsEntry = Record<string, any>;
+
+export interface ParseIssue {
+    lineNumber: number;
+    status: 'failed' | 'repaired';
+    error: string;
+    position: number;
+    snippet: { before: string; at: string; after: string };
+    line: string;
+    repair?: { context: string; removed: string; added: string; dropped: string[]; truncated: string[] };
+}
+
+export class JsonParser {
+    repairedCount: number;
+    failedCount: number;
+    isSingleEntry: boolean;
+    issues: ParseIssue[];
+    /** Parse JSONL, a JSON array or a single (pretty-printed) JSON object */
+    parseLines(content: string, progressCallback?: ProgressCallback | null): DiagnosticsEntry[];
+    /** Parse one line (raw log lines are searched for the diagnostics object) */
+    parseEntry(line: string, lineNumber: number): DiagnosticsEntry | null;
+    /** Repair truncated JSON; null if it cannot be repaired */
+    repairJson(json: string): { json: string; dropped: string[]; truncated: string[] } | null;
+    getStats(): { repaired: number; failed: number; isSingleEntry: boolean; issues: ParseIssue[] };
+}
+
+export class Analyzer {
+    analyze(diagnostics: DiagnosticsEntry[], threshold?: number, progressCallback?: ProgressCallback | null, skipLatencyFilter?: boolean): InternalResult;
+}
+
+export class AnalysisPipeline {
+    run(input: AnalyzeInput, progressCallback?: ProgressCallback | null, signal?: AbortSignal | null): Promise<InternalResult>;
+}
+
+export class DiagnosticsSchema {
+    static VERSION: number;
+    /** Normalize .NET, Java v4 and Node.js SDK payloads to one key set */
+    normalize(obj: object): DiagnosticsEntry;
+    /** Read a normalized entry into the diagnostics model */
+    read(diag: DiagnosticsEntry): Record<string, any>;
+    /** Normalize and read a raw JSON diagnostics string */
+    fromJson(json: string): Record<string, any>;
+}
+
+export class ResultSchema {
+    static VERSION: 1;
+    fromAnalysis(result: InternalResult): AnalysisResult;
+}
+
+export class ReportGenerator {
+    /** Report markup for an internal result */
+    generate(result: InternalResult): string;
+    /** Standalone HTML page (same as the Download HTML button) */
+    generateStandaloneHtml(reportHtml: string): string;
+}
+
+export class EntrySampler {
+    static DEFAULT_SIZE: number;
+    constructor(options: { mode: 'uniform' | 'threshold'; size?: number; threshold?: number }, random?: () => number);
+    offer(entry: DiagnosticsEntry): void;
+    /** Sampled entries in input order */
+    getEntries(): DiagnosticsEntry[];
+    getSummary(): Record<string, any>;
+}
+
+export class ExcelParser {
+    static isExcelFile(filename: string): boolean;
+    /** Extract the diagnostics column as one JSON per line */
+    parse(arrayBuffer: ArrayBuffer, progressCallback?: ProgressCallback | null, options?: AnalyzeInput['excelOptions']): string;
+}
+
+export class UrlReader {
+    static toSource(url: string, base?: string): { name: string; url: string };
+    static sourcesFromQuery(search: string, base: string): { name: string; url: string }[];
+}
@@ -0,0 +1,23 @@
+/**
+ * ES module entry point for Node.js
+ * Re-exports the CommonJS entry point as named exports
+ */
+
+import lib from './index.cjs';
+
+export const {
+    JsonParser,
+    Analyzer,
+    AnalysisPipeline,
+    DiagnosticsSchema,
+    ResultSchema,
+    ReportGenerator,
+    EntrySampler,
+    ExcelParser,
+    UrlReader,
+    VERSION,
+    RESULT_SCHEMA_VERSION,
+    analyze
+} = lib;
+
+export default lib;
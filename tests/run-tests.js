@@ -1,13 +1,15 @@
 /**
  * Validation Test Suite for CosmosClientDiagnostics Analyzer
  * 
- * Run with: node tests/run-tests.js
+ * Run with: npm test (after npm install)
  * 
- * Requires puppeteer: npm install puppeteer
+ * Requires puppeteer (dev dependency)
  */
 const puppeteer = require('puppeteer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const { execFileSync, spawnSync } = require('child_process');
 
 const TESTS = [];
 let browser;
@@ -24,6 +26,43 @@ function loadFixture(filename) {
     return null;
 }
 
+// Test data builders for .NET SDK diagnostics lines
+
+// ISO timestamp `ms` milliseconds after 2026-01-29T10:00:00Z
+function at(ms) {
+    return new Date(Date.UTC(2026, 0, 29, 10, 0, 0, ms)).toISOString();
+}
+
+// RNTBD replica address
+function rntbdAddress({ host = 'cdb-ms-prod-westus2-fd1', partition = 'p', replica = '1p' } = {}) {
+    return `rntbd://${host}.documents.azure.com:14301/apps/a/services/s/partitions/${partition}/replicas/${replica}/`;
+}
+
+// One StoreResponseStatistics item of a Document read; storeResult and fields override the defaults
+function storeResponse(durationInMs, storeResult = {}, fields = {}) {
+    return {
+        ResourceType: 'Document',
+        OperationType: 'Read',
+        DurationInMs: durationInMs,
+        ...fields,
+        StoreResult: { StatusCode: 200, SubStatusCode: 0, ...storeResult }
+    };
+}
+
+// Diagnostics line with one transport request holding the store responses and any other Client Side Request Stats
+function dotnetEntry({ name = 'ReadItem', duration, start = at(0), data, requestStats = {}, stores = [] }) {
+    return JSON.stringify({
+        name,
+        'duration in milliseconds': duration,
+        'start datetime': start,
+        data,
+        children: [{
+            name: 'Microsoft.Azure.Documents.ServerStoreModel Transport Request',
+            data: { 'Client Side Request Stats': { ...requestStats, StoreResponseStatistics: stores } }
+        }]
+    });
+}
+
 // Test registration helper
 function test(name, fn) {
     TESTS.push({ name, fn });
@@ -335,6 +374,1846 @@ test('GroupBy LastTransportEvent: works with real sample diagnostics data', asyn
     }
 });
 
+// =============================================================================
+// TEST: Streaming ingestion matches whole-file parsing
+// Large files are read through LineReader in bounded chunks; the parsed entries
+// and analysis must be identical to parsing the full content at once
+// =============================================================================
+test('Streaming ingestion: parseStream produces the same analysis as parseLines', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file sample-diagnostics.jsonl not found');
+    }
+    
+    const result = await page.evaluate(async (content) => {
+        // Duplicate lines so the stream spans several small chunks
+        const multiLine = [content.trim(), content.trim(), content.trim()].join('\n');
+        
+        const wholeParser = new JsonParser();
+        const whole = wholeParser.parseLines(multiLine);
+        
+        const streamParser = new JsonParser();
+        const reader = LineReader.fromFile(new Blob([multiLine]), 4096);
+        const streamed = await streamParser.parseStream(reader);
+        
+        const analyzer = new Analyzer();
+        const wholeResult = analyzer.analyze(whole, 100, null, false);
+        const streamedResult = analyzer.analyze(streamed, 100, null, false);
+        
+        return {
+            wholeCount: whole.length,
+            streamedCount: streamed.length,
+            lineNumbersMatch: whole.every((d, i) => d._lineNumber === streamed[i]._lineNumber && d._rawJson === streamed[i]._rawJson),
+            bucketsMatch: JSON.stringify(wholeResult.operationBuckets) === JSON.stringify(streamedResult.operationBuckets),
+            interactionsMatch: wholeResult.networkInteractions.length === streamedResult.networkInteractions.length
+        };
+    }, sampleData);
+    
+    if (result.wholeCount === 0 || result.wholeCount !== result.streamedCount) {
+        throw new Error(`Expected equal entry counts, got ${result.wholeCount} (whole) vs ${result.streamedCount} (streamed)`);
+    }
+    
+    if (!result.lineNumbersMatch) {
+        throw new Error('Streamed entries differ from whole-file entries in line number or raw JSON');
+    }
+    
+    if (!result.bucketsMatch || !result.interactionsMatch) {
+        throw new Error('Analysis of streamed entries differs from analysis of whole-file entries');
+    }
+});
+
+// =============================================================================
+// TEST: Streamed multi-line documents
+// Streamed input (large files, .gz, URLs) detects pretty-printed objects from the first
+// non-blank character and hands JSON array elements over as soon as each one closes
+// =============================================================================
+test('Streaming ingestion: pretty-printed objects and JSON arrays stream per value', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file sample-diagnostics.jsonl not found');
+    }
+
+    const result = await page.evaluate(async (content) => {
+        const items = content.trim().split('\n').map(line => JSON.parse(line));
+        const stream = async (text, chunkSize = 4096) => {
+            const parser = new JsonParser();
+            const entries = await parser.parseStream(LineReader.fromFile(new Blob([text]), chunkSize));
+            return { parser, entries };
+        };
+
+        // First line holds a key, not just "{"
+        const pretty = '{ ' + JSON.stringify(items[0], null, 2).substring(1).trimStart();
+        const object = await stream(pretty);
+
+        const arrayText = JSON.stringify(items, null, 2);
+        const array = await stream(arrayText);
+        const pasted = new JsonParser().parseLines(arrayText);
+
+        // Elements reach onEntry while later lines are still unread
+        const lines = arrayText.split('\n');
+        const half = lines.findIndex((line, i) => i > 0 && line === '  },') + 1;
+        const seen = [];
+        const parser = new JsonParser();
+        parser.onEntry = entry => seen.push(entry);
+        let beforeSecondBatch = -1;
+        await parser.parseStream({
+            read: async onLines => {
+                await onLines(lines.slice(0, half), { bytesRead: 0, totalBytes: 0 });
+                beforeSecondBatch = seen.length;
+                await onLines(lines.slice(half), { bytesRead: 0, totalBytes: 0 });
+            }
+        });
+
+        // Cut inside the last element: the closed elements parse, the open one is repaired
+        const truncated = await stream(arrayText.substring(0, arrayText.lastIndexOf('"name"') + 20));
+
+        return {
+            objectCount: object.entries.length,
+            objectSingle: object.parser.isSingleEntry,
+            objectFailed: object.parser.failedCount,
+            arrayCount: array.entries.length,
+            arrayMatchesPasted: array.entries.every((e, i) => e._rawJson === pasted[i]._rawJson && e._lineNumber === pasted[i]._lineNumber),
+            itemCount: items.length,
+            beforeSecondBatch,
+            streamedTotal: seen.length,
+            truncatedCount: truncated.entries.length,
+            truncatedRepaired: truncated.parser.repairedCount
+        };
+    }, sampleData);
+
+    if (result.objectCount !== 1 || !result.objectSingle || result.objectFailed !== 0) {
+        throw new Error(`Pretty-printed object should stream as a single entry, got ${JSON.stringify(result)}`);
+    }
+    if (result.arrayCount !== result.itemCount || !result.arrayMatchesPasted) {
+        throw new Error(`Streamed array should match the pasted array, got ${result.arrayCount} of ${result.itemCount} entries`);
+    }
+    if (result.beforeSecondBatch !== 1 || result.streamedTotal !== result.itemCount) {
+        throw new Error(`Array elements should be parsed as they close, got ${result.beforeSecondBatch} before the second batch`);
+    }
+    if (result.truncatedCount !== result.itemCount || result.truncatedRepaired !== 1) {
+        throw new Error(`Truncated array should keep closed elements and repair the open one, got ${JSON.stringify(result)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Large captures
+// Min/max over every value used to spread arrays into Math.min/Math.max, which
+// overflows the call stack above roughly 125k values
+// =============================================================================
+test('Large captures: 200k entries analyze without overflowing the call stack', async () => {
+    const result = await page.evaluate(() => {
+        const diagnostics = [];
+        for (let i = 0; i < 200000; i++) {
+            diagnostics.push({
+                name: 'ReadItem',
+                duration: 100 + (i % 1000),
+                startTime: new Date(Date.UTC(2026, 0, 29, 10, 0, 0, i * 10)).toISOString(),
+                data: {},
+                children: []
+            });
+        }
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const [bucket] = analysis.operationBuckets;
+
+        return {
+            count: bucket.count,
+            min: bucket.min,
+            max: bucket.max,
+            heatmapCount: analysis.clientConfig.heatmapData.data.reduce((sum, [, , count]) => sum + count, 0)
+        };
+    });
+
+    if (result.count !== 99800 || result.min !== 601 || result.max !== 1099) {
+        throw new Error(`Unexpected high-latency bucket: ${JSON.stringify(result)}`);
+    }
+    if (result.heatmapCount !== 200000) {
+        throw new Error(`Heatmap should count every entry, got ${result.heatmapCount}`);
+    }
+});
+
+// =============================================================================
+// TEST: Raw JSON of fast entries
+// Entries at or below the threshold keep only a prefix of their JSON so memory doesn't
+// grow with the capture; duplicates are still matched on the full line
+// =============================================================================
+test('Large captures: fast entries keep a JSON prefix, slow and first entries keep it whole', async () => {
+    const result = await page.evaluate(async () => {
+        const padding = 'x'.repeat(6000);
+        const line = (duration, second, tail = '') => JSON.stringify({
+            name: 'ReadItem',
+            duration,
+            startTime: `2026-01-29T10:00:0${second}Z`,
+            padding: padding + tail
+        });
+        const text = [
+            line(10, 1),
+            line(20, 2),
+            line(900, 3),
+            line(20, 2),
+            line(20, 4, 'y')
+        ].join('\n');
+
+        const analysis = await new AnalysisPipeline().run({ sources: [{ name: 'big.jsonl', text }], threshold: 600, dedupe: true });
+        return {
+            lengths: analysis.clientConfig.snapshots.map(s => s.rawJson.length),
+            truncated: analysis.clientConfig.snapshots[1].rawJson.endsWith('at or below the latency threshold]'),
+            slowLength: analysis.allHighLatencyDiagnostics[0].rawJson.length,
+            removed: analysis.duplicates.items.map(d => `${d.lineNumber}=${d.keptLineNumber}`),
+            limit: AnalysisPipeline.MAX_FAST_RAW_JSON_LENGTH
+        };
+    });
+
+    const [first, fast, slow, fastTail] = result.lengths;
+    if (first < 6000 || slow < 6000 || result.slowLength !== slow) {
+        throw new Error(`First and slow entries should keep their full JSON: ${JSON.stringify(result)}`);
+    }
+    if (fast >= 6000 || fastTail >= 6000 || fast <= result.limit || !result.truncated) {
+        throw new Error(`Fast entries should keep a marked prefix: ${JSON.stringify(result)}`);
+    }
+    if (result.removed.join(',') !== '4=2') {
+        throw new Error(`Duplicates should be matched on the full line before truncation: ${result.removed}`);
+    }
+});
+
+// =============================================================================
+// TEST: Analysis pipeline cancellation
+// The pipeline runs in a worker (or main thread fallback); an aborted signal must
+// stop the run with an AbortError instead of producing a result
+// =============================================================================
+test('Analysis pipeline: runs text input and stops with AbortError when cancelled', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file sample-diagnostics.jsonl not found');
+    }
+    
+    const result = await page.evaluate(async (content) => {
+        const pipeline = new AnalysisPipeline();
+        const completed = await pipeline.run({ sources: [{ name: 'sample', text: content }], threshold: 600 });
+        
+        const controller = new AbortController();
+        controller.abort();
+        let cancelError = null;
+        try {
+            await pipeline.run({ sources: [{ name: 'sample', text: content }], threshold: 600 }, null, controller.signal);
+        } catch (e) {
+            cancelError = e.name;
+        }
+        
+        return {
+            parsedEntries: completed.parsedEntries,
+            totalEntries: completed.totalEntries,
+            cancelError
+        };
+    }, sampleData);
+    
+    if (!result.parsedEntries || result.parsedEntries !== result.totalEntries) {
+        throw new Error(`Expected parsed entries to be recorded on the result, got ${result.parsedEntries}`);
+    }
+    
+    if (result.cancelError !== 'AbortError') {
+        throw new Error(`Expected AbortError for a cancelled run, got ${result.cancelError}`);
+    }
+});
+
+// =============================================================================
+// TEST: Multi-source merged analysis
+// Several files are parsed and merged into one analysis; every entry keeps its
+// source name and the result has one breakdown row per source
+// =============================================================================
+test('Multi-source analysis: merges sources and tags entries with their source', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    const exceptionData = loadFixture('sample-with-exceptions.jsonl');
+    if (!sampleData || !exceptionData) {
+        throw new Error('Fixture files not found');
+    }
+    
+    const result = await page.evaluate(async (first, second) => {
+        const pipeline = new AnalysisPipeline();
+        const merged = await pipeline.run({
+            sources: [
+                { name: 'pod-a.jsonl', text: first },
+                { name: 'pod-b.jsonl', text: second },
+                { name: 'empty.jsonl', text: 'not json' }
+            ],
+            threshold: 100
+        });
+        
+        return {
+            totalEntries: merged.totalEntries,
+            isSingleEntry: merged.isSingleEntry,
+            breakdown: merged.sourceBreakdown.map(r => ({ source: r.source, count: r.count, failed: r.failed })),
+            entrySources: [...new Set(merged.allHighLatencyDiagnostics.map(e => e.source))].sort(),
+            untaggedInteractions: merged.networkInteractions.filter(n => !n.source).length
+        };
+    }, sampleData, exceptionData);
+    
+    if (result.totalEntries !== 6) {
+        throw new Error(`Expected 6 merged entries, got ${result.totalEntries}`);
+    }
+    
+    if (result.isSingleEntry) {
+        throw new Error('Merged multi-source input must not be treated as a single entry');
+    }
+    
+    const sources = result.breakdown.map(r => r.source).join(',');
+    if (sources !== 'pod-a.jsonl,pod-b.jsonl,empty.jsonl') {
+        throw new Error(`Unexpected source breakdown rows: ${sources}`);
+    }
+    
+    const empty = result.breakdown.find(r => r.source === 'empty.jsonl');
+    if (empty.count !== 0 || empty.failed !== 1) {
+        throw new Error(`Expected empty.jsonl row with 0 entries and 1 failure, got ${JSON.stringify(empty)}`);
+    }
+    
+    if (result.entrySources.join(',') !== 'pod-a.jsonl,pod-b.jsonl') {
+        throw new Error(`Expected entries tagged with both sources, got ${result.entrySources.join(',')}`);
+    }
+    
+    if (result.untaggedInteractions !== 0) {
+        throw new Error(`${result.untaggedInteractions} network interactions are missing their source`);
+    }
+});
+
+// =============================================================================
+// TEST: Compressed input
+// .gz files and zip members are decoded in the page and routed by extension;
+// unsupported members and folders inside the zip are skipped
+// =============================================================================
+test('Compressed input: gzip files and zip members parse like plain JSONL', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    const bundlePath = path.join(FIXTURES_DIR, 'sample-bundle.zip');
+    if (!sampleData || !fs.existsSync(bundlePath)) {
+        throw new Error('Fixture files not found');
+    }
+    const bundleBase64 = fs.readFileSync(bundlePath).toString('base64');
+
+    // Zip holding .jsonl.gz members, one stored and one deflated (CRCs are not checked by the reader)
+    const zlib = require('zlib');
+    const gz = zlib.gzipSync(sampleData);
+    const members = [['a.jsonl.gz', 0, gz], ['b.jsonl.gz', 8, zlib.deflateRawSync(gz)]];
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, method, data] of members) {
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(gz.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(gz.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, Buffer.from(name), data);
+        centrals.push(central, Buffer.from(name));
+        offset += 30 + name.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(members.length, 8);
+    end.writeUInt16LE(members.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    const gzZipBase64 = Buffer.concat([...locals, directory, end]).toString('base64');
+    
+    const result = await page.evaluate(async (content, zipBase64, gzZipBase64) => {
+        const gzipped = await new Response(
+            new Blob([content]).stream().pipeThrough(new CompressionStream('gzip'))
+        ).blob();
+        const zipBytes = Uint8Array.from(atob(zipBase64), c => c.charCodeAt(0));
+        
+        const pipeline = new AnalysisPipeline();
+        const plain = await pipeline.run({ sources: [{ name: 'sample.jsonl', text: content }], threshold: 100 });
+        const gz = await pipeline.run({
+            sources: [{ name: 'sample.jsonl.gz', file: new File([gzipped], 'sample.jsonl.gz') }],
+            threshold: 100
+        });
+const zip = await pipeline.run({
+            sources: [{ name: 'bundle.zip', file: new File([zipBytes], 'bundle.zip') }],
+            threshold: 100
+        });
+        const gzZipBytes = Uint8Array.from(atob(gzZipBase64), c => c.charCodeAt(0));
+        const gzZip = await pipeline.run({
+            sources: [{ name: 'gz.zip', file: new File([gzZipBytes], 'gz.zip') }],
+            threshold: 100
+        });
+        
+        return {
+            plainEntries: plain.totalEntries,
+            gzEntries: gz.totalEntries,
+            gzP99: gz.operationBuckets[0]?.p99,
+            plainP99: plain.operationBuckets[0]?.p99,
+            zipEntries: zip.totalEntries,
+            zipSources: zip.sourceBreakdown.map(r => `${r.source}:${r.count}`),
+            gzZipSources: gzZip.sourceBreakdown.map(r => `${r.source}:${r.count}`),
+            gzZipFailed: gzZip.failedEntries
+        };
+    }, sampleData, bundleBase64, gzZipBase64);
+    
+    if (result.gzEntries !== result.plainEntries || result.gzP99 !== result.plainP99) {
+        throw new Error(`Gzip analysis differs from plain text: ${result.gzEntries} vs ${result.plainEntries} entries`);
+    }
+    
+    const expected = 'bundle.zip/logs/sample-diagnostics.jsonl:3,bundle.zip/logs/sample-with-exceptions.jsonl:3';
+    if (result.zipSources.join(',') !== expected) {
+        throw new Error(`Unexpected zip members: ${result.zipSources.join(',')}`);
+    }
+    
+    if (result.zipEntries !== 6) {
+        throw new Error(`Expected 6 entries from zip, got ${result.zipEntries}`);
+    }
+
+    if (result.gzZipSources.join(',') !== 'gz.zip/a.jsonl.gz:3,gz.zip/b.jsonl.gz:3' || result.gzZipFailed !== 0) {
+        throw new Error(`.gz zip members should be gunzipped, got ${result.gzZipSources.join(',')} with ${result.gzZipFailed} failures`);
+    }
+});
+
+// =============================================================================
+// TEST: Diagnostics embedded in application log lines
+// Prefixed text logs, JSON envelopes with an escaped message field and escaped
+// JSON in text logs all yield the diagnostics object plus log metadata
+// =============================================================================
+test('Log line extraction: finds diagnostics behind prefixes and inside message fields', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const [first, second, third] = sampleData.split('\n').filter(l => l.trim());
+    const escaped = JSON.stringify(third).slice(1, -1);
+    const logLines = [
+        `2026-01-26 17:43:06 WARN CosmosDiagnostics: ${first}`,
+        JSON.stringify({ timestamp: '2026-01-26T17:43:07Z', level: 'Warning', message: `CosmosDiagnostics: ${second}` }),
+        `[thread-{1}] 2026-01-26 17:43:08 ERROR message="${escaped}" elapsed=12`,
+        `2026-01-26 17:43:09 WARN CosmosDiagnostics: ${first.substring(0, first.lastIndexOf('",', first.length / 2) + 1)}`
+    ].join('\n');
+    
+    const result = await page.evaluate((plain, logs) => {
+        const expected = new JsonParser().parseLines(plain);
+        const parser = new JsonParser();
+        const entries = parser.parseLines(logs);
+        return {
+            expectedDurations: expected.map(e => e.duration),
+            durations: entries.map(e => e.duration),
+            logs: entries.map(e => e._log),
+            stats: parser.getStats()
+        };
+    }, sampleData, logLines);
+    
+    if (result.durations.length !== 4) {
+        throw new Error(`Expected 4 entries from log lines, got ${result.durations.length}`);
+    }
+    
+    const [d1, d2, d3] = result.expectedDurations;
+    if (result.durations.slice(0, 3).join(',') !== [d1, d2, d3].join(',')) {
+        throw new Error(`Extracted durations ${result.durations.join(',')} do not match ${[d1, d2, d3].join(',')}`);
+    }
+    
+    if (result.stats.repaired !== 1 || result.stats.failed !== 0) {
+        throw new Error(`Expected only the truncated line to be repaired, got ${JSON.stringify(result.stats)}`);
+    }
+    
+    const [text, envelope, escapedLog] = result.logs;
+    if (text.timestamp !== '2026-01-26 17:43:06' || text.level !== 'WARN' || text.prefix !== '2026-01-26 17:43:06 WARN CosmosDiagnostics') {
+        throw new Error(`Unexpected text log metadata: ${JSON.stringify(text)}`);
+    }
+    
+    if (envelope.timestamp !== '2026-01-26T17:43:07Z' || envelope.level !== 'Warning') {
+        throw new Error(`Unexpected envelope metadata: ${JSON.stringify(envelope)}`);
+    }
+    
+    if (escapedLog.level !== 'ERROR' || escapedLog.prefix !== '[thread-{1}] 2026-01-26 17:43:08 ERROR message') {
+        throw new Error(`Unexpected escaped log metadata: ${JSON.stringify(escapedLog)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Java SDK v4 diagnostics
+// Java CosmosDiagnostics are adapted to the normalized shape, so they produce
+// operation buckets, status-code groups, transport events and timeline data
+// =============================================================================
+test('Java SDK v4 schema: produces buckets, status groups and timeline data', async () => {
+    const javaData = loadFixture('sample-java-diagnostics.jsonl');
+    if (!javaData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate((content) => {
+        const parser = new JsonParser();
+        const entries = parser.parseLines(content);
+        const analysis = new Analyzer().analyze(entries, 600);
+        return {
+            parsed: entries.length,
+            buckets: analysis.operationBuckets.map(b => `${b.name}:${b.count}`),
+            directCalls: analysis.operationBuckets[0]?.maxNwCount,
+            statusGroups: analysis.statusCodeGroups.map(g => `${g.key}:${g.count}`).sort(),
+            transportEvents: analysis.transportEventGroups.map(g => `${g.status}/${g.phaseDetails[0].phase}`),
+            exceptions: analysis.transportExceptionGroups.map(g => g.key),
+            timelineHasData: Timeline.init(entries[0]._rawJson)
+        };
+    }, javaData);
+    
+    if (result.parsed !== 3) {
+        throw new Error(`Expected 3 Java entries, got ${result.parsed}`);
+    }
+    
+    if (result.buckets.join(',') !== 'Read Document:2') {
+        throw new Error(`Unexpected operation buckets: ${result.buckets.join(',')}`);
+    }
+    
+    if (result.directCalls !== 2) {
+        throw new Error(`Expected 2 direct calls for the retried read, got ${result.directCalls}`);
+    }
+    
+    if (result.statusGroups.join(',') !== '200 → Unknown:2,410 → Unknown:1') {
+        throw new Error(`Unexpected status code groups: ${result.statusGroups.join(',')}`);
+    }
+    
+    if (result.transportEvents.join(',') !== 'Completed/Transit Time') {
+        throw new Error(`Expected Java timeline events mapped to Completed/Transit Time, got ${result.transportEvents.join(',')}`);
+    }
+    
+    if (result.exceptions.join(',') !== 'Channel is closed') {
+        throw new Error(`Expected the 410 exception message as transport exception, got ${result.exceptions.join(',')}`);
+    }
+    
+    if (!result.timelineHasData) {
+        throw new Error('Timeline found no requests in Java diagnostics');
+    }
+});
+
+// =============================================================================
+// TEST: Node.js SDK diagnostics
+// @azure/cosmos gateway round trips and failed retry attempts become network
+// interactions, so throttled retries show up in the status-code groups
+// =============================================================================
+test('Node.js SDK schema: gateway calls and retries appear in groups and timeline', async () => {
+    const nodeData = loadFixture('sample-node-diagnostics.jsonl');
+    if (!nodeData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate((content) => {
+        const entries = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(entries, 600);
+        return {
+            parsed: entries.length,
+            buckets: analysis.operationBuckets.map(b => `${b.name}:${b.count}`).sort(),
+            gatewayCalls: entries.map(e => Object.values(e.Summary.GatewayCalls).reduce((a, b) => a + b, 0)),
+            firstStartTime: entries[0].startTime,
+            statusGroups: analysis.statusCodeGroups.map(g => `${g.key}:${g.count}`).sort(),
+            resourceGroups: analysis.resourceTypeGroups.map(g => g.key),
+            timelineHasData: Timeline.init(entries[0]._rawJson)
+        };
+    }, nodeData);
+    
+    if (result.parsed !== 3) {
+        throw new Error(`Expected 3 Node.js entries, got ${result.parsed}`);
+    }
+    
+    if (result.buckets.join(',') !== 'Query Document:1,Read Document:1') {
+        throw new Error(`Unexpected operation buckets: ${result.buckets.join(',')}`);
+    }
+    
+    if (result.gatewayCalls.join(',') !== '2,1,1') {
+        throw new Error(`Expected the throttled attempt counted as a gateway call, got ${result.gatewayCalls.join(',')}`);
+    }
+    
+    if (result.firstStartTime !== '2026-01-26T17:43:06.000Z') {
+        throw new Error(`Unexpected start time: ${result.firstStartTime}`);
+    }
+    
+    // Both buckets have one entry; the first (by count, then order) is the retried query
+    if (result.statusGroups.join(',') !== '200 → Unknown:1,429 → 3200:1') {
+        throw new Error(`Unexpected status code groups: ${result.statusGroups.join(',')}`);
+    }
+    
+    if (result.resourceGroups.join(',') !== 'Document → Query') {
+        throw new Error(`Unexpected resource groups: ${result.resourceGroups.join(',')}`);
+    }
+    
+    if (!result.timelineHasData) {
+        throw new Error('Timeline found no requests in Node.js diagnostics');
+    }
+});
+
+// =============================================================================
+// TEST: Excel/CSV sheet and column selection
+// The diagnostics column is detected behind a header row and selected extra
+// columns are kept as per-entry metadata that can be grouped on
+// =============================================================================
+test('Excel column selection: detects the diagnostics column and keeps metadata columns', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate(async (content) => {
+        const rows = [['timestamp', 'cloud_RoleInstance', 'customDimensions.Diagnostics', 'operation_Id']];
+        content.split('\n').filter(l => l.trim()).forEach((line, i) => {
+            rows.push([`2026-01-26 17:43:0${i}`, i === 0 ? 'pod-a' : 'pod-b', line, `op-${i}`]);
+        });
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['notes']]), 'Readme');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Export');
+        const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+        
+        const info = new ExcelParser().getSheetInfo(buffer);
+        const analysis = await new AnalysisPipeline().run({
+            sources: [{ name: 'export.xlsx', file: new File([buffer], 'export.xlsx') }],
+            threshold: 100,
+            excelOptions: { sheetName: 'Export', metadataColumns: ['cloud_RoleInstance', 'operation_Id'] }
+        });
+        
+        return {
+            sheets: info.sheets.map(s => `${s.name}:${s.hasHeader}:${s.diagnosticsColumn}`),
+            headers: info.sheets[1].headers,
+            totalEntries: analysis.totalEntries,
+            metadata: analysis.allHighLatencyDiagnostics.map(e => e.metadata),
+            groupColumns: analysis.metadataGroups.map(g => g.column),
+            roleGroups: (analysis.metadataGroups.find(g => g.column === 'cloud_RoleInstance')?.groups || [])
+                .map(g => `${g.key}:${g.count}`)
+        };
+    }, sampleData);
+    
+    if (result.sheets.join(',') !== 'Readme:false:0,Export:true:2') {
+        throw new Error(`Unexpected sheet detection: ${result.sheets.join(',')}`);
+    }
+    
+    if (result.headers[2] !== 'customDimensions.Diagnostics') {
+        throw new Error(`Unexpected headers: ${result.headers.join(',')}`);
+    }
+    
+    if (result.totalEntries !== 3) {
+        throw new Error(`Expected 3 entries from the Export sheet, got ${result.totalEntries}`);
+    }
+    
+    if (result.metadata.some(m => !m || !m.cloud_RoleInstance || !m.operation_Id || 'timestamp' in m)) {
+        throw new Error(`Entries are missing selected metadata: ${JSON.stringify(result.metadata)}`);
+    }
+    
+    if (result.roleGroups.join(',') !== 'pod-b:2,pod-a:1') {
+        throw new Error(`Unexpected cloud_RoleInstance groups: ${result.roleGroups.join(',')}`);
+    }
+});
+
+// =============================================================================
+// TEST: Parsing issues report and re-run with fixed lines
+// Failed and repaired lines are reported with error position, snippet and repair
+// diff; re-running with an edited line brings the entry back into the analysis
+// =============================================================================
+test('Parsing issues: failed and repaired lines are reported and can be fixed', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate(async (content) => {
+        const lines = content.split('\n').filter(l => l.trim());
+        const broken = lines[1].replace('"duration in milliseconds":', '"duration in milliseconds":@@');
+        const truncated = lines[2].slice(0, lines[2].lastIndexOf('",', lines[2].length / 2) + 1);
+        const text = [lines[0], broken, truncated].join('\n');
+        
+        const pipeline = new AnalysisPipeline();
+        const first = await pipeline.run({ sources: [{ name: 'pasted', text }], threshold: 0 });
+        const html = new ReportGenerator().generate(first);
+        const fixed = await pipeline.run({
+            sources: [{ name: 'pasted', text }],
+            threshold: 0,
+            lineOverrides: [{ source: 'pasted', lineNumber: 2, text: lines[1] }]
+        });
+        
+        return {
+            issues: first.parseIssues.map(i => ({
+                line: i.lineNumber, status: i.status, source: i.source,
+                at: i.snippet && i.snippet.at, position: i.position,
+                expected: broken.trim().indexOf('@@'), hasRepair: !!i.repair
+            })),
+            failed: first.failedEntries,
+            hasSection: html.includes('Parsing Issues') && html.includes('<mark>@</mark>'),
+            fixedFailed: fixed.failedEntries,
+            fixedIssues: fixed.parseIssues.map(i => `${i.lineNumber}:${i.status}`),
+            fixedTotal: fixed.totalEntries
+        };
+    }, sampleData);
+    
+    const failed = result.issues.find(i => i.status === 'failed');
+    if (!failed || failed.line !== 2 || failed.source !== 'pasted' || failed.at !== '@' || failed.position !== failed.expected) {
+        throw new Error(`Unexpected failed issue: ${JSON.stringify(result.issues)}`);
+    }
+    
+    const repaired = result.issues.find(i => i.status === 'repaired');
+    if (!repaired || repaired.line !== 3 || !repaired.hasRepair) {
+        throw new Error(`Expected line 3 to be reported as repaired with a diff: ${JSON.stringify(result.issues)}`);
+    }
+    
+    if (!result.hasSection) {
+        throw new Error('Report is missing the parsing issues section');
+    }
+    
+    if (result.fixedFailed !== 0 || result.fixedTotal !== 3 || result.fixedIssues.join(',') !== '3:repaired') {
+        throw new Error(`Re-run with the fixed line should parse it: failed=${result.fixedFailed}, total=${result.fixedTotal}, issues=${result.fixedIssues}`);
+    }
+});
+
+// =============================================================================
+// TEST: Tolerant truncated-JSON repair
+// Truncation inside literals, numbers, escapes, dangling keys and right after an
+// opening bracket recovers the longest valid prefix, names the dropped fields and
+// reports every container the repair closed as truncated
+// =============================================================================
+test('Truncated JSON repair: recovers literals, escapes and dangling keys and reports dropped fields', async () => {
+    const sampleData = loadFixture('sample-diagnostics.jsonl');
+    if (!sampleData) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate((content) => {
+        const parser = new JsonParser();
+        const cases = {
+            keyword: '{"a":1,"ok":tru',
+            nullKeyword: '{"a":[nul',
+            number: '{"a":1,"b":-12.',
+            escape: '{"a":"x\\u00',
+            danglingKey: '{"a":[{"b":[{"c":1,"d":',
+            afterBracket: '{"a":1,"list":[',
+            arrayComma: '{"a":1,"b":[1,2,',
+            objectComma: '{"b":{"c":"x",',
+            garbage: '{"a":@,"b":1}'
+        };
+        const repairs = {};
+        for (const [name, json] of Object.entries(cases)) {
+            const repair = parser.repairJson(json);
+            repairs[name] = repair && { json: repair.json, dropped: repair.dropped, truncated: repair.truncated };
+        }
+        
+        // Every cut point of a real line parses as a repaired entry
+        const line = content.split('\n')[0].trim();
+        let unrepaired = 0;
+        for (let cut = 1; cut < line.length; cut += 7) {
+            const entry = parser.parseLine(line.slice(0, cut));
+            if (!entry || !entry._wasRepaired) unrepaired++;
+        }
+        return { repairs, unrepaired };
+    }, sampleData);
+    
+    const expected = {
+        keyword: { json: '{"a":1,"ok":true}', dropped: [], truncated: [] },
+        nullKeyword: { json: '{"a":[null]}', dropped: [], truncated: ['a'] },
+        number: { json: '{"a":1}', dropped: ['b'], truncated: [] },
+        escape: { json: '{"a":"x"}', dropped: [], truncated: ['a'] },
+        danglingKey: { json: '{"a":[{"b":[{"c":1}]}]}', dropped: ['a[0].b[0].d'], truncated: ['a', 'a[0]', 'a[0].b', 'a[0].b[0]'] },
+        afterBracket: { json: '{"a":1,"list":[]}', dropped: [], truncated: ['list'] },
+        arrayComma: { json: '{"a":1,"b":[1,2]}', dropped: [], truncated: ['b'] },
+        objectComma: { json: '{"b":{"c":"x"}}', dropped: [], truncated: ['b'] },
+        garbage: null
+    };
+    for (const [name, value] of Object.entries(expected)) {
+        if (JSON.stringify(result.repairs[name]) !== JSON.stringify(value)) {
+            throw new Error(`${name}: expected ${JSON.stringify(value)}, got ${JSON.stringify(result.repairs[name])}`);
+        }
+    }
+    
+    if (result.unrepaired !== 0) {
+        throw new Error(`${result.unrepaired} truncated prefixes of a real line could not be repaired`);
+    }
+});
+
+// =============================================================================
+// TEST: Unified diagnostics schema model
+// Casing variants are resolved once by DiagnosticsSchema, and every SDK payload
+// is read into the same versioned model
+// =============================================================================
+test('Diagnostics schema: casing variants and all SDKs read into one versioned model', async () => {
+    const fixtures = ['sample-diagnostics.jsonl', 'sample-java-diagnostics.jsonl', 'sample-node-diagnostics.jsonl']
+        .map(name => loadFixture(name));
+    if (fixtures.some(f => !f)) {
+        throw new Error('Fixture file not found');
+    }
+    
+    const result = await page.evaluate((fixtures) => {
+        const schema = new DiagnosticsSchema();
+        const pascal = {
+            name: 'ReadItemAsync',
+            'start datetime': '2026-01-26T17:43:06.706Z',
+            'duration in milliseconds': 700,
+            Summary: { DirectCalls: { '(200, 0)': 2 } },
+            data: { ClientConfiguration: { MachineId: 'vm-1', ConnectionMode: 'Direct' } },
+            children: [{
+                name: 'Transport',
+                data: {
+                    ClientSideRequestStats: {
+                        SystemInfo: { SystemHistory: [{ DateUtc: '2026-01-26T17:43:00Z', Cpu: 42, Memory: 1048576,
+                            ThreadInfo: { ThreadWaitIntervalInMs: 3 }, NumberOfOpenTcpConnection: 7 }] },
+                        'Store Response Statistics': [{
+                            ResourceType: 'Document', OperationType: 'Read', DurationInMs: 650,
+                            'Store Result': {
+                                StatusCode: 200, SubStatusCode: 0, BELatencyInMs: '1.2',
+                                StorePhysicalAddress: 'rntbd://node/p/1/r/2p/',
+                                TransportRequestTimeline: { RequestTimeline: [
+                                    { Event: 'Created', StartTimeUtc: '2026-01-26T17:43:06.706Z', DurationInMs: 600 }
+                                ] }
+                            }
+                        }]
+                    }
+                }
+            }]
+        };
+        const model = schema.read(schema.normalize(pascal));
+        const models = fixtures.map(text => schema.fromJson(text.split('\n')[0]));
+        
+        return {
+            version: model.schemaVersion === DiagnosticsSchema.VERSION,
+            operation: model.operation,
+            store: model.storeResults.map(s => `${s.span}:${s.operationType}:${s.statusCode}:${s.durationInMs}:${s.events.map(e => e.event)}`),
+            snapshots: model.systemSnapshots.map(s => `${s.cpu}:${s.memoryBytes}:${s.threadWaitMs}:${s.tcpConnections}`),
+            clientConfig: model.clientConfig,
+            sdkModels: models.map(m => `${m.schemaVersion}:${m.operation.durationInMs > 0}:${m.storeResults.length > 0}`)
+        };
+    }, fixtures);
+    
+    if (!result.version || result.operation.name !== 'ReadItemAsync' || result.operation.durationInMs !== 700 ||
+        result.operation.directCalls !== 2 || !result.operation.startTime) {
+        throw new Error(`Unexpected operation: ${JSON.stringify(result.operation)}`);
+    }
+    
+    if (result.store.join(',') !== 'Transport:Read:200:650:Created') {
+        throw new Error(`Unexpected store results: ${result.store}`);
+    }
+    
+    if (result.snapshots.join(',') !== '42:1048576:3:7') {
+        throw new Error(`Unexpected system snapshots: ${result.snapshots}`);
+    }
+    
+    if (result.clientConfig?.machineId !== 'vm-1' || result.clientConfig.connectionMode !== 'Direct') {
+        throw new Error(`Unexpected client config: ${JSON.stringify(result.clientConfig)}`);
+    }
+    
+    if (result.sdkModels.some(m => m !== '1:true:true')) {
+        throw new Error(`SDK fixtures did not read into complete models: ${result.sdkModels}`);
+    }
+});
+
+// =============================================================================
+// TEST: Deduplication across overlapping captures
+// Repeated entries are dropped by ActivityId, DistributedTraceId + start time or
+// identical content, and the removed lines are listed with the line they repeat
+// =============================================================================
+test('Deduplication: repeated entries are removed by ActivityId, trace id + start time or content', async () => {
+    const dotnet = loadFixture('sample-diagnostics.jsonl');
+    const java = loadFixture('sample-java-diagnostics.jsonl');
+    if (!dotnet || !java) {
+        throw new Error('Fixture file not found');
+    }
+    // .NET records the ActivityId only on the store result; no trace id, and the second copy is re-indented
+    const compact = dotnetEntry({ duration: 700, stores: [storeResponse(690, { ActivityId: 'a5b6c7d8-0000-4000-8000-000000000001' })] });
+    const reformatted = JSON.stringify(JSON.parse(compact), null, 2).replace(/\n\s*/g, ' ');
+    
+    const result = await page.evaluate(async (dotnet, java, compact, reformatted) => {
+        const plain = '{"name":"ReadItem","duration in milliseconds":700}';
+        const traced = '{"name":"ReadItem","duration in milliseconds":700,"start datetime":"2026-01-29T10:00:00Z","data":{"DistributedTraceId":"trace-1"}}';
+        const sources = [
+            { name: 'run1.jsonl', text: dotnet },
+            { name: 'run2.jsonl', text: dotnet },
+            { name: 'java.jsonl', text: java + '\n' + java },
+            { name: 'plain.jsonl', text: plain + '\n' + plain },
+            { name: 'reformatted.jsonl', text: compact + '\n' + reformatted },
+            { name: 'traced.jsonl', text: traced + '\n' + traced.replace(/,/g, ', ') }
+        ];
+        const pipeline = new AnalysisPipeline();
+        const all = await pipeline.run({ sources, threshold: 0 });
+        const deduped = await pipeline.run({ sources, threshold: 0, dedupe: true });
+        const html = new ReportGenerator().generate(deduped);
+        
+        return {
+            allTotal: all.totalEntries,
+            allDuplicates: all.duplicates,
+            total: deduped.totalEntries,
+            parsed: deduped.parsedEntries,
+            removed: deduped.duplicates.removed,
+            byKey: deduped.duplicates.byKey,
+            first: deduped.duplicates.items[0],
+            reformatted: deduped.duplicates.items.find(item => item.source === 'reformatted.jsonl'),
+            bucketCounts: deduped.operationBuckets.reduce((sum, b) => sum + b.count, 0),
+            hasSection: html.includes('Duplicates Removed (9)')
+        };
+    }, dotnet, java, compact, reformatted);
+    
+    if (result.allTotal !== 18 || result.allDuplicates !== null) {
+        throw new Error(`Without dedupe all entries should be kept: ${result.allTotal}`);
+    }
+    
+    if (result.total !== 9 || result.parsed !== 18 || result.removed !== 9 || result.bucketCounts !== 9) {
+        throw new Error(`Expected 9 unique of 18 parsed entries, got total=${result.total}, parsed=${result.parsed}, removed=${result.removed}, buckets=${result.bucketCounts}`);
+    }
+    
+    if (result.byKey.traceId !== 1 || result.byKey.activityId !== 7 || result.byKey.content !== 1) {
+        throw new Error(`Unexpected match breakdown: ${JSON.stringify(result.byKey)}`);
+    }
+    
+    const first = result.first;
+    if (first.source !== 'run2.jsonl' || first.lineNumber !== 1 || first.matchedOn !== 'activityId' ||
+        first.key !== 'da78cbff-706d-435f-8df9-d524b66c4e8f' || first.keptSource !== 'run1.jsonl' || first.keptLineNumber !== 1) {
+        throw new Error(`Unexpected first duplicate: ${JSON.stringify(first)}`);
+    }
+    
+    const reformattedItem = result.reformatted;
+    if (!reformattedItem || reformattedItem.lineNumber !== 2 || reformattedItem.matchedOn !== 'activityId' || reformattedItem.keptLineNumber !== 1) {
+        throw new Error(`A re-indented copy of a .NET entry should match on its store result ActivityId: ${JSON.stringify(reformattedItem)}`);
+    }
+    
+    if (!result.hasSection) {
+        throw new Error('Report is missing the duplicates section');
+    }
+});
+
+// =============================================================================
+// TEST: Reservoir sampling
+// Uniform mode keeps a fixed-size sample; threshold mode keeps every entry above
+// the threshold and samples the rest. Streamed (gzip) input is sampled as it is read.
+// Duplicates are dropped before sampling, so an overlapping capture doesn't shrink the sample.
+// =============================================================================
+test('Sampling: uniform and keep-above-threshold reservoirs with summary caveats, deduplicated first', async () => {
+    const result = await page.evaluate(async () => {
+        const lines = [];
+        for (let i = 0; i < 2000; i++) {
+            lines.push(JSON.stringify({ name: 'ReadItem', 'duration in milliseconds': i, activityId: `a-${i}` }));
+        }
+        const text = lines.join('\n');
+        const gzipped = await new Response(
+            new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))).blob();
+
+        const pipeline = new AnalysisPipeline();
+        const uniform = await pipeline.run({
+            sources: [{ name: 'big.jsonl', text }], threshold: 1500, sampling: { mode: 'uniform', size: 100 }
+        });
+        const kept = await pipeline.run({
+            sources: [{ name: 'big.jsonl.gz', file: gzipped }], threshold: 1500, dedupe: true,
+            sampling: { mode: 'threshold', size: 100 }
+        });
+        const overlapping = await pipeline.run({
+            sources: [{ name: 'run1.jsonl', text }, { name: 'run2.jsonl', text }], threshold: 1500, dedupe: true,
+            sampling: { mode: 'uniform', size: 100 }
+        });
+        const generator = new ReportGenerator();
+        const uniformHtml = generator.generate(uniform);
+        const keptHtml = generator.generate(kept);
+
+        return {
+            uniform: { total: uniform.totalEntries, parsed: uniform.parsedEntries, sampling: uniform.sampling },
+            kept: {
+                total: kept.totalEntries,
+                parsed: kept.parsedEntries,
+                highLatency: kept.highLatencyEntries,
+                sampling: kept.sampling
+            },
+            overlapping: {
+                total: overlapping.totalEntries,
+                parsed: overlapping.parsedEntries,
+                removed: overlapping.duplicates.removed,
+                seen: overlapping.sampling.seen,
+                sampled: overlapping.sampling.sampled
+            },
+            uniformSummary: uniformHtml.includes('Uniform: 100 of 2,000 entries (5.00%)'),
+            uniformCaveat: uniformHtml.includes('±9.80 points at p50'),
+            keptRate: keptHtml.includes('24.95%'),
+            keptCaveat: keptHtml.includes('All 499 entries above 1,500 ms are kept')
+        };
+    });
+
+    const u = result.uniform;
+    if (u.total !== 100 || u.parsed !== 2000 || u.sampling.seen !== 2000 || u.sampling.rate !== 0.05) {
+        throw new Error(`Unexpected uniform sample: ${JSON.stringify(u)}`);
+    }
+    if (!result.uniformSummary || !result.uniformCaveat) {
+        throw new Error('Summary is missing the uniform sampling rate or percentile caveats');
+    }
+
+    const k = result.kept;
+    if (k.parsed !== 2000 || k.highLatency !== 499 || k.total !== 599 ||
+        k.sampling.aboveThreshold !== 499 || k.sampling.poolSeen !== 1501 || k.sampling.poolSampled !== 100) {
+        throw new Error(`Unexpected threshold sample: ${JSON.stringify(k)}`);
+    }
+    if (!result.keptRate || !result.keptCaveat) {
+        throw new Error('Summary should show the exact high latency rate and the threshold caveat');
+    }
+
+    const o = result.overlapping;
+    if (o.parsed !== 4000 || o.removed !== 2000 || o.seen !== 2000 || o.sampled !== 100 || o.total !== 100) {
+        throw new Error(`Duplicates should be dropped before sampling: ${JSON.stringify(o)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Load from URL
+// URL sources are fetched (fetch is stubbed here), parsed while they download and
+// reported with progress; ?src= parameters resolve into URL sources
+// =============================================================================
+test('Load from URL: JSONL and gzip responses stream into the pipeline, ?src= links resolve', async () => {
+    const dotnet = loadFixture('sample-diagnostics.jsonl');
+    if (!dotnet) {
+        throw new Error('Fixture file not found');
+    }
+
+    const result = await page.evaluate(async (dotnet) => {
+        const gzipped = await new Response(
+            new Blob([dotnet]).stream().pipeThrough(new CompressionStream('gzip'))).blob();
+        const responses = {
+            'http://collector.local/captures/run1.jsonl': () => new Response(dotnet, {
+                headers: { 'Content-Length': String(new Blob([dotnet]).size) }
+            }),
+            'http://collector.local/captures/run2': () => new Response(gzipped, {
+                headers: { 'Content-Type': 'application/gzip' }
+            }),
+            // Served with Content-Encoding: fetch hands over the decoded text
+            'http://collector.local/captures/run3.jsonl.gz': () => new Response(dotnet, {
+                headers: { 'Content-Encoding': 'gzip', 'Content-Length': String(gzipped.size) }
+            })
+        };
+        const originalFetch = window.fetch;
+        const requested = [];
+        window.fetch = async url => {
+            requested.push(url);
+            return responses[url] ? responses[url]() : new Response('', { status: 404, statusText: 'Not Found' });
+        };
+
+        try {
+            const sources = UrlReader.sourcesFromQuery(
+                '?src=captures/run1.jsonl&src=http://collector.local/captures/run2',
+                'http://collector.local/index.html');
+            const messages = [];
+            const pipeline = new AnalysisPipeline();
+            const loaded = await pipeline.run({ sources, threshold: 0 }, msg => messages.push(msg));
+
+            const encodedSource = UrlReader.toSource('captures/run3.jsonl.gz', 'http://collector.local/');
+            const [encoded] = await UrlReader.open(encodedSource, () => {});
+            const encodedLoaded = await pipeline.run({ sources: [encodedSource], threshold: 0 });
+
+            let missingError = '';
+            try {
+                await pipeline.run({ sources: [UrlReader.toSource('/missing.jsonl', 'http://collector.local/')], threshold: 0 });
+            } catch (e) {
+                missingError = e.message;
+            }
+            let schemeError = '';
+            try {
+                UrlReader.toSource('file:///tmp/run.jsonl', 'http://collector.local/');
+            } catch (e) {
+                schemeError = e.message;
+            }
+
+            return {
+                sources,
+                requested,
+                total: loaded.totalEntries,
+                breakdown: loaded.sourceBreakdown.map(s => `${s.source}:${s.count}`),
+                downloadProgress: messages.some(m => m.includes('Downloading and parsing') && m.includes('(100%)')),
+                encoded: { encoding: encoded.encoding, size: encoded.size, total: encodedLoaded.totalEntries },
+                missingError,
+                schemeError
+            };
+        } finally {
+            window.fetch = originalFetch;
+        }
+    }, dotnet);
+
+    const expectedUrls = ['http://collector.local/captures/run1.jsonl', 'http://collector.local/captures/run2'];
+    if (JSON.stringify(result.sources.map(s => s.url)) !== JSON.stringify(expectedUrls) ||
+        result.sources[0].name !== 'run1.jsonl' || result.sources[1].name !== 'run2') {
+        throw new Error(`Unexpected sources from ?src=: ${JSON.stringify(result.sources)}`);
+    }
+
+    if (result.total !== 6 || result.breakdown.join(',') !== 'run1.jsonl:3,run2:3') {
+        throw new Error(`Expected 3 entries from each URL, got ${result.total}: ${result.breakdown.join(', ')}`);
+    }
+
+    if (!result.downloadProgress) {
+        throw new Error('Expected download progress messages');
+    }
+
+    if (result.encoded.encoding !== null || result.encoded.size !== 0 || result.encoded.total !== 3) {
+        throw new Error(`A Content-Encoding response is already decoded and its size unknown, got ${JSON.stringify(result.encoded)}`);
+    }
+
+    if (result.missingError !== 'missing.jsonl: HTTP 404 Not Found' || !result.schemeError.includes('http and https')) {
+        throw new Error(`Unexpected errors: "${result.missingError}", "${result.schemeError}"`);
+    }
+});
+
+// =============================================================================
+// TEST: Headless CLI
+// cosmos-diag analyze runs the same modules in Node.js and writes the standalone
+// HTML report and the JSON result
+// =============================================================================
+test('CLI: cosmos-diag analyze writes the standalone HTML report and JSON result', async () => {
+    const cli = path.join(__dirname, '..', 'cli', 'cosmos-diag.js');
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cosmos-diag-'));
+    const htmlPath = path.join(outDir, 'report.html');
+    const jsonPath = path.join(outDir, 'result.json');
+
+    try {
+        execFileSync(process.execPath, [
+            cli, 'analyze',
+            path.join(FIXTURES_DIR, 'sample-diagnostics.jsonl'),
+            path.join(FIXTURES_DIR, 'sample-bundle.zip'),
+            '--threshold', '600', '--out', htmlPath, '--json', jsonPath, '--quiet'
+        ], { timeout: 60000 });
+
+        const html = fs.readFileSync(htmlPath, 'utf-8');
+        const result = JSON.parse(fs.readFileSync(jsonPath, 'utf-8'));
+
+        // Duplicate removal is on by default, as in the page
+        const { totals } = result;
+        if (result.schemaVersion !== 1 || result.threshold !== 600 || totals.analyzed === 0 ||
+            totals.analyzed + totals.duplicatesRemoved !== totals.parsed) {
+            throw new Error(`Unexpected result: schema=${result.schemaVersion}, threshold=${result.threshold}, analyzed=${totals.analyzed}, parsed=${totals.parsed}`);
+        }
+
+        const sources = result.sources.map(s => s.source);
+        if (!sources.includes('sample-diagnostics.jsonl') || !sources.some(s => s.startsWith('sample-bundle.zip/'))) {
+            throw new Error(`Expected entries from both inputs, got ${sources.join(', ')}`);
+        }
+
+        if (!html.startsWith('<!DOCTYPE html>') || !html.includes('Cosmos Diagnostics Analysis Report') ||
+            !html.includes('📊 Summary') || !html.includes('function initCharts')) {
+            throw new Error('HTML is not the standalone report');
+        }
+
+        let exitCode = 0;
+        try {
+            execFileSync(process.execPath, [cli, 'analyze', '--threshold', 'abc'], { timeout: 60000, stdio: 'pipe' });
+        } catch (e) {
+            exitCode = e.status;
+        }
+        if (exitCode !== 2) {
+            throw new Error(`Invalid arguments should exit with 2, got ${exitCode}`);
+        }
+
+        // With a report on stdout, the summary goes to stderr
+        const piped = spawnSync(process.execPath, [
+            cli, 'analyze', path.join(FIXTURES_DIR, 'sample-diagnostics.jsonl'), '--out', '-'
+        ], { timeout: 60000, encoding: 'utf-8' });
+        if (piped.status !== 0 || !piped.stdout.startsWith('<!DOCTYPE html>') || !piped.stdout.trimEnd().endsWith('</html>') ||
+            piped.stdout.includes('entries parsed') || !piped.stderr.includes('entries parsed')) {
+            throw new Error(`--out - should write only the HTML to stdout: status=${piped.status}, stderr=${piped.stderr.slice(-200)}`);
+        }
+    } finally {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    }
+});
+
+// =============================================================================
+// TEST: Library entry points
+// =============================================================================
+test('Library: CommonJS and ES entry points export the engine and a versioned result schema', async () => {
+    const lib = require('../lib/index.cjs');
+    if (typeof global.window !== 'undefined' || typeof global.AnalysisPipeline !== 'undefined') {
+        throw new Error('Loading the library must not add globals');
+    }
+
+    const result = await lib.analyze({
+        sources: [{ name: 'sample-diagnostics.jsonl', text: loadFixture('sample-diagnostics.jsonl') }],
+        threshold: 600
+    });
+
+    if (result.schemaVersion !== lib.RESULT_SCHEMA_VERSION || result.threshold !== 600) {
+        throw new Error(`Unexpected schema version ${result.schemaVersion} or threshold ${result.threshold}`);
+    }
+    if (result.totals.highLatency === 0 || result.totals.highLatency !== result.highLatencyEntries.length) {
+        throw new Error(`High-latency count ${result.totals.highLatency} does not match ${result.highLatencyEntries.length} entries`);
+    }
+
+    const top = result.operations[0];
+    if (!top || result.groups.operation !== top.name || typeof top.latency.p99 !== 'number' ||
+        result.operations.reduce((sum, op) => sum + op.count, 0) !== result.totals.highLatency) {
+        throw new Error('Operations do not add up to the high-latency entries');
+    }
+    if (result.groups.statusCode.length === 0 || result.groups.statusCode.some(g => 'entries' in g)) {
+        throw new Error('Groups should carry key, count and latency only');
+    }
+    const byOperation = result.groups.byOperation;
+    if (byOperation.length !== result.operations.length + 1 || byOperation[0].operation !== null ||
+        byOperation[1].operation !== top.name || byOperation[1].statusCode.length !== result.groups.statusCode.length) {
+        throw new Error('byOperation should list all operations combined, then each operation');
+    }
+    if (!result.systemMetrics || typeof result.systemMetrics.cpu.p90 !== 'number' ||
+        !result.highLatencyEntries.every(e => e.source === 'sample-diagnostics.jsonl' && e.lineNumber > 0)) {
+        throw new Error('System metrics or entry locations are missing');
+    }
+    const charge = result.requestCharge;
+    if (!charge || charge.byPartition.length === 0 || typeof charge.byPartition[0].charge.p99 !== 'number') {
+        throw new Error('Request charge groups should carry RU percentiles');
+    }
+    if (result.groups.partition.length !== byOperation[1].partition.length || result.groups.partition.length === 0) {
+        throw new Error('Top-level partition groups should match the highest count operation');
+    }
+    const connection = result.connectionStats;
+    if (!connection || connection.withStats === 0 || typeof connection.inflightRequests.p99 !== 'number' || connection.correlations.length !== 8) {
+        throw new Error('Connection stats should carry load distributions and correlations');
+    }
+
+    const esm = await import(require('url').pathToFileURL(path.join(__dirname, '..', 'lib', 'index.mjs')).href);
+    if (esm.ResultSchema !== lib.ResultSchema || esm.analyze !== lib.analyze || esm.default !== lib) {
+        throw new Error('ES module entry point should re-export the CommonJS exports');
+    }
+});
+
+// =============================================================================
+// TEST: Per-operation network analysis
+// Issue: Network GroupBy sections only covered the highest count operation.
+// The selected operation is rendered on demand; entry JSON is embedded once.
+// =============================================================================
+test('Operation selector: network groups for every operation and all operations combined', async () => {
+    const result = await page.evaluate(() => {
+        const entry = (name, duration, statusCode, subStatusCode, minute) => ({
+            name,
+            duration,
+            startTime: `2026-01-29T10:0${minute}:00Z`,
+            data: {
+                clientSideRequestStats: {
+                    storeResponseStatistics: [{
+                        resourceType: 'Document',
+                        operationType: name === 'ReadItem' ? 'Read' : 'Query',
+                        durationInMs: duration - 10,
+                        storeResult: {
+                            statusCode,
+                            subStatusCode,
+                            storePhysicalAddress: 'rntbd://cdb-ms-prod-westus1-fd1.documents.azure.com:14301/apps/1/services/2/partitions/3/replicas/4p/',
+                            transportRequestTimeline: {
+                                requestTimeline: [
+                                    { event: 'Created', durationInMs: 1 },
+                                    { event: 'Transit Time', durationInMs: duration - 20 },
+                                    { event: 'Completed', durationInMs: 1 }
+                                ]
+                            }
+                        }
+                    }]
+                }
+            },
+            children: []
+        });
+
+        // Queries dominate the count; the slow point read fails with 410/1002
+        const diagnostics = [
+            entry('QueryItems', 700, 200, 0, 1),
+            entry('QueryItems', 800, 200, 0, 2),
+            entry('QueryItems', 900, 200, 0, 3),
+            entry('ReadItem', 2500, 410, 1002, 4)
+        ];
+        diagnostics.forEach(d => { d._rawJson = JSON.stringify(d); });
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const generator = new ReportGenerator();
+        const html = generator.generate(analysis);
+        const readHtml = generator.generateNetworkSections(analysis.operationAnalyses[2], analysis.threshold);
+
+        // The standalone report renders from the embedded data with its embedded copy of the class
+        const dataJson = html.match(/<script type="application\/json" id="operation-data">(.*?)<\/script>/)[1];
+        const rendererScript = generator.getOperationRendererScript();
+        const EmbeddedGenerator = new Function(`${rendererScript}; return ReportGenerator;`)();
+        const embedded = new EmbeddedGenerator();
+        const data = JSON.parse(dataJson);
+        const standaloneReadHtml = embedded.generateNetworkSections(embedded.expandOperationAnalysis(data, 2), data.threshold);
+        const embeddedIds = new Set([...html.matchAll(/<script type="application\/json" id="(json-\d+)">/g)].map(m => m[1]));
+        const referencedIds = html => [...html.matchAll(/app\.showJson\('(json-\d+)'/g)].map(m => m[1]);
+
+        return {
+            views: analysis.operationAnalyses.map(a => ({
+                operation: a.operation,
+                calls: a.networkInteractions.length,
+                statusCodes: a.statusCodeGroups.map(g => g.key)
+            })),
+            topStatusCodes: analysis.statusCodeGroups.map(g => g.key),
+            options: (html.match(/<option /g) || []).length,
+            hasContainer: html.includes('id="operation-network"'),
+            templates: (html.match(/<template/g) || []).length,
+            jsonScripts: (html.match(/<script type="application\/json" id="json-/g) || []).length,
+            allIdsEmbedded: [...referencedIds(html), ...referencedIds(readHtml), ...referencedIds(standaloneReadHtml)]
+                .every(id => embeddedIds.has(id)),
+            standaloneSwitch: generator.getEmbeddedScripts().includes('selectOperation(') && !html.includes('operation-selector app-only') &&
+                generator.generateStandaloneHtml(html).includes(rendererScript),
+            defaultShowsQuery: html.includes('Network analysis of <strong>QueryItems</strong>'),
+            readHtmlHas410: readHtml.includes('410 → 1002') && !readHtml.includes('200 → 0'),
+            standaloneMatchesApp: standaloneReadHtml === readHtml
+        };
+    });
+
+    const [all, query, read] = result.views;
+    if (result.views.length !== 3 || all.operation !== null || query.operation !== 'QueryItems' || read.operation !== 'ReadItem') {
+        throw new Error(`Expected all operations, QueryItems, ReadItem views, got ${JSON.stringify(result.views)}`);
+    }
+    if (all.calls !== 4 || query.calls !== 3 || read.calls !== 1) {
+        throw new Error(`Unexpected network call counts: ${JSON.stringify(result.views)}`);
+    }
+    if (!read.statusCodes.includes('410 → 1002') || !all.statusCodes.includes('410 → 1002') || result.topStatusCodes.includes('410 → 1002')) {
+        throw new Error(`410/1002 should be in the ReadItem and combined views only: ${JSON.stringify(result.views)}`);
+    }
+    if (result.options !== 3 || !result.hasContainer || !result.defaultShowsQuery || !result.readHtmlHas410 ||
+        result.templates !== 0 || !result.standaloneSwitch || !result.standaloneMatchesApp) {
+        throw new Error(`Report selector or re-rendered sections are wrong: ${JSON.stringify(result)}`);
+    }
+    if (result.jsonScripts !== 4 || !result.allIdsEmbedded) {
+        throw new Error(`Each entry's JSON should be embedded once and every table should point at it: ${JSON.stringify(result)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Regional latency
+// =============================================================================
+test('Regional latency: per-region distribution, cross-region calls and preferred regions', async () => {
+    const endpoint = region => `https://contoso-${region}.documents.azure.com/`;
+    const entry = (duration, regions) => dotnetEntry({
+        duration,
+        data: {
+            'Client Configuration': {
+                MachineId: 'vmId:1',
+                'VM Region': 'westus2',
+                ConsistencyConfig: '(consistency: NotSet, prgns:[West US 2, East US], apprgn: westus2)'
+            }
+        },
+        requestStats: { RegionsContacted: regions.map(endpoint) },
+        stores: regions.map(r => storeResponse(
+            duration / regions.length,
+            { StorePhysicalAddress: rntbdAddress({ host: `cdb-ms-prod-${r}-fd1` }) },
+            { LocationEndpoint: endpoint(r) }
+        ))
+    });
+    const content = [
+        entry(700, ['westus2']),
+        entry(1500, ['westus2', 'eastus']),
+        entry(400, ['northeurope'])
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        // Java names regions ("west us 2"); they normalize to the same key
+        const java = new DiagnosticsSchema().fromJson(JSON.stringify({
+            userAgent: 'azsdk-java-cosmos/4.60.0', requestLatencyInMs: 10, regionsContacted: ['west us 2'], responseStatisticsList: []
+        }));
+
+        return {
+            regional: analysis.regional,
+            javaRegions: java.regions.contacted,
+            hasSection: html.includes('🌍 Regional Latency') && html.includes('id="region-table"'),
+            flagsUnpreferred: html.includes('outside the preferred regions') && html.includes('northeurope')
+        };
+    }, content);
+
+    const { regional } = result;
+    const rows = Object.fromEntries(regional.regions.map(r => [r.region, r]));
+    if (regional.regions.length !== 3 || rows.westus2.count !== 2 || rows.westus2.highLatencyCount !== 2 ||
+        rows.westus2.max !== 1500 || rows.northeurope.p50 !== 400) {
+        throw new Error(`Unexpected per-region rows: ${JSON.stringify(regional.regions)}`);
+    }
+    if (regional.multiRegion.count !== 1 || regional.multiRegion.total !== 3) {
+        throw new Error(`Expected 1 of 3 operations to be multi-region, got ${JSON.stringify(regional.multiRegion)}`);
+    }
+    if (regional.crossRegionCalls.count !== 2 || regional.crossRegionCalls.total !== 4 || rows.westus2.crossRegionCalls !== 0) {
+        throw new Error(`Expected 2 of 4 cross-region calls, got ${JSON.stringify(regional.crossRegionCalls)}`);
+    }
+    if (rows.westus2.preferredRank !== 1 || rows.eastus.preferredRank !== 2 || rows.northeurope.preferredRank !== 0 ||
+        JSON.stringify(regional.unpreferredRegions) !== '["northeurope"]' || JSON.stringify(regional.vmRegions) !== '["westus2"]') {
+        throw new Error(`Unexpected preferred region check: ${JSON.stringify(regional)}`);
+    }
+    if (JSON.stringify(result.javaRegions) !== '["westus2"]') {
+        throw new Error(`Java region names should normalize, got ${JSON.stringify(result.javaRegions)}`);
+    }
+    if (!result.hasSection || !result.flagsUnpreferred) {
+        throw new Error('Report should show the regional section and flag unpreferred regions');
+    }
+});
+
+// =============================================================================
+// TEST: Request charge
+// =============================================================================
+test('Request charge: RU sums, percentiles and RU/KB per operation, resource type and partition with an RU timeline', async () => {
+    // Each call: [OperationType, partition, RequestCharge, response body bytes]
+    const entry = (name, start, duration, calls) => dotnetEntry({
+        name,
+        duration,
+        start,
+        stores: calls.map(([operationType, partition, charge, bytes]) => storeResponse(
+            duration / calls.length,
+            { PartitionKeyRangeId: partition, RequestCharge: charge, TransportRequestTimeline: { responseBodySizeInBytes: bytes } },
+            { OperationType: operationType }
+        ))
+    });
+    const content = [
+        entry('Query', at(10000), 900, [['Query', '1', 100, 10240], ['Query', '2', 50, 5120]]),
+        entry('Query', at(70000), 300, [['Query', '1', 30, 10240]]),
+        entry('ReadItem', at(80000), 700, [['Read', '2', 1, 1024]])
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        return {
+            charge: analysis.requestCharge,
+            hasSection: html.includes('💰 Request Charge (RU)') && html.includes('id="ru-partition-table"'),
+            hasTimeline: html.includes('id="ruTimelineChart"') && html.includes('id="ruTimelineChart-data"')
+        };
+    }, content);
+
+    const { charge } = result;
+    const byKey = rows => Object.fromEntries(rows.map(r => [r.key, r]));
+    const operations = byKey(charge.byOperation);
+    if (charge.totalRu !== 181 || charge.operations !== 3 || charge.byOperation[0].key !== 'Query' ||
+        operations.Query.totalRu !== 180 || operations.Query.max !== 150 || operations.Query.min !== 30) {
+        throw new Error(`Unexpected RU per operation: ${JSON.stringify(charge.byOperation)}`);
+    }
+    const resources = byKey(charge.byResourceType);
+    if (resources['Document → Query'].count !== 3 || resources['Document → Query'].totalRu !== 180 ||
+        resources['Document → Read'].ruPerKb !== 1) {
+        throw new Error(`Unexpected RU per resource type: ${JSON.stringify(charge.byResourceType)}`);
+    }
+    const partitions = byKey(charge.byPartition);
+    if (partitions['1'].totalRu !== 130 || partitions['1'].ruPerKb !== 6.5 || partitions['2'].count !== 2) {
+        throw new Error(`Unexpected RU per partition: ${JSON.stringify(charge.byPartition)}`);
+    }
+    if (JSON.stringify(charge.timeline.totalRu) !== '[150,31]' || JSON.stringify(charge.timeline.maxRu) !== '[150,30]' ||
+        charge.timeline.p99Latency[0] !== 900) {
+        throw new Error(`Unexpected RU timeline: ${JSON.stringify(charge.timeline)}`);
+    }
+    if (!result.hasSection || !result.hasTimeline) {
+        throw new Error('Report should show the request charge section and the RU timeline chart');
+    }
+});
+
+// =============================================================================
+// TEST: Hot partitions
+// =============================================================================
+test('Hot partitions: GroupBy PartitionKeyRangeId with error rate, 429s, RU and outlier flag', async () => {
+    const entry = (duration, partition, statusCode, subStatusCode = 0) => dotnetEntry({
+        duration,
+        stores: [storeResponse(duration, {
+            StatusCode: statusCode,
+            SubStatusCode: subStatusCode,
+            PartitionKeyRangeId: partition,
+            RequestCharge: 1,
+            StorePhysicalAddress: rntbdAddress({ partition })
+        })]
+    });
+    const content = [
+        entry(700, '1', 200), entry(800, '1', 200),
+        // Fast call: counted in the partition statistics, not in the drill-down
+        entry(100, '1', 'Gone', 1002),
+        entry(650, '2', 200), entry(750, '2', 'TooManyRequests', 3200),
+        entry(5000, '3', 200), entry(4000, '3', 'Gone', 1002)
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        return {
+            groups: analysis.operationAnalyses[0].partitionGroups.map(({ entries, ...g }) => ({ ...g, entries: entries.length })),
+            hasSection: html.includes('🧩 GroupBy PartitionKeyRangeId') && html.includes('id="partition-table"'),
+            flagsHot: html.includes('🔥 Hot partition: 3'),
+            hasDrillDown: html.includes(`id="group-${new ReportGenerator().safeId('partition-3')}"`)
+        };
+    }, content);
+
+    const rows = Object.fromEntries(result.groups.map(g => [g.key, g]));
+    if (result.groups.length !== 3 || rows['3'].entries !== 2 || rows['3'].max !== 5000 || rows['1'].totalRu !== 3 ||
+        rows['1'].count !== 3 || rows['1'].entries !== 2) {
+        throw new Error(`Unexpected partition groups: ${JSON.stringify(result.groups)}`);
+    }
+    if (rows['2'].throttledCount !== 1 || rows['2'].errorRate !== 0.5 || rows['3'].errorCount !== 1 || rows['1'].errorCount !== 1) {
+        throw new Error(`Unexpected error and 429 counts: ${JSON.stringify(result.groups)}`);
+    }
+    if (!rows['3'].isOutlier || rows['1'].isOutlier || rows['2'].isOutlier) {
+        throw new Error('Only partition 3 should be flagged hot');
+    }
+    if (!result.hasSection || !result.flagsHot || !result.hasDrillDown) {
+        throw new Error('Report should show the partition section, flag the hot partition and link its entries');
+    }
+});
+
+// =============================================================================
+// TEST: Hot partitions over a large single partition
+// Partition statistics cover every call, so one hot partition can hold more values
+// than Math.min/Math.max accept as spread arguments
+// =============================================================================
+test('Hot partitions: a single partition with 140k calls is grouped without overflowing the call stack', async () => {
+    const result = await page.evaluate(() => {
+        const calls = start => Array.from({ length: 100 }, (_, c) => ({
+            resourceType: 'Document',
+            operationType: 'Read',
+            durationInMs: 1 + ((start + c) % 500),
+            storeResult: { statusCode: 200, subStatusCode: 0, partitionKeyRangeId: '7' }
+        }));
+        const diagnostics = Array.from({ length: 1400 }, (_, i) => ({
+            name: 'ReadItem',
+            duration: 700,
+            startTime: new Date(Date.UTC(2026, 0, 29, 10, 0, i)).toISOString(),
+            data: { clientSideRequestStats: { storeResponseStatistics: calls(i * 100) } },
+            children: []
+        }));
+        const [partition] = new Analyzer().analyze(diagnostics, 600).operationAnalyses[0].partitionGroups;
+        return { key: partition.key, count: partition.count, min: partition.min, max: partition.max };
+    });
+
+    if (result.key !== '7' || result.count !== 140000 || result.min !== 1 || result.max !== 500) {
+        throw new Error(`Unexpected large partition group: ${JSON.stringify(result)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Replica health
+// =============================================================================
+test('Replica health: per-replica percentiles, failure and 410 rates, roles and slow replicas', async () => {
+    // Each call: [replica, durationInMs, status]
+    const entry = (...calls) => dotnetEntry({
+        duration: calls.reduce((sum, [, duration]) => sum + duration, 0),
+        stores: calls.map(([replica, duration, statusCode = 200]) => storeResponse(duration, {
+            StatusCode: statusCode,
+            StorePhysicalAddress: rntbdAddress({ host: `cdb-ms-prod-westus2-fd${replica.length}`, partition: 'p1', replica })
+        }))
+    });
+    const content = [
+        entry(['1p', 20], ['2s', 25], ['33s', 500]),
+        entry(['1p', 22], ['2s', 18], ['33s', 650]),
+        entry(['1p', 19], ['2s', 410, 410], ['33s', 700])
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        return {
+            health: analysis.replicaHealth,
+            hasSection: html.includes('🖥️ Replica Health') && html.includes('id="replica-table"'),
+            flagsSlow: html.includes('1 replica is slower than its replica-set peers')
+        };
+    }, content);
+
+    const { health } = result;
+    const rows = Object.fromEntries(health.replicas.map(r => [r.key.match(/replicas\/(\w+)/)[1], r]));
+    if (health.replicas.length !== 3 || health.replicaSets !== 1 || rows['1p'].role !== 'primary' || rows['33s'].role !== 'secondary') {
+        throw new Error(`Unexpected replicas: ${JSON.stringify(health.replicas)}`);
+    }
+    if (rows['2s'].goneCount !== 1 || Math.abs(rows['2s'].goneRate - 1 / 3) > 1e-9 || rows['2s'].failedCount !== 1 || rows['1p'].failureRate !== 0) {
+        throw new Error(`Unexpected failure and 410 rates: ${JSON.stringify(rows['2s'])}`);
+    }
+    if (!rows['33s'].isOutlier || rows['1p'].isOutlier || rows['2s'].isOutlier || health.replicas[0] !== rows['33s'] || rows['33s'].peerP50 !== 20) {
+        throw new Error('Only the slow secondary should be flagged, and listed first');
+    }
+    const roles = Object.fromEntries(health.byRole.map(r => [r.key, r]));
+    if (roles.primary.count !== 3 || roles.secondary.count !== 6) {
+        throw new Error(`Unexpected role summary: ${JSON.stringify(health.byRole)}`);
+    }
+    if (!result.hasSection || !result.flagsSlow) {
+        throw new Error('Report should show the replica health section and flag the slow replica');
+    }
+});
+
+// =============================================================================
+// TEST: Replica health over a large primary role
+// The primary role collects the most calls, so it is the first group past the
+// Math.min/Math.max spread argument limit
+// =============================================================================
+test('Replica health: a primary role with 140k calls is summarized without overflowing the call stack', async () => {
+    const result = await page.evaluate(() => {
+        const address = 'rntbd://cdb-ms-prod-westus2-fd1.documents.azure.com:14301/apps/a/services/s/partitions/p1/replicas/1p/';
+        const calls = start => Array.from({ length: 100 }, (_, c) => ({
+            resourceType: 'Document',
+            operationType: 'Read',
+            durationInMs: 1 + ((start + c) % 500),
+            storeResult: { statusCode: 200, subStatusCode: 0, storePhysicalAddress: address }
+        }));
+        const diagnostics = Array.from({ length: 1400 }, (_, i) => ({
+            name: 'ReadItem',
+            duration: 700,
+            startTime: new Date(Date.UTC(2026, 0, 29, 10, 0, i)).toISOString(),
+            data: { clientSideRequestStats: { storeResponseStatistics: calls(i * 100) } },
+            children: []
+        }));
+        const health = new Analyzer().analyze(diagnostics, 600).replicaHealth;
+        return { replicas: health.replicas.length, byRole: health.byRole.map(({ key, count, min, max }) => ({ key, count, min, max })) };
+    });
+
+    const [primary] = result.byRole;
+    if (result.replicas !== 1 || result.byRole.length !== 1 || primary.key !== 'primary' ||
+        primary.count !== 140000 || primary.min !== 1 || primary.max !== 500) {
+        throw new Error(`Unexpected large primary role: ${JSON.stringify(result)}`);
+    }
+});
+
+// =============================================================================
+// TEST: Retry chains
+// =============================================================================
+test('Retry chains: ordered attempts with gaps, retry patterns and added latency', async () => {
+    // Each call: [status, substatus, replica, durationInMs, response time (ms after 10:00:00)]
+    const entry = (duration, calls) => dotnetEntry({
+        duration,
+        stores: calls.map(([statusCode, subStatusCode, replica, durationInMs, responseMs]) => storeResponse(
+            durationInMs,
+            { StatusCode: statusCode, SubStatusCode: subStatusCode, StorePhysicalAddress: rntbdAddress({ partition: 'p1', replica }) },
+            { ResponseTimeUTC: at(responseMs) }
+        ))
+    });
+    const content = [
+        // Recorded out of order: the 410 finished first
+        entry(150, [[200, 0, '2s', 20, 150], [410, 1002, '1p', 100, 100]]),
+        entry(130, [['Gone', 1002, '1p', 50, 50], [410, 1002, '3s', 50, 110], ['Ok', 'Unknown', '2s', 10, 130]]),
+        entry(20, [[200, 0, '1p', 20, 20]])
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        return {
+            retry: analysis.retryChains,
+            hasSection: html.includes('🔁 Retry Chains') && html.includes('id="retry-pattern-table"') && html.includes('id="retry-chain-table"'),
+            rendersChain: html.includes('#1 410/1002 primary 100 ms</span> → <span class="null">+30 ms</span> → ')
+        };
+    }, content);
+
+    const { retry } = result;
+    if (retry.operations !== 3 || retry.retried !== 2) {
+        throw new Error(`Expected 2 of 3 operations to retry, got ${retry.retried} of ${retry.operations}`);
+    }
+    const first = retry.chains.find(c => c.attempts.length === 2);
+    if (first.attempts[0].status !== '410/1002' || first.attempts[1].status !== '200/0' ||
+        first.attempts[1].gapMs !== 30 || first.addedMs !== 130 || first.retries !== 1) {
+        throw new Error(`Unexpected attempt chain: ${JSON.stringify(first)}`);
+    }
+    const patterns = Object.fromEntries(retry.patterns.map(p => [p.key, p]));
+    const twice = patterns['410/1002 ×2 → 200/0 on secondary'];
+    if (!patterns['410/1002 → 200/0 on secondary'] || !twice || twice.retries !== 2 || twice.totalAddedMs !== 120) {
+        throw new Error(`Unexpected retry patterns: ${JSON.stringify(retry.patterns)}`);
+    }
+    if (retry.chains[0] !== first) {
+        throw new Error('Chains should be ordered by added latency');
+    }
+    if (!result.hasSection || !result.rendersChain) {
+        throw new Error('Report should show the retry patterns and the attempt chains');
+    }
+});
+
+// =============================================================================
+// TEST: Throttling
+// =============================================================================
+test('Throttling: 429s per operation and partition, RetryAfterInMs wait share and 429s per minute', async () => {
+    // Each call: [status, substatus, partition, durationInMs, RetryAfterInMs, response time (ms after the start)]
+    const entry = (name, startMs, duration, calls) => dotnetEntry({
+        name,
+        duration,
+        start: at(startMs),
+        stores: calls.map(([statusCode, subStatusCode, partition, durationInMs, retryAfter, responseMs]) => storeResponse(
+            durationInMs,
+            {
+                StatusCode: statusCode,
+                SubStatusCode: subStatusCode,
+                PartitionKeyRangeId: partition,
+                RetryAfterInMs: retryAfter,
+                StorePhysicalAddress: rntbdAddress({ partition })
+            },
+            { OperationType: 'Create', ResponseTimeUTC: at(startMs + responseMs) }
+        ))
+    });
+    const content = [
+        entry('CreateItem', 0, 1000, [[429, 3200, '1', 10, '400', 10], [429, 3200, '1', 10, 500, 420], [201, 0, '1', 20, null, 1000]]),
+        entry('CreateItem', 60000, 300, [['TooManyRequests', 3200, '2', 10, 100, 10], [201, 0, '2', 20, null, 300]]),
+        entry('ReadItem', 90000, 700, [[200, 0, '2', 700, null, 700]])
+    ].join('\n');
+
+    const result = await page.evaluate((content) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+
+        return {
+            throttling: analysis.throttling,
+            hasSection: html.includes('🚦 Throttling (429)') && html.includes('id="throttling-partition-table"'),
+            hasChart: html.includes('id="throttlingChart"') && html.includes('id="throttlingChart-data"')
+        };
+    }, content);
+
+    const { throttling } = result;
+    if (throttling.calls !== 3 || throttling.subStatus3200 !== 3 || throttling.operations !== 2 || throttling.totalOperations !== 3) {
+        throw new Error(`Unexpected 429 counts: ${JSON.stringify(throttling)}`);
+    }
+    if (throttling.totalWaitMs !== 1000 || throttling.recordedWaitCalls !== 3 ||
+        throttling.waitShare !== 0.5 || Math.abs(throttling.throttledWaitShare - 1000 / 1300) > 1e-9) {
+        throw new Error(`Unexpected wait accounting: ${JSON.stringify(throttling)}`);
+    }
+    const partitions = Object.fromEntries(throttling.byPartition.map(p => [p.key, p]));
+    if (throttling.byOperation[0].key !== 'CreateItem' || throttling.byOperation[0].count !== 3 ||
+        partitions['1'].count !== 2 || partitions['1'].totalWaitMs !== 900 || partitions['2'].max !== 100) {
+        throw new Error(`Unexpected groups: ${JSON.stringify(throttling.byOperation)} ${JSON.stringify(throttling.byPartition)}`);
+    }
+    if (JSON.stringify(throttling.timeline.throttled) !== '[2,1]' || JSON.stringify(throttling.timeline.perMinute) !== '[2,1]' ||
+        throttling.timeline.p99Latency[1] !== 700) {
+        throw new Error(`Unexpected 429 timeline: ${JSON.stringify(throttling.timeline)}`);
+    }
+    if (!result.hasSection || !result.hasChart) {
+        throw new Error('Report should show the throttling section and the 429s per minute chart');
+    }
+});
+
+// =============================================================================
+// TEST: Address resolution
+// =============================================================================
+test('Address resolution: lookup latency, endpoints, 410-triggered refreshes and critical path of slow operations', async () => {
+    // calls: [status, substatus, durationInMs, response time]; lookups: [start, end, endpoint]; null times are not recorded
+    const entry = (duration, calls, lookups) => dotnetEntry({
+        duration,
+        requestStats: {
+            AddressResolutionStatistics: lookups.map(([start, end, endpoint]) => ({
+                StartTimeUTC: at(start),
+                EndTimeUTC: end === null ? undefined : at(end),
+                TargetEndpoint: endpoint
+            }))
+        },
+        stores: calls.map(([statusCode, subStatusCode, durationInMs, responseMs]) => storeResponse(
+            durationInMs,
+            { StatusCode: statusCode, SubStatusCode: subStatusCode, StorePhysicalAddress: rntbdAddress() },
+            { ResponseTimeUTC: responseMs === null ? undefined : at(responseMs) }
+        ))
+    });
+    const gateway = 'https://contoso-westus2.documents.azure.com//addresses/';
+    const content = [
+        // Refresh after a 410 while nothing else is in flight
+        entry(900, [[410, 1002, 100, 100], [200, 0, 50, 450]], [[100, 400, gateway]]),
+        // Lookup overlapping a store call
+        entry(800, [[200, 0, 700, 700]], [[0, 50, gateway]]),
+        // Still in flight when the operation ended at 1000 ms
+        entry(1000, [[200, 0, 100, 100]], [[200, null, gateway]]),
+        // Store call without times: blocking is unknown
+        entry(700, [[200, 0, 100, null]], [[0, 50, gateway]]),
+        entry(20, [[200, 0, 20, 20]], [])
+    ].join('\n');
+    // Java keys lookups by id
+    const javaJson = JSON.stringify({
+        userAgent: 'azsdk-java-cosmos/4.60.0', requestLatencyInMs: 10, responseStatisticsList: [],
+        addressResolutionStatistics: { a1: { startTimeUTC: at(0), endTimeUTC: at(25), targetEndpoint: gateway, forceRefresh: true } }
+    });
+
+    const result = await page.evaluate((content, javaJson) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+        const java = new DiagnosticsSchema().fromJson(javaJson);
+
+        return {
+            address: analysis.addressResolution,
+            java: java.addressResolutions,
+            hasSection: html.includes('📍 Address Resolution') && html.includes('id="address-resolution-table"'),
+            flags410: html.includes('1 lookups followed a 410 response')
+        };
+    }, content, javaJson);
+
+    const { address } = result;
+    if (address.lookups !== 4 || address.operations !== 4 || address.totalOperations !== 5 || address.max !== 800 || address.min !== 50 ||
+        address.inFlight !== 1) {
+        throw new Error(`Unexpected lookup statistics: ${JSON.stringify(address)}`);
+    }
+    if (address.after410 !== 1 || address.byEndpoint.length !== 1 || address.byEndpoint[0].count !== 4 || address.peakPerMinute.count !== 4) {
+        throw new Error(`Unexpected 410 and endpoint counts: ${JSON.stringify(address)}`);
+    }
+    const slow = address.slowOperations;
+    if (slow.total !== 4 || slow.withLookup !== 4 || slow.blocked !== 2 || slow.blockedMs !== 1100 || slow.unknown !== 1) {
+        throw new Error(`Expected 2 of 4 slow operations blocked for 1100 ms and 1 unknown, got ${JSON.stringify(slow)}`);
+    }
+    if (result.java.length !== 1 || result.java[0].durationInMs !== 25 || !result.java[0].forceRefresh) {
+        throw new Error(`Java lookups should be read, got ${JSON.stringify(result.java)}`);
+    }
+    if (!result.hasSection || !result.flags410) {
+        throw new Error('Report should show the address resolution section and flag 410-triggered refreshes');
+    }
+});
+
+test('RNTBD connection stats: load distributions, latency per inflight bucket and correlation with transit time', async () => {
+    const entry = (inflight, pending, transitMs, waitInit = 'False') => dotnetEntry({
+        duration: transitMs + 10,
+        start: at(1000),
+        stores: [storeResponse(transitMs + 1, {
+            StorePhysicalAddress: rntbdAddress(),
+            TransportRequestTimeline: {
+                requestTimeline: [
+                    { event: 'Transit Time', startTimeUtc: at(1000), durationInMs: transitMs },
+                    { event: 'Received', startTimeUtc: at(1000 + transitMs), durationInMs: 0.5 }
+                ],
+                serviceEndpointStats: { inflightRequests: inflight, openConnections: 2 },
+                connectionStats: { waitforConnectionInit: waitInit, callsPendingReceive: pending, lastSend: at(500), lastReceive: at(750) }
+            }
+        })]
+    });
+    const content = [
+        entry(0, 0, 10, 'True'),
+        entry(1, 0, 20),
+        entry(3, 1, 40),
+        entry(6, 2, 80),
+        entry(12, 4, 300),
+        entry(25, 8, 900)
+    ].join('\n');
+    // Java channel statistics map onto the same fields
+    const javaJson = JSON.stringify({
+        userAgent: 'azsdk-java-cosmos/4.60.0', requestLatencyInMs: 10,
+        responseStatisticsList: [{
+            storeResult: {
+                storePhysicalAddress: rntbdAddress(),
+                statusCode: 200,
+                channelStatistics: { pendingRequestsCount: 3, lastReadTime: at(0), waitForConnectionInit: false },
+                serviceEndpointStatistics: { availableChannels: 2, acquiredChannels: 1, inflightRequests: 4 }
+            }
+        }]
+    });
+
+    const result = await page.evaluate((content, javaJson) => {
+        const diagnostics = new JsonParser().parseLines(content);
+        const analysis = new Analyzer().analyze(diagnostics, 600);
+        const html = new ReportGenerator().generate(analysis);
+        const java = new DiagnosticsSchema().fromJson(javaJson);
+
+        return {
+            stats: analysis.connectionStats,
+            java: java.storeResults[0]?.connection,
+            hasSection: html.includes('🔌 RNTBD Connection Stats') && html.includes('id="connection-inflight-table"'),
+            flagsSaturation: html.includes('Transit Time latency rises with inflight requests')
+        };
+    }, content, javaJson);
+
+    const { stats } = result;
+    if (stats.calls !== 6 || stats.withStats !== 6 || stats.waitForConnectionInit !== 1) {
+        throw new Error(`Unexpected call counts: ${JSON.stringify(stats)}`);
+    }
+    const inflight = stats.distributions.inflightRequests;
+    if (inflight.min !== 0 || inflight.max !== 25 || stats.distributions.sinceLastReceiveMs.p50 !== 250) {
+        throw new Error(`Unexpected distributions: ${JSON.stringify(stats.distributions)}`);
+    }
+    const buckets = stats.byInflight.map(b => `${b.bucket}:${b.calls}:${b.transitP50}`).join(',');
+    if (buckets !== '0:1:10,1:1:20,2-4:1:40,5-9:1:80,10-19:1:300,20+:1:900') {
+        throw new Error(`Unexpected inflight buckets: ${buckets}`);
+    }
+    const transit = stats.correlations.find(c => c.metric === 'inflightRequests' && c.phase === 'Transit Time');
+    const open = stats.correlations.find(c => c.metric === 'openConnections' && c.phase === 'Transit Time');
+    if (transit.coefficient !== 1 || transit.calls !== 6 || open.coefficient !== null) {
+        throw new Error(`Expected a perfect inflight correlation and none for constant open connections: ${JSON.stringify(stats.correlations)}`);
+    }
+    const java = result.java;
+    if (!java || java.inflightRequests !== 4 || java.openConnections !== 3 || java.callsPendingReceive !== 3 || java.waitForConnectionInit !== false) {
+        throw new Error(`Java channel statistics should be read, got ${JSON.stringify(java)}`);
+    }
+    if (!result.hasSection || !result.flagsSaturation) {
+        throw new Error('Report should show the connection stats section and flag saturated connections');
+    }
+});
+
 // =============================================================================
 // Test Runner
 // =============================================================================